@@ -12,15 +12,29 @@ import {
   Badge,
   Modal,
   FormLayout,
-  Select
+  Select,
+  RadioButton
 } from '@shopify/polaris';
 import apiClient from '../lib/api-client';
 import { generateSmartLink, getAffiliateSmartLinks } from '../lib/smart-links';
+import { DEFAULT_SHOP_CURRENCY, formatMoney } from '../lib/currency';
 
-export default function AffiliateManagement({ shopId }) {
+const EMPTY_DISCOUNT = {
+  affiliateId: '',
+  code: '',
+  valueType: 'percentage',
+  value: '10'
+};
+
+export default function AffiliateManagement({ shopId, currency = DEFAULT_SHOP_CURRENCY }) {
   const [affiliates, setAffiliates] = useState([]);
   const [smartLinks, setSmartLinks] = useState([]);
   const [products, setProducts] = useState([]);
+  const [tierData, setTierData] = useState(null);
+  const [discounts, setDiscounts] = useState([]);
+  const [showDiscountModal, setShowDiscountModal] = useState(false);
+  const [creatingDiscount, setCreatingDiscount] = useState(false);
+  const [newDiscount, setNewDiscount] = useState(EMPTY_DISCOUNT);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedAffiliate, setSelectedAffiliate] = useState(null);
@@ -50,6 +64,9 @@ export default function AffiliateManagement({ shopId }) {
       setAffiliates(affiliatesRes.data || []);
       setProducts(productsRes || []);
 
+      await loadTiers();
+      await loadDiscounts();
+
       // Load smart links for first affiliate if available
       if (affiliatesRes.data && affiliatesRes.data.length > 0) {
         const firstAffiliate = affiliatesRes.data[0];
@@ -66,6 +83,100 @@ export default function AffiliateManagement({ shopId }) {
     }
   };
 
+  const loadTiers = async () => {
+    try {
+      const response = await fetch(`/api/affiliates/tiers?shop=${shopId}`);
+      if (response.ok) {
+        setTierData(await response.json());
+      }
+    } catch (err) {
+      // Tiers are informational; the rest of the page still works without them
+      console.error('Failed to load affiliate tiers:', err);
+    }
+  };
+
+  const loadDiscounts = async () => {
+    try {
+      const response = await fetch(`/api/affiliates/discount-codes?shop=${shopId}`);
+      if (response.ok) {
+        setDiscounts((await response.json()).discounts);
+      }
+    } catch (err) {
+      console.error('Failed to load affiliate discount codes:', err);
+    }
+  };
+
+  const handleCreateDiscount = async () => {
+    try {
+      setCreatingDiscount(true);
+      setError(null);
+
+      const response = await fetch(`/api/affiliates/discount-codes?shop=${shopId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...newDiscount,
+          code: newDiscount.code.trim() || undefined,
+          value: parseFloat(newDiscount.value)
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create discount code');
+      }
+
+      setShowDiscountModal(false);
+      setNewDiscount(EMPTY_DISCOUNT);
+      await loadDiscounts();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreatingDiscount(false);
+    }
+  };
+
+  const renderDiscountCodes = (affiliate) => {
+    const codes = discounts.filter(discount => discount.affiliateId === String(affiliate.id));
+    if (codes.length === 0) {
+      return <Text tone="subdued">None</Text>;
+    }
+
+    return (
+      <InlineStack gap="100">
+        {codes.map(discount => (
+          <Badge key={discount.code}>{discount.code}</Badge>
+        ))}
+      </InlineStack>
+    );
+  };
+
+  const renderTier = (affiliate) => {
+    if (!tierData?.tiered) {
+      return <Text tone="subdued">Flat rate</Text>;
+    }
+
+    const current = tierData.affiliates[String(affiliate.id)] || {
+      periodSales: 0,
+      tier: 1,
+      rate: tierData.tiers[0].rate,
+      nextTierAt: tierData.tiers[1]?.minSales ?? null
+    };
+
+    return (
+      <BlockStack gap="100">
+        <Badge tone={current.tier > 1 ? 'success' : 'info'}>
+          {`Tier ${current.tier} · ${current.rate}%`}
+        </Badge>
+        <Text variant="bodySm" tone="subdued">
+          {current.nextTierAt !== null
+            ? `${formatMoney(current.nextTierAt - current.periodSales, currency)} to next tier`
+            : 'Top tier'}
+        </Text>
+      </BlockStack>
+    );
+  };
+
   const loadSmartLinksForAffiliate = async (affiliateId) => {
     try {
       const response = await getAffiliateSmartLinks(affiliateId);
@@ -144,7 +255,9 @@ export default function AffiliateManagement({ shopId }) {
     <Badge key={affiliate.id} status={affiliate.status === 'active' ? 'success' : 'critical'}>
       {affiliate.status || 'inactive'}
     </Badge>,
-    `$${(affiliate.totalEarnings || 0).toFixed(2)}`,
+    formatMoney(affiliate.totalEarnings, currency),
+    renderTier(affiliate),
+    renderDiscountCodes(affiliate),
     affiliate.totalClicks || 0,
     affiliate.conversionRate ? `${(affiliate.conversionRate * 100).toFixed(1)}%` : '0%',
     <Button
@@ -174,7 +287,7 @@ export default function AffiliateManagement({ shopId }) {
       {link.isActive ? 'Active' : 'Inactive'}
     </Badge>,
     link.totalClicks || 0,
-    `$${(link.totalEarnings || 0).toFixed(2)}`,
+    formatMoney(link.totalEarnings, currency),
     link.conversionRate ? `${(link.conversionRate * 100).toFixed(1)}%` : '0%',
     new Date(link.createdAt).toLocaleDateString()
   ]);
@@ -217,15 +330,20 @@ export default function AffiliateManagement({ shopId }) {
             <Text variant="headingMd" as="h3">
               Affiliate Partners
             </Text>
-            <Button variant="primary" onClick={() => setShowCreateModal(true)}>
-              Create Smart Link
-            </Button>
+            <InlineStack gap="200">
+              <Button onClick={() => setShowDiscountModal(true)}>
+                Create Discount Code
+              </Button>
+              <Button variant="primary" onClick={() => setShowCreateModal(true)}>
+                Create Smart Link
+              </Button>
+            </InlineStack>
           </InlineStack>
 
           {affiliates.length > 0 ? (
             <DataTable
-              columnContentTypes={['text', 'text', 'text', 'text', 'numeric', 'text', 'text']}
-              headings={['Name', 'Email', 'Status', 'Total Earnings', 'Total Clicks', 'Conversion Rate', 'Actions']}
+              columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text', 'numeric', 'text', 'text']}
+              headings={['Name', 'Email', 'Status', 'Total Earnings', 'Current Tier', 'Discount Codes', 'Total Clicks', 'Conversion Rate', 'Actions']}
               rows={affiliateRows}
             />
           ) : (
@@ -316,6 +434,77 @@ export default function AffiliateManagement({ shopId }) {
           </FormLayout>
         </Modal.Section>
       </Modal>
+
+      {/* Create Discount Code Modal */}
+      <Modal
+        open={showDiscountModal}
+        onClose={() => setShowDiscountModal(false)}
+        title="Create Discount Code"
+        primaryAction={{
+          content: 'Create Code',
+          onAction: handleCreateDiscount,
+          loading: creatingDiscount,
+          disabled: !newDiscount.affiliateId || !newDiscount.value || isNaN(newDiscount.value)
+        }}
+        secondaryActions={[
+          {
+            content: 'Cancel',
+            onAction: () => setShowDiscountModal(false)
+          }
+        ]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <Text as="p" tone="subdued">
+              Creates a discount code in Shopify. Orders that use it are credited to the affiliate, even without a link click.
+            </Text>
+
+            <Select
+              label="Select Affiliate"
+              options={[
+                { label: 'Choose affiliate...', value: '' },
+                ...affiliateOptions
+              ]}
+              value={newDiscount.affiliateId}
+              onChange={(value) => setNewDiscount(prev => ({ ...prev, affiliateId: value }))}
+            />
+
+            <TextField
+              label="Code"
+              value={newDiscount.code}
+              onChange={(value) => setNewDiscount(prev => ({ ...prev, code: value.toUpperCase() }))}
+              placeholder="e.g., JANE10"
+              helpText="Leave empty to generate one"
+              autoComplete="off"
+            />
+
+            <BlockStack gap="200">
+              <RadioButton
+                label="Percentage off (%)"
+                checked={newDiscount.valueType === 'percentage'}
+                id="discount-percentage"
+                name="discountValueType"
+                onChange={() => setNewDiscount(prev => ({ ...prev, valueType: 'percentage' }))}
+              />
+              <RadioButton
+                label={`Amount off (${currency.currencyCode})`}
+                checked={newDiscount.valueType === 'amount'}
+                id="discount-amount"
+                name="discountValueType"
+                onChange={() => setNewDiscount(prev => ({ ...prev, valueType: 'amount' }))}
+              />
+            </BlockStack>
+
+            <TextField
+              label={newDiscount.valueType === 'percentage' ? 'Discount (%)' : `Discount (${currency.currencyCode})`}
+              type="number"
+              value={newDiscount.value}
+              onChange={(value) => setNewDiscount(prev => ({ ...prev, value }))}
+              autoComplete="off"
+            />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
     </BlockStack>
   );
 }
\ No newline at end of file
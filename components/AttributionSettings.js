@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { Card, Button, Text, BlockStack, InlineStack, Banner, Spinner, FormLayout, Select, TextField } from '@shopify/polaris';
+import { ATTRIBUTION_WINDOW_DAYS } from '../lib/attribution-models';
+
+const PRIORITY_OPTIONS = [
+  { label: 'Smart link - the link the customer clicked', value: 'link' },
+  { label: 'Discount code - the code used at checkout', value: 'code' }
+];
+
+const MODEL_OPTIONS = [
+  { label: 'Last click - the most recent smart link clicked', value: 'last-click' },
+  { label: 'First click - the first smart link clicked', value: 'first-click' },
+  { label: 'Linear - split equally across every click', value: 'linear' }
+];
+
+export default function AttributionSettings({ shopId }) {
+  const [settings, setSettings] = useState({
+    attributionPriority: 'link',
+    attributionModel: 'last-click',
+    attributionWindowDays: '1'
+  });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadSettings();
+  }, [shopId]);
+
+  const loadSettings = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/settings?shop=${shopId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load settings');
+      }
+
+      setSettings({
+        attributionPriority: data.attributionPriority,
+        attributionModel: data.attributionModel,
+        attributionWindowDays: String(data.attributionWindowDays)
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveSettings = async () => {
+    try {
+      setSaving(true);
+      setSaved(false);
+      setError(null);
+
+      const response = await fetch(`/api/settings?shop=${shopId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save settings');
+      }
+
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Card>
+        <div style={{ padding: '32px', textAlign: 'center' }}>
+          <Spinner size="large" />
+          <Text variant="bodyMd" as="p" tone="subdued">
+            Loading attribution settings...
+          </Text>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        {error && (
+          <Banner status="critical" onDismiss={() => setError(null)}>
+            {error}
+          </Banner>
+        )}
+        {saved && (
+          <Banner tone="success" onDismiss={() => setSaved(false)}>
+            Attribution settings saved
+          </Banner>
+        )}
+
+        <BlockStack gap="100">
+          <Text variant="headingMd" as="h3">Order Attribution</Text>
+          <Text as="p" tone="subdued">
+            Orders are credited to an affiliate through their smart link or their discount code.
+            When an order has both and they belong to different affiliates, one of them has to win.
+          </Text>
+        </BlockStack>
+
+        <FormLayout>
+          <Select
+            label="When an order has both, credit"
+            options={PRIORITY_OPTIONS}
+            value={settings.attributionPriority}
+            onChange={(value) => setSettings(prev => ({ ...prev, attributionPriority: value }))}
+          />
+          <FormLayout.Group>
+            <TextField
+              label="Attribution window"
+              type="number"
+              min={ATTRIBUTION_WINDOW_DAYS.min}
+              max={ATTRIBUTION_WINDOW_DAYS.max}
+              suffix="days"
+              value={settings.attributionWindowDays}
+              onChange={(value) => setSettings(prev => ({ ...prev, attributionWindowDays: value }))}
+              helpText={`Orders placed within this time of a smart link click are credited to it (${ATTRIBUTION_WINDOW_DAYS.min} to ${ATTRIBUTION_WINDOW_DAYS.max} days)`}
+              autoComplete="off"
+            />
+            <Select
+              label="When a customer clicked several smart links, credit"
+              options={MODEL_OPTIONS}
+              value={settings.attributionModel}
+              onChange={(value) => setSettings(prev => ({ ...prev, attributionModel: value }))}
+              helpText="Under linear, affiliates share the order's commission by their number of clicks"
+            />
+          </FormLayout.Group>
+        </FormLayout>
+
+        <InlineStack align="end">
+          <Button variant="primary" onClick={saveSettings} loading={saving}>
+            Save
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -1,30 +1,60 @@
 import { useState } from 'react';
 import { Card, FormLayout, TextField, Button, BlockStack, InlineStack, Badge, Text, Thumbnail, RadioButton } from '@shopify/polaris';
+import { CommissionLimitsFields } from './CommissionLimitsFields';
+import { MarginCheckNotice, useMarginCheck } from './MarginCheckNotice';
+import { CommissionPreviewModal, useCommissionPreview } from './CommissionPreviewModal';
+import { normalizeCommissionLimits, summarizeLimits, toLimitInputs } from '../lib/commission-limits';
+import { normalizeCommissionType, validateCommissionInput, formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY } from '../lib/currency';
 
-export function CategoryCommissionForm({ category, onSave, onRemove }) {
+export function CategoryCommissionForm({ category, onSave, onRemove, onCheckMargins, onPreview, currency = DEFAULT_SHOP_CURRENCY }) {
   const [commission, setCommission] = useState(
     category.commission?.commission?.toString() || ''
   );
   const [commissionType, setCommissionType] = useState(
-    category.commission?.commissionType || 'percentage'
+    normalizeCommissionType(category.commission?.commissionType)
   );
+  const [limits, setLimits] = useState(toLimitInputs(category.commission?.limits));
   const [loading, setLoading] = useState(false);
+  const fieldErrors = validateCommissionInput({ commission, commissionType, limits });
+  const isValid = Object.keys(fieldErrors).length === 0;
+  const marginCheck = useMarginCheck(
+    onCheckMargins && isValid
+      ? (data) => onCheckMargins('collection', category.id, data)
+      : null,
+    isValid
+      ? { commission: parseFloat(commission), commissionType, limits: normalizeCommissionLimits(limits) }
+      : null
+  );
+  const marginBlocked = marginCheck?.mode === 'block' && marginCheck.violations.length > 0;
+  const preview = useCommissionPreview(onPreview);
+
+  const buildCommissionData = () => ({
+    commission: parseFloat(commission),
+    commissionType,
+    currency: currency.currencyCode,
+    limits: normalizeCommissionLimits(limits)
+  });
 
   const handleSave = async () => {
-    if (!commission || isNaN(commission)) return;
+    if (!isValid) return;
     
     setLoading(true);
     try {
-      await onSave(category.id, {
-        commission: parseFloat(commission),
-        commissionType,
-        currency: 'KES'
-      }, true);
+      await onSave(category.id, buildCommissionData(), true);
+      preview.close();
     } finally {
       setLoading(false);
     }
   };
 
+  // Show what would change before anything is written
+  const handleReview = () => {
+    if (!isValid) return;
+    if (!onPreview) return handleSave();
+    preview.show('collection', category.id, buildCommissionData());
+  };
+
   const handleRemove = async () => {
     if (!category.commission) return;
     
@@ -61,7 +91,7 @@ export function CategoryCommissionForm({ category, onSave, onRemove }) {
             </InlineStack>
             {category.commission && (
               <Badge tone="success">
-                {category.commission.commission}% Commission
+                {formatCommissionRate(category.commission.commission, category.commission.commissionType, currency)} Commission
               </Badge>
             )}
           </InlineStack>
@@ -77,33 +107,38 @@ export function CategoryCommissionForm({ category, onSave, onRemove }) {
                 onChange={() => setCommissionType('percentage')}
               />
               <RadioButton
-                label="Fixed Amount (KES)"
-                checked={commissionType === 'fixed'}
-                id="fixed-collection"
+                label={`Fixed Amount (${currency.currencyCode})`}
+                checked={commissionType === 'amount'}
+                id="amount-collection"
                 name="collectionCommissionType"
-                onChange={() => setCommissionType('fixed')}
+                onChange={() => setCommissionType('amount')}
               />
             </BlockStack>
             
             <TextField
-              label={commissionType === 'percentage' ? 'Collection Commission (%)' : 'Collection Commission (KES)'}
+              label={commissionType === 'percentage' ? 'Collection Commission (%)' : `Collection Commission (${currency.currencyCode})`}
               type="number"
               value={commission}
               onChange={setCommission}
+              error={commission !== '' ? fieldErrors.commission : undefined}
               placeholder={commissionType === 'percentage' ? 'e.g., 15.0' : 'e.g., 1500'}
               helpText={commissionType === 'percentage' 
                 ? 'This commission percentage will apply to all products in this collection'
-                : 'This fixed commission amount (KES) will apply to all products in this collection'
+                : `This fixed commission amount (${currency.currencyCode}) will apply to all products in this collection`
               }
               step={commissionType === 'percentage' ? '0.1' : '1'}
             />
+
+            <CommissionLimitsFields values={limits} onChange={setLimits} currency={currency.currencyCode} />
+
+            <MarginCheckNotice check={marginCheck} />
             
             <InlineStack gap="200">
               <Button
                 variant="primary"
-                onClick={handleSave}
+                onClick={handleReview}
                 loading={loading}
-                disabled={!commission || isNaN(commission)}
+                disabled={!isValid || marginBlocked}
               >
                 Apply to Collection + {category.productsCount} Products
               </Button>
@@ -123,16 +158,29 @@ export function CategoryCommissionForm({ category, onSave, onRemove }) {
               <div style={{ marginTop: '16px', padding: '16px', backgroundColor: '#f6f6f7', borderRadius: '8px' }}>
                 <Text variant="headingXs" as="h4">Bulk Action Preview</Text>
                 <Text as="p" tone="subdued">
-                  This will apply {commission}% commission to all {category.productsCount} products in this collection.
+                  This will apply {formatCommissionRate(commission, commissionType, currency)} commission to all {category.productsCount} products in this collection.
                 </Text>
+                {normalizeCommissionLimits(limits) && (
+                  <Text as="p" tone="caution">
+                    Commission on these products is capped: {summarizeLimits(limits, currency)}.
+                  </Text>
+                )}
                 <Text as="p" tone="warning">
-                  ⚠️ This will override any existing product-specific commissions in this collection.
+                  Products with their own commission keep it. Review the affected products before applying.
                 </Text>
               </div>
             )}
           </FormLayout>
         </BlockStack>
       </div>
+
+      <CommissionPreviewModal
+        state={preview}
+        title={`Apply commission to ${category.title}`}
+        onConfirm={handleSave}
+        confirming={loading}
+        currency={currency}
+      />
     </Card>
   );
 }
\ No newline at end of file
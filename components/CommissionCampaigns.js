@@ -0,0 +1,353 @@
+import { useState, useEffect } from 'react';
+import {
+  Card,
+  Button,
+  Text,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Spinner,
+  DataTable,
+  Badge,
+  Modal,
+  FormLayout,
+  TextField,
+  Select,
+  RadioButton
+} from '@shopify/polaris';
+import { validateCommissionInput, formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY } from '../lib/currency';
+
+const LEVEL_OPTIONS = [
+  { label: 'Whole store', value: 'shop' },
+  { label: 'Category', value: 'category' },
+  { label: 'Collection', value: 'collection' },
+  { label: 'Product', value: 'product' }
+];
+
+// Where to load the choices for each level, and how to read them
+const TARGET_SOURCES = {
+  category: { endpoint: 'categories', list: 'categories', label: (c) => c.name, value: (c) => c.name },
+  collection: { endpoint: 'collections', list: 'collections', label: (c) => c.title, value: (c) => c.id },
+  product: { endpoint: 'products', list: 'products', label: (p) => p.title, value: (p) => p.id }
+};
+
+const EMPTY_CAMPAIGN = {
+  name: '',
+  level: 'category',
+  referenceId: '',
+  commission: '',
+  commissionType: 'percentage',
+  startsAt: '',
+  endsAt: ''
+};
+
+function formatTarget(campaign) {
+  if (campaign.level === 'shop') return 'Whole store';
+  const id = String(campaign.referenceId || '');
+  return `${campaign.level}: ${id.startsWith('gid://') ? id.split('/').pop() : id}`;
+}
+
+export default function CommissionCampaigns({ shopId, currency = DEFAULT_SHOP_CURRENCY, getAuthHeaders }) {
+  const [campaigns, setCampaigns] = useState({ upcoming: [], active: [], expired: [] });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [newCampaign, setNewCampaign] = useState(EMPTY_CAMPAIGN);
+  const [targetOptions, setTargetOptions] = useState([]);
+
+  useEffect(() => {
+    loadCampaigns();
+  }, [shopId]);
+
+  useEffect(() => {
+    if (showModal) {
+      loadTargets(newCampaign.level);
+    }
+  }, [showModal, newCampaign.level]);
+
+  const loadCampaigns = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/commissions/campaigns?shop=${shopId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load campaigns');
+      }
+
+      setCampaigns(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTargets = async (level) => {
+    const source = TARGET_SOURCES[level];
+    if (!source) {
+      setTargetOptions([]);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/${source.endpoint}?shop=${shopId}`);
+      if (!response.ok) throw new Error(`Failed to load ${source.endpoint}`);
+
+      const data = await response.json();
+      setTargetOptions((data[source.list] || []).map(item => ({
+        label: source.label(item),
+        value: source.value(item)
+      })));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setWarning(null);
+
+      const response = await fetch(`/api/commissions/campaigns?shop=${shopId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(getAuthHeaders ? await getAuthHeaders() : {}) },
+        body: JSON.stringify({
+          ...newCampaign,
+          commission: parseFloat(newCampaign.commission),
+          currency: currency.currencyCode,
+          // datetime-local values are in the merchant's time zone
+          startsAt: new Date(newCampaign.startsAt).toISOString(),
+          endsAt: new Date(newCampaign.endsAt).toISOString()
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create campaign');
+      }
+      if (data.marginWarning) setWarning(`Campaign created. ${data.marginWarning}`);
+
+      setShowModal(false);
+      setNewCampaign(EMPTY_CAMPAIGN);
+      await loadCampaigns();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnd = async (campaignId) => {
+    try {
+      setError(null);
+
+      const response = await fetch(`/api/commissions/campaigns?shop=${shopId}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', ...(getAuthHeaders ? await getAuthHeaders() : {}) },
+        body: JSON.stringify({ campaignId })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to end campaign');
+      }
+
+      await loadCampaigns();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buildRows = (list, status) => list.map((campaign) => [
+    campaign.name,
+    formatTarget(campaign),
+    <BlockStack key={campaign.id} gap="100">
+      <Badge tone={status === 'active' ? 'success' : status === 'upcoming' ? 'info' : undefined}>
+        {formatCommissionRate(campaign.commission, campaign.commissionType, currency)}
+      </Badge>
+      <Text variant="bodySm" tone="subdued">
+        {campaign.previousCommission
+          ? `Reverts to ${formatCommissionRate(campaign.previousCommission.commission, campaign.previousCommission.commissionType, currency)}`
+          : 'Reverts to the next rule in line'}
+      </Text>
+    </BlockStack>,
+    new Date(campaign.startsAt).toLocaleString(),
+    new Date(campaign.endsAt).toLocaleString(),
+    status === 'expired' ? '-' : (
+      <Button key={campaign.id} size="slim" tone="critical" onClick={() => handleEnd(campaign.id)}>
+        {status === 'active' ? 'Roll back now' : 'Cancel'}
+      </Button>
+    )
+  ]);
+
+  const sections = [
+    { status: 'active', title: 'Active', list: campaigns.active },
+    { status: 'upcoming', title: 'Upcoming', list: campaigns.upcoming },
+    { status: 'expired', title: 'Expired', list: campaigns.expired }
+  ];
+
+  const fieldErrors = validateCommissionInput({
+    commission: newCampaign.commission,
+    commissionType: newCampaign.commissionType
+  });
+  const canCreate = newCampaign.name &&
+    Object.keys(fieldErrors).length === 0 &&
+    newCampaign.startsAt && newCampaign.endsAt &&
+    (newCampaign.level === 'shop' || newCampaign.referenceId);
+
+  if (loading) {
+    return (
+      <Card>
+        <div style={{ padding: '32px', textAlign: 'center' }}>
+          <Spinner size="large" />
+          <Text variant="bodyMd" as="p" tone="subdued">
+            Loading campaigns...
+          </Text>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        {error && (
+          <Banner status="critical" onDismiss={() => setError(null)}>
+            {error}
+          </Banner>
+        )}
+        {warning && (
+          <Banner tone="warning" onDismiss={() => setWarning(null)}>
+            {warning}
+          </Banner>
+        )}
+
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <Text variant="headingMd" as="h3">Commission Campaigns</Text>
+            <Text as="p" tone="subdued">
+              Campaign rates apply to orders placed between the start and end time, then the previous rate returns automatically.
+            </Text>
+          </BlockStack>
+          <Button variant="primary" onClick={() => setShowModal(true)}>
+            Schedule Campaign
+          </Button>
+        </InlineStack>
+
+        {sections.map(({ status, title, list }) => (
+          <BlockStack key={status} gap="200">
+            <Text variant="headingSm" as="h4">{`${title} (${list.length})`}</Text>
+            {list.length > 0 ? (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
+                headings={['Campaign', 'Applies To', 'Commission', 'Starts', 'Ends', 'Actions']}
+                rows={buildRows(list, status)}
+              />
+            ) : (
+              <Text as="p" tone="subdued">No {title.toLowerCase()} campaigns</Text>
+            )}
+          </BlockStack>
+        ))}
+      </BlockStack>
+
+      <Modal
+        open={showModal}
+        onClose={() => setShowModal(false)}
+        title="Schedule Campaign"
+        primaryAction={{
+          content: 'Schedule',
+          onAction: handleCreate,
+          loading: saving,
+          disabled: !canCreate
+        }}
+        secondaryActions={[
+          {
+            content: 'Cancel',
+            onAction: () => setShowModal(false)
+          }
+        ]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <TextField
+              label="Campaign Name"
+              value={newCampaign.name}
+              onChange={(value) => setNewCampaign(prev => ({ ...prev, name: value }))}
+              placeholder="e.g., Black Friday Sneakers"
+              autoComplete="off"
+            />
+
+            <Select
+              label="Applies To"
+              options={LEVEL_OPTIONS}
+              value={newCampaign.level}
+              onChange={(value) => setNewCampaign(prev => ({ ...prev, level: value, referenceId: '' }))}
+            />
+
+            {newCampaign.level !== 'shop' && (
+              <Select
+                label={`Select ${newCampaign.level}`}
+                options={[
+                  { label: `Choose ${newCampaign.level}...`, value: '' },
+                  ...targetOptions
+                ]}
+                value={newCampaign.referenceId}
+                onChange={(value) => setNewCampaign(prev => ({ ...prev, referenceId: value }))}
+              />
+            )}
+
+            <BlockStack gap="200">
+              <RadioButton
+                label="Percentage (%)"
+                checked={newCampaign.commissionType === 'percentage'}
+                id="percentage-campaign"
+                name="campaignCommissionType"
+                onChange={() => setNewCampaign(prev => ({ ...prev, commissionType: 'percentage' }))}
+              />
+              <RadioButton
+                label={`Fixed Amount (${currency.currencyCode})`}
+                checked={newCampaign.commissionType === 'amount'}
+                id="amount-campaign"
+                name="campaignCommissionType"
+                onChange={() => setNewCampaign(prev => ({ ...prev, commissionType: 'amount' }))}
+              />
+            </BlockStack>
+
+            <TextField
+              label={newCampaign.commissionType === 'percentage' ? 'Campaign Commission (%)' : `Campaign Commission (${currency.currencyCode})`}
+              type="number"
+              value={newCampaign.commission}
+              onChange={(value) => setNewCampaign(prev => ({ ...prev, commission: value }))}
+              error={newCampaign.commission !== '' ? fieldErrors.commission : undefined}
+              autoComplete="off"
+            />
+
+            <FormLayout.Group>
+              <TextField
+                label="Starts"
+                type="datetime-local"
+                value={newCampaign.startsAt}
+                onChange={(value) => setNewCampaign(prev => ({ ...prev, startsAt: value }))}
+                autoComplete="off"
+              />
+              <TextField
+                label="Ends"
+                type="datetime-local"
+                value={newCampaign.endsAt}
+                onChange={(value) => setNewCampaign(prev => ({ ...prev, endsAt: value }))}
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+    </Card>
+  );
+}
@@ -0,0 +1,281 @@
+import { useState, useEffect } from 'react';
+import {
+  Card,
+  Button,
+  Text,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Spinner,
+  DataTable,
+  Badge,
+  Pagination
+} from '@shopify/polaris';
+import CommissionJobProgress from './CommissionJobProgress';
+import { summarizeLimits } from '../lib/commission-limits';
+import { formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY } from '../lib/currency';
+
+const ACTION_LABELS = {
+  create: 'Added',
+  update: 'Changed',
+  delete: 'Removed'
+};
+
+function formatValue(snapshot, currency) {
+  if (!snapshot) return 'No rule';
+
+  const rate = formatCommissionRate(snapshot.commission, snapshot.commissionType, currency);
+  const limits = summarizeLimits(snapshot.limits, currency);
+  const campaign = snapshot.campaign
+    ? `, campaign until ${new Date(snapshot.campaign.endsAt).toLocaleString()}`
+    : '';
+  return `${rate}${snapshot.tiers?.length ? ' (tiered)' : ''}${limits ? `, ${limits}` : ''}${campaign}`;
+}
+
+function formatActor(actor) {
+  return actor?.type === 'staff' ? `Staff member ${actor.userId}` : 'Unknown';
+}
+
+function formatSubject(entry) {
+  if (entry.level === 'shop') return 'Shop default';
+  const id = String(entry.referenceId || '');
+  const name = entry.title || (id.startsWith('gid://') ? `#${id.split('/').pop()}` : id);
+  return `${entry.level}: ${name}`;
+}
+
+export default function CommissionHistory({ shopId, currency = DEFAULT_SHOP_CURRENCY, getAuthHeaders, onReverted }) {
+  const [history, setHistory] = useState({ entries: [], pagination: { page: 1, totalPages: 1 } });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [reverting, setReverting] = useState(null);
+  const [operation, setOperation] = useState(null);
+  const [revertJobs, setRevertJobs] = useState([]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [shopId, page]);
+
+  const loadHistory = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/commissions/history?shop=${shopId}&page=${page}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load commission history');
+      }
+
+      setHistory(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadOperation = async (entry) => {
+    try {
+      setError(null);
+
+      const response = await fetch(`/api/commissions/history?shop=${shopId}&operationId=${entry.id}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load changes');
+      }
+
+      setOperation({ entry, changes: data.entries, total: data.total });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const revert = async (body, key) => {
+    try {
+      setReverting(key);
+      setError(null);
+      setNotice(null);
+
+      const response = await fetch(`/api/commissions/history?shop=${shopId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(getAuthHeaders ? await getAuthHeaders() : {}) },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revert');
+      }
+
+      if (data.jobId) {
+        setRevertJobs(jobs => [...jobs, { id: data.jobId, title: 'Reverting bulk change' }]);
+      } else {
+        setNotice(data.message);
+        if (onReverted) onReverted();
+      }
+
+      await loadHistory();
+      if (operation) await loadOperation(operation.entry);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  const revertCell = (entry, body) => {
+    if (entry.revertedAt) {
+      return <Badge key={entry.id}>{`Reverted ${new Date(entry.revertedAt).toLocaleDateString()}`}</Badge>;
+    }
+    // Campaigns are ended from their own tab
+    if (entry.previous?.campaign || entry.next?.campaign) {
+      return '-';
+    }
+    return (
+      <Button key={entry.id} size="slim" onClick={() => revert(body, entry.id)} loading={reverting === entry.id}>
+        Revert
+      </Button>
+    );
+  };
+
+  const describeChange = (entry) => (
+    <BlockStack key={entry.id} gap="100">
+      <Text as="span">{`${ACTION_LABELS[entry.action]} ${formatSubject(entry)}`}</Text>
+      {entry.revertOf && <Badge tone="info">Revert</Badge>}
+    </BlockStack>
+  );
+
+  const rows = history.entries.map((entry) => {
+    if (entry.kind === 'operation') {
+      return [
+        new Date(entry.createdAt).toLocaleString(),
+        formatActor(entry.actor),
+        <BlockStack key={entry.id} gap="100">
+          <Text as="span">{entry.description}</Text>
+          <InlineStack gap="200">
+            <Badge tone={entry.operationKind === 'revert' ? 'info' : 'attention'}>
+              {`Bulk: ${entry.changeCount} change${entry.changeCount === 1 ? '' : 's'}`}
+            </Badge>
+            <Button variant="plain" onClick={() => loadOperation(entry)}>View changes</Button>
+          </InlineStack>
+        </BlockStack>,
+        '-',
+        '-',
+        entry.revertedAt
+          ? revertCell(entry)
+          : (
+            <Button key={entry.id} size="slim" onClick={() => revert({ operationId: entry.id }, entry.id)} loading={reverting === entry.id}>
+              Revert all
+            </Button>
+          )
+      ];
+    }
+
+    return [
+      new Date(entry.createdAt).toLocaleString(),
+      formatActor(entry.actor),
+      describeChange(entry),
+      formatValue(entry.previous, currency),
+      formatValue(entry.next, currency),
+      revertCell(entry, { entryId: entry.id })
+    ];
+  });
+
+  const operationRows = (operation?.changes || []).map(change => [
+    new Date(change.createdAt).toLocaleString(),
+    describeChange(change),
+    formatValue(change.previous, currency),
+    formatValue(change.next, currency),
+    revertCell(change, { entryId: change.id, operationId: operation.entry.id })
+  ]);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <BlockStack gap="100">
+          <Text variant="headingMd" as="h3">History</Text>
+          <Text as="p" tone="subdued">
+            Every commission change, with the value before and after. Reverting puts the previous value back,
+            unless the commission has been changed again since.
+          </Text>
+        </BlockStack>
+
+        {error && (
+          <Banner status="critical" onDismiss={() => setError(null)}>
+            {error}
+          </Banner>
+        )}
+
+        {notice && (
+          <Banner tone="success" onDismiss={() => setNotice(null)}>
+            {notice}
+          </Banner>
+        )}
+
+        {revertJobs.map(job => (
+          <CommissionJobProgress
+            key={job.id}
+            shopId={shopId}
+            jobId={job.id}
+            title={job.title}
+            onFinished={() => {
+              loadHistory();
+              if (onReverted) onReverted();
+            }}
+            onDismiss={() => setRevertJobs(jobs => jobs.filter(j => j.id !== job.id))}
+          />
+        ))}
+
+        {loading ? (
+          <div style={{ padding: '32px', textAlign: 'center' }}>
+            <Spinner size="large" />
+          </div>
+        ) : rows.length > 0 ? (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
+            headings={['When', 'Who', 'Change', 'Before', 'After', 'Actions']}
+            rows={rows}
+          />
+        ) : (
+          <Text as="p" tone="subdued">No commission changes yet</Text>
+        )}
+
+        {history.pagination.totalPages > 1 && (
+          <InlineStack align="center">
+            <Pagination
+              hasPrevious={page > 1}
+              onPrevious={() => setPage(page - 1)}
+              hasNext={page < history.pagination.totalPages}
+              onNext={() => setPage(page + 1)}
+              label={`Page ${page} of ${history.pagination.totalPages}`}
+            />
+          </InlineStack>
+        )}
+
+        {operation && (
+          <BlockStack gap="200">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text variant="headingSm" as="h4">{operation.entry.description}</Text>
+              <Button variant="plain" onClick={() => setOperation(null)}>Close</Button>
+            </InlineStack>
+            {operation.total > operation.changes.length && (
+              <Text as="p" tone="subdued">
+                {`Showing the first ${operation.changes.length} of ${operation.total} changes. Revert all to undo every one of them.`}
+              </Text>
+            )}
+            <DataTable
+              columnContentTypes={['text', 'text', 'text', 'text', 'text']}
+              headings={['When', 'Change', 'Before', 'After', 'Actions']}
+              rows={operationRows}
+            />
+          </BlockStack>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState, useEffect, useRef } from 'react';
+import { Card, Text, BlockStack, InlineStack, Banner, ProgressBar, Button } from '@shopify/polaris';
+
+const POLL_INTERVAL_MS = 2000;
+
+const STAGE_LABELS = {
+  waiting: 'Waiting for another Shopify bulk query to finish...',
+  querying: 'Finding products in Shopify...',
+  counting: 'Counting products per category...'
+};
+
+const FAILED_LABELS = {
+  'commission-revert': 'Reverting stopped',
+  'catalog-categories': 'Counting categories stopped'
+};
+
+function describeProgress(progress) {
+  if (progress.stage === 'applying') {
+    const notes = [];
+    if (progress.skippedProducts > 0) notes.push(`${progress.skippedProducts} kept a more specific commission`);
+    if (progress.failedProducts > 0) notes.push(`${progress.failedProducts} failed`);
+    return `${progress.processedProducts} of ${progress.totalProducts} products${notes.length ? ` (${notes.join(', ')})` : ''}`;
+  }
+  if (progress.stage === 'reverting') {
+    const notes = [];
+    if (progress.skippedChanges > 0) notes.push(`${progress.skippedChanges} left as they are`);
+    if (progress.failedChanges > 0) notes.push(`${progress.failedChanges} failed`);
+    return `${progress.processedChanges} of ${progress.totalChanges} changes reverted${notes.length ? ` (${notes.join(', ')})` : ''}`;
+  }
+  if (progress.stage === 'querying' && progress.objectCount > 0) {
+    return `${STAGE_LABELS.querying} ${progress.objectCount} found so far`;
+  }
+  return STAGE_LABELS[progress.stage] || 'Queued...';
+}
+
+export default function CommissionJobProgress({ shopId, jobId, title, onFinished, onDismiss }) {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const finishedRef = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const response = await fetch(`/api/jobs/${jobId}?shop=${shopId}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load job');
+        }
+        if (cancelled) return;
+
+        setJob(data);
+        setError(null);
+
+        if (data.status === 'completed' || data.status === 'failed') {
+          if (!finishedRef.current) {
+            finishedRef.current = true;
+            if (onFinished) onFinished(data);
+          }
+          return;
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.message);
+      }
+
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [shopId, jobId]);
+
+  if (job?.status === 'completed') {
+    return (
+      <Banner
+        tone={job.result?.failures?.length > 0 ? 'warning' : 'success'}
+        title={title}
+        onDismiss={onDismiss}
+      >
+        <BlockStack gap="100">
+          <p>{job.result?.message}</p>
+          {(job.result?.failures || []).map(failure => (
+            <Text key={failure.productId} as="p" variant="bodySm" tone="subdued">
+              {`${failure.title || failure.productId}: ${failure.error}`}
+            </Text>
+          ))}
+        </BlockStack>
+      </Banner>
+    );
+  }
+
+  if (job?.status === 'failed') {
+    return (
+      <Banner status="critical" title={title} onDismiss={onDismiss}>
+        <p>{FAILED_LABELS[job.type] || 'Applying the commission stopped'}: {job.error}</p>
+      </Banner>
+    );
+  }
+
+  const progress = job?.progress || {};
+  const [processed, total] = progress.stage === 'reverting'
+    ? [progress.processedChanges, progress.totalChanges]
+    : [progress.processedProducts, progress.totalProducts];
+  const counting = progress.stage === 'applying' || progress.stage === 'reverting';
+  const percent = counting && total > 0 ? Math.round((processed / total) * 100) : 0;
+
+  return (
+    <Card>
+      <BlockStack gap="200">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingSm" as="h3">{title}</Text>
+          {counting && <Text as="span" tone="subdued">{`${percent}%`}</Text>}
+        </InlineStack>
+        <ProgressBar progress={percent} size="small" />
+        <Text as="p" tone="subdued">{describeProgress(progress)}</Text>
+        {(error || job?.lastError) && (
+          <InlineStack gap="200" blockAlign="center">
+            <Text as="p" tone="caution">{`Retrying: ${error || job.lastError}`}</Text>
+            {onDismiss && <Button variant="plain" onClick={onDismiss}>Hide</Button>}
+          </InlineStack>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,33 @@
+import { FormLayout, TextField, Text, BlockStack } from '@shopify/polaris';
+import { validateCommissionLimits } from '../lib/commission-limits';
+import { DEFAULT_CURRENCY } from '../lib/currency';
+
+export function CommissionLimitsFields({ values, onChange, currency = DEFAULT_CURRENCY }) {
+  const error = validateCommissionLimits(values);
+
+  const field = (name, label) => (
+    <TextField
+      label={`${label} (${currency})`}
+      type="number"
+      value={values[name]}
+      onChange={(value) => onChange({ ...values, [name]: value })}
+      placeholder="No limit"
+      autoComplete="off"
+    />
+  );
+
+  return (
+    <BlockStack gap="200">
+      <Text variant="headingXs" as="h4">Caps and Floors (optional)</Text>
+      <FormLayout.Group>
+        {field('minPerUnit', 'Min per unit')}
+        {field('maxPerUnit', 'Max per unit')}
+      </FormLayout.Group>
+      <FormLayout.Group>
+        {field('minPerOrder', 'Min per order')}
+        {field('maxPerOrder', 'Max per order')}
+      </FormLayout.Group>
+      {error && <Text as="p" tone="critical">{error}</Text>}
+    </BlockStack>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { Modal, DataTable, Text, BlockStack, Banner, Badge, Spinner, InlineStack } from '@shopify/polaris';
+import { summarizeLimits } from '../lib/commission-limits';
+import { formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY, formatMoney } from '../lib/currency';
+
+/**
+ * Preview state for a bulk commission form
+ * `onPreview(type, id, commissionData)` resolves to the dry-run diff from the API.
+ */
+export function useCommissionPreview(onPreview) {
+  const [open, setOpen] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const show = async (type, id, commissionData) => {
+    setOpen(true);
+    setPreview(null);
+    setError(null);
+    setLoading(true);
+
+    try {
+      setPreview(await onPreview(type, id, commissionData));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return { open, preview, loading, error, show, close: () => setOpen(false) };
+}
+
+function formatRule(rule, currency) {
+  if (!rule) return 'None';
+
+  const rate = formatCommissionRate(rule.commission, rule.commissionType, currency);
+  const limits = summarizeLimits(rule.limits, currency);
+  return `${rate} (${rule.campaignName ? `campaign: ${rule.campaignName}` : rule.source})${limits ? `, ${limits}` : ''}`;
+}
+
+function formatChange(amount, currency, currencyCode) {
+  const formatted = formatMoney(Math.abs(amount), currency, currencyCode);
+
+  if (amount > 0) return `+${formatted}`;
+  if (amount < 0) return `-${formatted}`;
+  return formatted;
+}
+
+function statusBadge(product) {
+  if (product.status === 'keepsOwnRule') {
+    return <Badge tone="attention">{`Keeps its ${product.newCommission?.source} rule`}</Badge>;
+  }
+  if (product.status === 'unchanged') {
+    return <Badge>No change</Badge>;
+  }
+  return <Badge tone="info">Changes</Badge>;
+}
+
+export function CommissionPreviewModal({ state, title, onConfirm, confirming = false, currency = DEFAULT_SHOP_CURRENCY }) {
+  const { open, preview, loading, error, close } = state;
+  const summary = preview?.summary;
+
+  const rows = (preview?.products || []).map(product => [
+    product.title,
+    formatRule(product.currentCommission, currency),
+    formatRule(product.newCommission, currency),
+    product.status === 'changing' ? formatChange(product.amountChange, currency, product.currencyCode) : '-',
+    <BlockStack key={product.id} gap="100">
+      {statusBadge(product)}
+      {product.variantRules > 0 && (
+        <Text as="span" variant="bodySm" tone="subdued">
+          {`${product.variantRules} variant rule${product.variantRules === 1 ? '' : 's'} kept`}
+        </Text>
+      )}
+    </BlockStack>
+  ]);
+
+  return (
+    <Modal
+      open={open}
+      onClose={close}
+      title={title}
+      large
+      primaryAction={{
+        content: 'Apply Commission',
+        onAction: onConfirm,
+        loading: confirming,
+        disabled: loading || Boolean(error)
+      }}
+      secondaryActions={[{ content: 'Cancel', onAction: close }]}
+    >
+      <Modal.Section>
+        {loading && (
+          <InlineStack gap="200" blockAlign="center">
+            <Spinner size="small" />
+            <Text as="span" tone="subdued">Working out which products change...</Text>
+          </InlineStack>
+        )}
+
+        {error && (
+          <Banner status="critical">
+            <p>{`Couldn't preview this change: ${error}`}</p>
+          </Banner>
+        )}
+
+        {summary && (
+          <BlockStack gap="300">
+            <BlockStack gap="100">
+              <Text as="p">
+                {`${summary.changing} product${summary.changing === 1 ? '' : 's'} change, ${summary.unchanged} stay the same`}
+                {summary.keepingOwnRule > 0 && ` and ${summary.keepingOwnRule} keep a more specific rule, which is not overwritten`}.
+              </Text>
+              <Text as="p" tone="subdued">
+                {`Potential earnings per unit sold across the changing products: ${formatChange(summary.earningsChange, currency, preview.currencyCode)}`}
+              </Text>
+            </BlockStack>
+
+            {preview.truncated && (
+              <Banner tone="info">
+                <p>
+                  {summary.totalProducts > summary.listedProducts
+                    ? `Showing the first ${summary.listedProducts} of ${summary.totalProducts} products. The commission applies to all of them.`
+                    : `Showing the first ${summary.listedProducts} products. The commission applies to every product it covers.`}
+                </p>
+              </Banner>
+            )}
+
+            {rows.length > 0 ? (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'numeric', 'text']}
+                headings={['Product', 'Current', 'New', 'Change per unit', '']}
+                rows={rows}
+              />
+            ) : (
+              <Text as="p" tone="subdued">No products are covered by this rule yet.</Text>
+            )}
+          </BlockStack>
+        )}
+      </Modal.Section>
+    </Modal>
+  );
+}
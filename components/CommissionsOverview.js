@@ -1,12 +1,13 @@
 import { Card, DataTable, Text, Badge, InlineStack, Grid, Button } from '@shopify/polaris';
+import { formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY, formatMoney } from '../lib/currency';
 
-export function CommissionsOverview({ stats, commissions, onRefresh, showTable = false }) {
-  const formatCurrency = (amount, currencyCode = 'KES') => {
-    return new Intl.NumberFormat('en-KE', {
-      style: 'currency',
-      currency: 'KES',
-    }).format(amount);
-  };
+export function CommissionsOverview({ stats, commissions, onRefresh, showTable = false, currency = DEFAULT_SHOP_CURRENCY }) {
+  const formatCurrency = (amount, currencyCode) => formatMoney(amount, currency, currencyCode);
+  // Variants can earn different amounts, so show the range when they do
+  const formatRange = (min, max, currencyCode) => max !== undefined && max !== null && max !== min
+    ? `${formatCurrency(min, currencyCode)} – ${formatCurrency(max, currencyCode)}`
+    : formatCurrency(min, currencyCode);
 
   const StatCard = ({ title, value, subtitle, tone = 'default' }) => (
     <Card>
@@ -22,12 +23,10 @@ export function CommissionsOverview({ stats, commissions, onRefresh, showTable =
 
   const commissionRows = showTable && commissions ? commissions.map((commission) => {
     const isPercentage = commission.commissionType === 'percentage';
-    const commissionDisplay = isPercentage 
-      ? `${commission.commission}%`
-      : `${commission.commission}`;
+    const commissionDisplay = formatCommissionRate(commission.commission, commission.commissionType, currency);
     
-    const commissionAmount = commission.commissionAmount 
-      ? formatCurrency(commission.commissionAmount, commission.currencyCode)
+    const commissionAmount = commission.commissionAmount || commission.commissionAmountMax
+      ? formatRange(commission.commissionAmount, commission.commissionAmountMax, commission.currencyCode)
       : 'N/A';
     
     return [
@@ -37,7 +36,7 @@ export function CommissionsOverview({ stats, commissions, onRefresh, showTable =
       </Badge>,
       commissionDisplay,
       commission.type === 'product' 
-        ? formatCurrency(commission.productPrice || 0, commission.currencyCode)
+        ? formatRange(commission.productPrice || 0, commission.productPriceMax, commission.currencyCode)
         : `${commission.productsCount || 0} products`,
       commissionAmount,
       commission.createdAt ? new Date(commission.createdAt).toLocaleDateString() : 'N/A',
@@ -85,8 +84,8 @@ export function CommissionsOverview({ stats, commissions, onRefresh, showTable =
                 <Grid.Cell columnSpan={{xs: 6, sm: 3, md: 3, lg: 3, xl: 3}}>
                   <StatCard
                     title="Total Commissions Amount"
-                    value={formatCurrency(stats.totalPotentialEarnings || 0)}
-                    subtitle="Based on current prices"
+                    value={formatRange(stats.totalPotentialEarnings || 0, stats.totalPotentialEarningsMax)}
+                    subtitle="One unit of each product, cheapest to priciest variant"
                     tone="warning"
                   />
                 </Grid.Cell>
@@ -118,10 +117,7 @@ export function CommissionsOverview({ stats, commissions, onRefresh, showTable =
                   <InlineStack gap="400" align="space-between" blockAlign="start">
                     <Text>Highest Commission</Text>
                     <Text>
-                      {stats.highestCommission.commissionType === 'percentage' 
-                        ? `${stats.highestCommission.commission}%` 
-                        : `${formatCurrency(stats.highestCommission.commission)}`
-                      } ({stats.highestCommission.type})
+                      {formatCommissionRate(stats.highestCommission.commission, stats.highestCommission.commissionType, currency)} ({stats.highestCommission.type})
                     </Text>
                   </InlineStack>
                 )}
@@ -156,10 +152,7 @@ export function CommissionsOverview({ stats, commissions, onRefresh, showTable =
             <InlineStack gap="400" align="space-between">
               <Text>Highest Commission</Text>
               <Text>
-                {stats.highestCommission.commissionType === 'percentage' 
-                  ? `${stats.highestCommission.commission}%` 
-                  : `${formatCurrency(stats.highestCommission.commission)}`
-                } ({stats.highestCommission.type})
+                {formatCommissionRate(stats.highestCommission.commission, stats.highestCommission.commissionType, currency)} ({stats.highestCommission.type})
               </Text>
             </InlineStack>
           )}
@@ -1,21 +1,21 @@
 import { Card, DataTable, Text, Badge, InlineStack } from '@shopify/polaris';
+import { formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY, formatMoney } from '../lib/currency';
 
-export function CommissionsView({ commissions, onUpdate }) {
-  const formatCurrency = (amount, currencyCode = 'USD') => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currencyCode,
-    }).format(amount);
-  };
+export function CommissionsView({ commissions, onUpdate, currency = DEFAULT_SHOP_CURRENCY }) {
+  const formatCurrency = (amount, currencyCode) => formatMoney(amount, currency, currencyCode);
+  const formatRange = (min, max, currencyCode) => max !== undefined && max !== null && max !== min
+    ? `${formatCurrency(min, currencyCode)} – ${formatCurrency(max, currencyCode)}`
+    : formatCurrency(min, currencyCode);
 
   const rows = commissions.map((commission) => [
     commission.type === 'product' ? commission.productTitle : commission.collectionTitle,
     <Badge tone={commission.type === 'product' ? 'info' : 'success'}>
       {commission.type === 'product' ? 'Product' : 'Collection'}
     </Badge>,
-    `${commission.commission}%`,
+    formatCommissionRate(commission.commission, commission.commissionType, currency),
     commission.type === 'product' 
-      ? formatCurrency(commission.productPrice || 0, commission.currencyCode)
+      ? formatRange(commission.productPrice || 0, commission.productPriceMax, commission.currencyCode)
       : `${commission.productsCount || 0} products`,
     commission.createdAt ? new Date(commission.createdAt).toLocaleDateString() : 'N/A',
   ]);
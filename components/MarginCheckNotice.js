@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+import { Text, BlockStack } from '@shopify/polaris';
+
+/**
+ * Re-run the margin check (debounced) while a commission is being edited
+ * `onCheckMargins` resolves to the /api/commissions/margin-check response, or null.
+ */
+export function useMarginCheck(onCheckMargins, commissionData) {
+  const [check, setCheck] = useState(null);
+  const key = JSON.stringify(commissionData);
+
+  useEffect(() => {
+    if (!onCheckMargins || !commissionData) {
+      setCheck(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await onCheckMargins(commissionData);
+      if (!cancelled) setCheck(result);
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [key]);
+
+  return check;
+}
+
+export function MarginCheckNotice({ check }) {
+  if (!check || check.mode === 'off') return null;
+
+  if (check.violations.length > 0) {
+    return (
+      <BlockStack gap="100">
+        <Text as="p" tone="critical">{check.message}</Text>
+        {check.mode === 'block' && (
+          <Text as="p" tone="critical">Lower the commission to save it.</Text>
+        )}
+      </BlockStack>
+    );
+  }
+
+  if (check.checked === 0) {
+    return (
+      <Text as="p" tone="subdued">
+        Margins can't be checked until products have a unit cost in Shopify.
+      </Text>
+    );
+  }
+
+  return (
+    <Text as="p" tone="success">
+      {`All ${check.checked} checked variants keep at least a ${check.minMarginPercent}% margin${check.truncated ? ' (sampled)' : ''}.`}
+    </Text>
+  );
+}
@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import { Card, Button, Text, BlockStack, InlineStack, Banner, Spinner, FormLayout, TextField, Select } from '@shopify/polaris';
+
+const MODE_OPTIONS = [
+  { label: 'Off - don\'t check margins', value: 'off' },
+  { label: 'Warn - save and show a warning', value: 'warn' },
+  { label: 'Block - refuse to save', value: 'block' }
+];
+
+export default function MarginGuardrailSettings({ shopId }) {
+  const [settings, setSettings] = useState({ minMarginPercent: '0', marginGuardrail: 'warn' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadSettings();
+  }, [shopId]);
+
+  const loadSettings = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/settings?shop=${shopId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load settings');
+      }
+
+      setSettings({
+        minMarginPercent: String(data.minMarginPercent),
+        marginGuardrail: data.marginGuardrail
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveSettings = async () => {
+    try {
+      setSaving(true);
+      setSaved(false);
+      setError(null);
+
+      const response = await fetch(`/api/settings?shop=${shopId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          minMarginPercent: parseFloat(settings.minMarginPercent),
+          marginGuardrail: settings.marginGuardrail
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save settings');
+      }
+
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Card>
+        <div style={{ padding: '32px', textAlign: 'center' }}>
+          <Spinner size="large" />
+          <Text variant="bodyMd" as="p" tone="subdued">
+            Loading margin settings...
+          </Text>
+        </div>
+      </Card>
+    );
+  }
+
+  const invalid = settings.minMarginPercent === '' || isNaN(settings.minMarginPercent);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        {error && (
+          <Banner status="critical" onDismiss={() => setError(null)}>
+            {error}
+          </Banner>
+        )}
+        {saved && (
+          <Banner tone="success" onDismiss={() => setSaved(false)}>
+            Margin settings saved
+          </Banner>
+        )}
+
+        <BlockStack gap="100">
+          <Text variant="headingMd" as="h3">Margin Guardrails</Text>
+          <Text as="p" tone="subdued">
+            Checks new commissions against each variant's unit cost in Shopify. Variants without a unit cost are skipped.
+          </Text>
+        </BlockStack>
+
+        <FormLayout>
+          <FormLayout.Group>
+            <TextField
+              label="Minimum margin after commission (%)"
+              type="number"
+              value={settings.minMarginPercent}
+              onChange={(value) => setSettings(prev => ({ ...prev, minMarginPercent: value }))}
+              helpText="Price minus unit cost and commission, as a percentage of price"
+              error={invalid ? 'Enter a number' : undefined}
+              autoComplete="off"
+            />
+            <Select
+              label="When a commission goes below it"
+              options={MODE_OPTIONS}
+              value={settings.marginGuardrail}
+              onChange={(value) => setSettings(prev => ({ ...prev, marginGuardrail: value }))}
+            />
+          </FormLayout.Group>
+        </FormLayout>
+
+        <InlineStack align="end">
+          <Button variant="primary" onClick={saveSettings} loading={saving} disabled={invalid}>
+            Save
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
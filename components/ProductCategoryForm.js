@@ -1,11 +1,30 @@
 import { useState, useEffect } from 'react';
 import { Card, FormLayout, TextField, Button, BlockStack, InlineStack, Badge, Text, RadioButton, DataTable, Collapsible, Icon } from '@shopify/polaris';
 import { ChevronDownIcon, ChevronRightIcon } from '@shopify/polaris-icons';
+import { CommissionLimitsFields } from './CommissionLimitsFields';
+import { MarginCheckNotice, useMarginCheck } from './MarginCheckNotice';
+import { CommissionPreviewModal, useCommissionPreview } from './CommissionPreviewModal';
+import { limitCommission, normalizeCommissionLimits, summarizeLimits, toLimitInputs } from '../lib/commission-limits';
+import { validateCommissionInput, formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY, formatMoney } from '../lib/currency';
 
-export function ProductCategoryForm({ category, onSave, appliedCommissions = [] }) {
+export function ProductCategoryForm({ category, onSave, onCheckMargins, onPreview, appliedCommissions = [], currency = DEFAULT_SHOP_CURRENCY }) {
   const [commission, setCommission] = useState('');
   const [commissionType, setCommissionType] = useState('percentage');
+  const [limits, setLimits] = useState(toLimitInputs(null));
   const [loading, setLoading] = useState(false);
+  const fieldErrors = validateCommissionInput({ commission, commissionType, limits });
+  const isValid = Object.keys(fieldErrors).length === 0;
+  const marginCheck = useMarginCheck(
+    onCheckMargins && isValid
+      ? (data) => onCheckMargins('category', category.name, data)
+      : null,
+    isValid
+      ? { commission: parseFloat(commission), commissionType, limits: normalizeCommissionLimits(limits) }
+      : null
+  );
+  const marginBlocked = marginCheck?.mode === 'block' && marginCheck.violations.length > 0;
+  const preview = useCommissionPreview(onPreview);
   const [expanded, setExpanded] = useState(false);
 
   // Get applied commission info for this category
@@ -25,37 +44,45 @@ export function ProductCategoryForm({ category, onSave, appliedCommissions = []
     return sum + (comm.commissionAmount || 0);
   }, 0);
 
+  const buildCommissionData = () => ({
+    commission: parseFloat(commission),
+    commissionType,
+    currency: currency.currencyCode,
+    limits: normalizeCommissionLimits(limits)
+  });
+
   const handleSave = async () => {
-    if (!commission || isNaN(commission)) return;
+    if (!isValid) return;
     
     setLoading(true);
     try {
-      await onSave(category.name, {
-        commission: parseFloat(commission),
-        commissionType,
-        currency: 'KES'
-      }, true, 'category');
+      await onSave(category.name, buildCommissionData(), true, 'category');
       setCommission('');
+      preview.close();
     } finally {
       setLoading(false);
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-KE', {
-      style: 'currency',
-      currency: 'KES',
-    }).format(amount);
+  // Show what would change before anything is written
+  const handleReview = () => {
+    if (!isValid) return;
+    if (!onPreview) return handleSave();
+    preview.show('category', category.name, buildCommissionData());
   };
 
+  const formatCurrency = (amount) => formatMoney(amount, currency);
+
   // Prepare commission details for the collapsible table
   const commissionRows = categoryCommissions.map(comm => [
     comm.productTitle || 'Unknown Product',
-    comm.commissionType === 'percentage' ? `${comm.commission}%` : `${comm.commission}`,
+    formatCommissionRate(comm.commission, comm.commissionType, currency),
     <Badge tone={comm.commissionType === 'percentage' ? 'info' : 'warning'}>
       {comm.commissionType === 'percentage' ? 'Percentage' : 'Amount'}
     </Badge>,
-    formatCurrency(comm.commissionAmount || 0),
+    comm.limitApplied
+      ? `${formatCurrency(comm.commissionAmount || 0)} (capped)`
+      : formatCurrency(comm.commissionAmount || 0),
     new Date(comm.updatedAt).toLocaleDateString()
   ]);
 
@@ -146,7 +173,7 @@ export function ProductCategoryForm({ category, onSave, appliedCommissions = []
                     onChange={() => setCommissionType('percentage')}
                   />
                   <RadioButton
-                    label="Fixed Amount (KES)"
+                    label={`Fixed Amount (${currency.currencyCode})`}
                     checked={commissionType === 'amount'}
                     id={`amount-${category.name}`}
                     name={`${category.name}CommissionType`}
@@ -155,24 +182,29 @@ export function ProductCategoryForm({ category, onSave, appliedCommissions = []
                 </BlockStack>
                 
                 <TextField
-                  label={commissionType === 'percentage' ? 'Category Commission (%)' : 'Category Commission (KES)'}
+                  label={commissionType === 'percentage' ? 'Category Commission (%)' : `Category Commission (${currency.currencyCode})`}
                   type="number"
                   value={commission}
                   onChange={setCommission}
+                  error={commission !== '' ? fieldErrors.commission : undefined}
                   placeholder={commissionType === 'percentage' ? 'e.g., 12.0' : 'e.g., 1500'}
                   helpText={commissionType === 'percentage' 
                     ? 'This commission percentage will apply to all products in this category'
-                    : 'This fixed commission amount (KES) will apply to all products in this category'
+                    : `This fixed commission amount (${currency.currencyCode}) will apply to all products in this category`
                   }
                   step={commissionType === 'percentage' ? '0.1' : '1'}
                 />
+
+                <CommissionLimitsFields values={limits} onChange={setLimits} currency={currency.currencyCode} />
+
+                <MarginCheckNotice check={marginCheck} />
                 
                 <InlineStack gap="200">
                   <Button
                     variant="primary"
-                    onClick={handleSave}
+                    onClick={handleReview}
                     loading={loading}
-                    disabled={!commission || isNaN(commission)}
+                    disabled={!isValid || marginBlocked}
                   >
                     Apply to {category.productCount} Products
                   </Button>
@@ -191,10 +223,10 @@ export function ProductCategoryForm({ category, onSave, appliedCommissions = []
                     <BlockStack gap="200">
                       <Text variant="headingXs" as="h4">Bulk Action Preview</Text>
                       <Text as="p" tone="subdued">
-                        This will set {commissionType === 'percentage' ? `${commission}% commission` : `KES ${commission} fixed commission`} on all {category.productCount} products in the "{category.name}" category.
+                        This will set {commissionType === 'percentage' ? `${commission}% commission` : `${formatCurrency(commission)} fixed commission`} on all {category.productCount} products in the "{category.name}" category.
                       </Text>
                       <Text as="p" tone="warning">
-                        ⚠️ This will override any existing commissions on these products.
+                        Products with their own or a collection commission keep it. Review the affected products before applying.
                       </Text>
                       {commissionType === 'percentage' && category.productCount > 0 && (
                         <Text as="p" tone="success">
@@ -203,7 +235,14 @@ export function ProductCategoryForm({ category, onSave, appliedCommissions = []
                       )}
                       {commissionType === 'amount' && category.productCount > 0 && (
                         <Text as="p" tone="success">
-                          📊 Total commission value: {formatCurrency(parseFloat(commission) * category.productCount)}
+                          📊 Total commission value: {formatCurrency(
+                            limitCommission(normalizeCommissionLimits(limits), parseFloat(commission)).amount * category.productCount
+                          )}
+                        </Text>
+                      )}
+                      {normalizeCommissionLimits(limits) && (
+                        <Text as="p" tone="caution">
+                          Commission on these products is capped: {summarizeLimits(limits, currency)}.
                         </Text>
                       )}
                     </BlockStack>
@@ -214,6 +253,14 @@ export function ProductCategoryForm({ category, onSave, appliedCommissions = []
           </Card>
         </BlockStack>
       </div>
+
+      <CommissionPreviewModal
+        state={preview}
+        title={`Apply commission to ${category.name}`}
+        onConfirm={handleSave}
+        confirming={loading}
+        currency={currency}
+      />
     </Card>
   );
 }
\ No newline at end of file
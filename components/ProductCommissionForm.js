@@ -1,28 +1,25 @@
 import { useState } from 'react';
 import { Card, FormLayout, TextField, Button, BlockStack, InlineStack, Badge, Text, Thumbnail, RadioButton } from '@shopify/polaris';
+import { normalizeCommissionType, validateCommissionInput, formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY, formatMoney } from '../lib/currency';
 
-export function ProductCommissionForm({ product, onSave, onRemove }) {
+export function ProductCommissionForm({ product, onSave, onRemove, currency = DEFAULT_SHOP_CURRENCY }) {
   const [commission, setCommission] = useState(
     product.commission?.commission?.toString() || ''
   );
   const [commissionType, setCommissionType] = useState(
-    product.commission?.commissionType || 'percentage'
+    normalizeCommissionType(product.commission?.commissionType)
   );
   const [loading, setLoading] = useState(false);
+  const fieldErrors = validateCommissionInput({ commission, commissionType });
+  const isValid = Object.keys(fieldErrors).length === 0;
 
   const formatPrice = (priceRange) => {
     if (!priceRange) return 'No price available';
     
     const minPrice = parseFloat(priceRange.minVariantPrice.amount);
     const maxPrice = parseFloat(priceRange.maxVariantPrice.amount);
-    const currency = priceRange.minVariantPrice.currencyCode;
-    
-    const formatCurrency = (amount) => {
-      return new Intl.NumberFormat('en-KE', {
-        style: 'currency',
-        currency: 'KES',
-      }).format(amount);
-    };
+    const formatCurrency = (amount) => formatMoney(amount, currency, priceRange.minVariantPrice.currencyCode);
     
     if (minPrice === maxPrice) {
       return formatCurrency(minPrice);
@@ -32,14 +29,14 @@ export function ProductCommissionForm({ product, onSave, onRemove }) {
   };
 
   const handleSave = async () => {
-    if (!commission || isNaN(commission)) return;
+    if (!isValid) return;
     
     setLoading(true);
     try {
       await onSave(product.id, {
         commission: parseFloat(commission),
         commissionType,
-        currency: 'KES'
+        currency: currency.currencyCode
       });
     } finally {
       setLoading(false);
@@ -98,26 +95,27 @@ export function ProductCommissionForm({ product, onSave, onRemove }) {
                 onChange={() => setCommissionType('percentage')}
               />
               <RadioButton
-                label="Fixed Amount (KES)"
-                checked={commissionType === 'fixed'}
-                id="fixed"
+                label={`Fixed Amount (${currency.currencyCode})`}
+                checked={commissionType === 'amount'}
+                id="amount"
                 name="commissionType"
-                onChange={() => setCommissionType('fixed')}
+                onChange={() => setCommissionType('amount')}
               />
             </BlockStack>
             
             <TextField
-              label={commissionType === 'percentage' ? 'Commission Percentage (%)' : 'Commission Amount (KES)'}
+              label={commissionType === 'percentage' ? 'Commission Percentage (%)' : `Commission Amount (${currency.currencyCode})`}
               type="number"
               value={commission}
               onChange={setCommission}
+              error={commission !== '' ? fieldErrors.commission : undefined}
               placeholder={commissionType === 'percentage' ? 'e.g., 10.5' : 'e.g., 1500'}
               helpText={
                 product.commission?.source === 'collection'
-                  ? `Currently using collection rule: ${product.commission.commission}${product.commission.commissionType === 'percentage' ? '%' : ' KES'}`
+                  ? `Currently using collection rule: ${formatCommissionRate(product.commission.commission, product.commission.commissionType, currency)}`
                   : commissionType === 'percentage' 
                     ? 'Set commission percentage for this product'
-                    : 'Set fixed commission amount in KES'
+                    : `Set fixed commission amount in ${currency.currencyCode}`
               }
               step={commissionType === 'percentage' ? '0.1' : '1'}
             />
@@ -127,7 +125,7 @@ export function ProductCommissionForm({ product, onSave, onRemove }) {
                 variant="primary"
                 onClick={handleSave}
                 loading={loading}
-                disabled={!commission || isNaN(commission)}
+                disabled={!isValid}
               >
                 Set Commission
               </Button>
@@ -1,25 +1,39 @@
 import { useState } from 'react';
-import { Card, DataTable, Button, Modal, FormLayout, TextField, InlineStack, Badge, Text, Thumbnail, BlockStack, RadioButton } from '@shopify/polaris';
+import { Card, DataTable, Button, Modal, FormLayout, TextField, InlineStack, Badge, Text, Thumbnail, BlockStack, RadioButton, Spinner } from '@shopify/polaris';
+import { CommissionLimitsFields } from './CommissionLimitsFields';
+import { limitCommission, normalizeCommissionLimits, describeAppliedLimit, toLimitInputs } from '../lib/commission-limits';
+import { normalizeCommissionType, validateCommissionInput, formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY, formatMoney } from '../lib/currency';
+import { calculateMargin, commissionPerUnit } from '../lib/margins';
 
-export function ProductTable({ products, onProductSelect, onSave, onRemove, selectedProduct }) {
+/**
+ * Lowest margin (%) across variants with a known unit cost, or null when none have one
+ */
+function lowestMargin(variantCosts, rule) {
+  const margins = (variantCosts || [])
+    .filter(variant => variant.unitCost !== null && variant.unitCost !== undefined)
+    .map(variant => calculateMargin(variant.price, variant.unitCost, commissionPerUnit(rule, variant.price)).marginPercent);
+
+  return margins.length > 0 ? Math.min(...margins) : null;
+}
+
+export function ProductTable({ products, onProductSelect, onSave, onSaveVariant, onLoadVariants, onRemove, selectedProduct, marginSettings = null, currency = DEFAULT_SHOP_CURRENCY }) {
   const [modalOpen, setModalOpen] = useState(false);
   const [commission, setCommission] = useState('');
   const [commissionType, setCommissionType] = useState('percentage');
   const [loading, setLoading] = useState(false);
+  const [expandedProduct, setExpandedProduct] = useState(null);
+  const [variants, setVariants] = useState([]);
+  const [variantsLoading, setVariantsLoading] = useState(false);
+  const [editingVariant, setEditingVariant] = useState(null);
+  const [limits, setLimits] = useState(toLimitInputs(null));
 
   const formatPrice = (priceRange) => {
     if (!priceRange) return 'N/A';
     
     const minPrice = parseFloat(priceRange.minVariantPrice.amount);
     const maxPrice = parseFloat(priceRange.maxVariantPrice.amount);
-    const currency = priceRange.minVariantPrice.currencyCode;
-    
-    const formatCurrency = (amount) => {
-      return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: currency,
-      }).format(amount);
-    };
+    const formatCurrency = (amount) => formatMoney(amount, currency, priceRange.minVariantPrice.currencyCode);
     
     if (minPrice === maxPrice) {
       return formatCurrency(minPrice);
@@ -31,7 +45,6 @@ export function ProductTable({ products, onProductSelect, onSave, onRemove, sele
   const calculateCommissionAmount = (product) => {
     if (!product.commission || !product.priceRangeV2) return 'N/A';
     
-    const currency = product.priceRangeV2.minVariantPrice.currencyCode;
     let commissionAmount;
     
     if (product.commission.commissionType === 'amount') {
@@ -43,30 +56,85 @@ export function ProductTable({ products, onProductSelect, onSave, onRemove, sele
       const commissionPercent = product.commission.commission;
       commissionAmount = (price * commissionPercent) / 100;
     }
-    
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency,
-    }).format(commissionAmount);
+
+    const { amount, appliedLimit } = limitCommission(product.commission.limits, commissionAmount);
+    const formatted = formatMoney(amount, currency, product.priceRangeV2.minVariantPrice.currencyCode);
+
+    return appliedLimit ? (
+      <BlockStack gap="100">
+        <Text>{formatted}</Text>
+        <Text variant="bodySm" tone="subdued">{describeAppliedLimit(appliedLimit, product.commission.limits, currency)}</Text>
+      </BlockStack>
+    ) : formatted;
+  };
+
+  const isBelowMinimumMargin = (margin) =>
+    Boolean(marginSettings) && marginSettings.marginGuardrail !== 'off' &&
+    margin !== null && margin < marginSettings.minMarginPercent;
+
+  const formatVariantAmount = (amount) =>
+    formatMoney(amount, currency, expandedProduct?.priceRangeV2?.minVariantPrice?.currencyCode);
+
+  const loadVariants = async (product) => {
+    setVariantsLoading(true);
+    try {
+      setVariants(await onLoadVariants(product.id));
+    } finally {
+      setVariantsLoading(false);
+    }
+  };
+
+  const handleToggleVariants = async (product) => {
+    if (expandedProduct?.id === product.id) {
+      setExpandedProduct(null);
+      setVariants([]);
+      return;
+    }
+
+    setExpandedProduct(product);
+    setVariants([]);
+    await loadVariants(product);
   };
 
   const handleRowClick = (product) => {
     onProductSelect(product);
+    setEditingVariant(null);
     setCommission(product.commission?.commission?.toString() || '');
-    setCommissionType(product.commission?.commissionType || 'percentage');
+    setCommissionType(normalizeCommissionType(product.commission?.commissionType));
+    setLimits(toLimitInputs(product.commission?.source === 'product' ? product.commission.limits : null));
+    setModalOpen(true);
+  };
+
+  const handleVariantClick = (variant) => {
+    onProductSelect(expandedProduct);
+    setEditingVariant(variant);
+    setCommission(variant.commission?.source === 'variant' ? variant.commission.commission.toString() : '');
+    setCommissionType(normalizeCommissionType(variant.commission?.commissionType));
+    setLimits(toLimitInputs(variant.commission?.source === 'variant' ? variant.commission.limits : null));
     setModalOpen(true);
   };
 
+  const fieldErrors = validateCommissionInput({ commission, commissionType, limits });
+  const isValid = Object.keys(fieldErrors).length === 0;
+
   const handleSave = async () => {
-    if (!commission || isNaN(commission) || !selectedProduct) return;
+    if (!isValid || !selectedProduct) return;
     
     setLoading(true);
     try {
-      await onSave(selectedProduct.id, {
+      const commissionData = {
         commission: parseFloat(commission),
         commissionType,
-        currency: 'KES'
-      });
+        currency: currency.currencyCode,
+        limits: normalizeCommissionLimits(limits)
+      };
+
+      if (editingVariant) {
+        await onSaveVariant(selectedProduct.id, editingVariant.id, commissionData);
+        await loadVariants(selectedProduct);
+      } else {
+        await onSave(selectedProduct.id, commissionData);
+      }
       setModalOpen(false);
       setCommission('');
     } finally {
@@ -75,11 +143,17 @@ export function ProductTable({ products, onProductSelect, onSave, onRemove, sele
   };
 
   const handleRemove = async () => {
-    if (!selectedProduct?.commission) return;
+    const current = editingVariant ? editingVariant.commission : selectedProduct?.commission;
+    if (!current) return;
     
     setLoading(true);
     try {
-      await onRemove(selectedProduct.commission.source, selectedProduct.commission.id);
+      if (editingVariant) {
+        await onRemove('variant', editingVariant.id);
+        await loadVariants(selectedProduct);
+      } else {
+        await onRemove(current.source, current.id);
+      }
       setModalOpen(false);
       setCommission('');
     } finally {
@@ -87,6 +161,28 @@ export function ProductTable({ products, onProductSelect, onSave, onRemove, sele
     }
   };
 
+  const editingCommission = editingVariant ? editingVariant.commission : selectedProduct?.commission;
+  const ownLevel = editingVariant ? 'variant' : 'product';
+  const previewPrice = editingVariant
+    ? parseFloat(editingVariant.price)
+    : parseFloat(selectedProduct?.priceRangeV2?.minVariantPrice?.amount || 0);
+  const previewLimits = normalizeCommissionLimits(limits);
+  const previewMargin = commission && !isNaN(commission)
+    ? lowestMargin(
+      editingVariant
+        ? [{ price: previewPrice, unitCost: editingVariant.unitCost }]
+        : selectedProduct?.variantCosts,
+      { commission: parseFloat(commission), commissionType, limits: previewLimits }
+    )
+    : null;
+  const marginBlocked = marginSettings?.marginGuardrail === 'block' && isBelowMinimumMargin(previewMargin);
+  const preview = commission && !isNaN(commission)
+    ? limitCommission(
+      previewLimits,
+      commissionType === 'percentage' ? (previewPrice * parseFloat(commission)) / 100 : parseFloat(commission)
+    )
+    : null;
+
   const rows = products.map((product) => [
     <InlineStack gap="200" blockAlign="center">
       {product.featuredImage && (
@@ -109,22 +205,71 @@ export function ProductTable({ products, onProductSelect, onSave, onRemove, sele
     product.commission ? (
       <InlineStack gap="200">
         <Badge tone={product.commission.source === 'product' ? 'success' : 'info'}>
-          {product.commission.commissionType === 'percentage' 
-            ? `${product.commission.commission}%` 
-            : product.commission.commission
-          }
+          {formatCommissionRate(product.commission.commission, product.commission.commissionType, currency)}
         </Badge>
         <Text tone="subdued">
-          ({product.commission.commissionType === 'percentage' ? 'Percentage' : 'Amount'})
+          ({product.commission.commissionType === 'percentage' ? 'Percentage' : 'Amount'}{product.commission.source !== 'product' ? `, from ${product.commission.source}` : ''})
         </Text>
       </InlineStack>
     ) : (
       <Text tone="subdued">No commission</Text>
     ),
-    product.commission ? calculateCommissionAmount(product) : 'N/A',
+    product.commission ? (
+      <BlockStack gap="100">
+        {calculateCommissionAmount(product)}
+        {isBelowMinimumMargin(lowestMargin(product.variantCosts, product.commission)) && (
+          <Badge tone="critical">Low margin</Badge>
+        )}
+      </BlockStack>
+    ) : 'N/A',
+    <InlineStack gap="200">
+      <Button
+        size="slim"
+        onClick={() => handleRowClick(product)}
+      >
+        Edit Commission
+      </Button>
+      {product.hasOnlyDefaultVariant === false && (
+        <Button
+          size="slim"
+          variant="plain"
+          onClick={() => handleToggleVariants(product)}
+        >
+          {expandedProduct?.id === product.id ? 'Hide Variants' : `Variants (${product.totalVariants || ''})`}
+        </Button>
+      )}
+    </InlineStack>,
+  ]);
+
+  const variantRows = variants.map((variant) => [
+    <BlockStack gap="100">
+      <Text variant="bodyMd" fontWeight="semibold">{variant.title}</Text>
+      {variant.sku && <Text as="p" tone="subdued">SKU: {variant.sku}</Text>}
+    </BlockStack>,
+    formatVariantAmount(parseFloat(variant.price)),
+    variant.commission ? (
+      <InlineStack gap="200">
+        <Badge tone={variant.commission.source === 'variant' ? 'success' : 'info'}>
+          {formatCommissionRate(variant.commission.commission, variant.commission.commissionType, currency)}
+        </Badge>
+        {variant.commission.source !== 'variant' && (
+          <Text tone="subdued">(from {variant.commission.source})</Text>
+        )}
+      </InlineStack>
+    ) : (
+      <Text tone="subdued">No commission</Text>
+    ),
+    variant.commissionAmount !== null ? (
+      <BlockStack gap="100">
+        {formatVariantAmount(variant.commissionAmount)}
+        {isBelowMinimumMargin(lowestMargin([{ price: parseFloat(variant.price), unitCost: variant.unitCost }], variant.commission)) && (
+          <Badge tone="critical">Low margin</Badge>
+        )}
+      </BlockStack>
+    ) : 'N/A',
     <Button
       size="slim"
-      onClick={() => handleRowClick(product)}
+      onClick={() => handleVariantClick(variant)}
     >
       Edit Commission
     </Button>,
@@ -171,22 +316,53 @@ export function ProductTable({ products, onProductSelect, onSave, onRemove, sele
         </div>
       </Card>
 
+      {expandedProduct && (
+        <Card>
+          <div style={{ padding: '16px' }}>
+            <Text variant="headingMd" as="h3">
+              Variants - {expandedProduct.title}
+            </Text>
+            <Text as="p" tone="subdued">
+              A variant commission overrides the product's commission for that variant only.
+            </Text>
+
+            {variantsLoading ? (
+              <div style={{ textAlign: 'center', padding: '32px' }}>
+                <Spinner size="large" />
+              </div>
+            ) : (
+              <div style={{ marginTop: '16px' }}>
+                <DataTable
+                  columnContentTypes={['text', 'text', 'text', 'text', 'text']}
+                  headings={['Variant', 'Price', 'Commission', 'Commission Amount', 'Actions']}
+                  rows={variantRows}
+                  hoverable
+                />
+              </div>
+            )}
+          </div>
+        </Card>
+      )}
+
       <Modal
         open={modalOpen}
         onClose={() => setModalOpen(false)}
-        title={`Edit Commission - ${selectedProduct?.title}`}
+        title={editingVariant
+          ? `Edit Commission - ${selectedProduct?.title} / ${editingVariant.title}`
+          : `Edit Commission - ${selectedProduct?.title}`
+        }
         primaryAction={{
           content: 'Save Commission',
           onAction: handleSave,
           loading,
-          disabled: !commission || isNaN(commission),
+          disabled: !isValid || marginBlocked,
         }}
         secondaryActions={[
           {
             content: 'Cancel',
             onAction: () => setModalOpen(false),
           },
-          ...(selectedProduct?.commission?.source === 'product' ? [{
+          ...(editingCommission?.source === ownLevel ? [{
             content: 'Remove Commission',
             onAction: handleRemove,
             loading,
@@ -206,7 +382,7 @@ export function ProductTable({ products, onProductSelect, onSave, onRemove, sele
                 onChange={() => setCommissionType('percentage')}
               />
               <RadioButton
-                label="Fixed Amount (KES)"
+                label={`Fixed Amount (${currency.currencyCode})`}
                 checked={commissionType === 'amount'}
                 id="amount-product"
                 name="productCommissionType"
@@ -215,46 +391,72 @@ export function ProductTable({ products, onProductSelect, onSave, onRemove, sele
             </BlockStack>
             
             <TextField
-              label={commissionType === 'percentage' ? 'Commission Percentage (%)' : 'Commission Amount (KES)'}
+              label={commissionType === 'percentage' ? 'Commission Percentage (%)' : `Commission Amount (${currency.currencyCode})`}
               type="number"
               value={commission}
               onChange={setCommission}
+              error={commission !== '' ? fieldErrors.commission : undefined}
               placeholder={commissionType === 'percentage' ? 'e.g., 10.5' : 'e.g., 1500'}
               helpText={
-                selectedProduct?.commission?.source === 'collection'
-                  ? `Currently using collection rule: ${selectedProduct.commission.commission}${selectedProduct.commission.commissionType === 'percentage' ? '%' : ' KES'}`
+                editingCommission && editingCommission.source !== ownLevel
+                  ? `Currently using ${editingCommission.source} rule: ${formatCommissionRate(editingCommission.commission, editingCommission.commissionType, currency)}`
                   : commissionType === 'percentage' 
-                    ? 'Set commission percentage for this product'
-                    : 'Set fixed commission amount in KES'
+                    ? `Set commission percentage for this ${ownLevel}`
+                    : `Set fixed commission amount in ${currency.currencyCode}`
               }
               step={commissionType === 'percentage' ? '0.1' : '1'}
             />
+
+            <CommissionLimitsFields values={limits} onChange={setLimits} currency={currency.currencyCode} />
             
             {selectedProduct && (
               <div style={{ marginTop: '16px', padding: '16px', backgroundColor: '#f6f6f7', borderRadius: '8px' }}>
                 <Text variant="headingXs" as="h4">Commission Preview</Text>
                 <InlineStack gap="400" align="space-between">
-                  <Text>Product Price:</Text>
-                  <Text fontWeight="semibold">{formatPrice(selectedProduct.priceRangeV2)}</Text>
+                  <Text>{editingVariant ? 'Variant Price:' : 'Product Price:'}</Text>
+                  <Text fontWeight="semibold">
+                    {editingVariant ? formatVariantAmount(previewPrice) : formatPrice(selectedProduct.priceRangeV2)}
+                  </Text>
                 </InlineStack>
                 {commission && !isNaN(commission) && (
                   <InlineStack gap="400" align="space-between">
-                    <Text>Commission ({commissionType === 'percentage' ? `${commission}%` : `KES ${commission}`}):</Text>
+                    <Text>Commission ({formatCommissionRate(commission, commissionType, currency)}):</Text>
                     <Text fontWeight="semibold" tone="success">
-                      {selectedProduct.priceRangeV2 ? 
-                        new Intl.NumberFormat('en-KE', {
-                          style: 'currency',
-                          currency: 'KES',
-                        }).format(
-                          commissionType === 'percentage'
-                            ? (parseFloat(selectedProduct.priceRangeV2.minVariantPrice.amount) * parseFloat(commission)) / 100
-                            : parseFloat(commission)
-                        )
+                      {selectedProduct.priceRangeV2 || editingVariant ? 
+                        formatMoney(preview.amount, currency)
                         : 'N/A'
                       }
                     </Text>
                   </InlineStack>
                 )}
+                {preview?.appliedLimit && (
+                  <Text as="p" tone="caution">
+                    {describeAppliedLimit(preview.appliedLimit, previewLimits, currency)}
+                  </Text>
+                )}
+                {marginSettings && marginSettings.marginGuardrail !== 'off' && preview && (
+                  previewMargin === null ? (
+                    <Text as="p" tone="subdued">
+                      Add a unit cost to this product in Shopify to check its margin.
+                    </Text>
+                  ) : (
+                    <BlockStack gap="100">
+                      <InlineStack gap="400" align="space-between">
+                        <Text>Margin after commission{editingVariant ? '' : ' (lowest variant)'}:</Text>
+                        <Text fontWeight="semibold" tone={isBelowMinimumMargin(previewMargin) ? 'critical' : 'success'}>
+                          {`${previewMargin.toFixed(1)}%`}
+                        </Text>
+                      </InlineStack>
+                      {isBelowMinimumMargin(previewMargin) && (
+                        <Text as="p" tone="critical">
+                          {marginBlocked
+                            ? `Below this store's ${marginSettings.minMarginPercent}% minimum margin, so it can't be saved.`
+                            : `Below this store's ${marginSettings.minMarginPercent}% minimum margin.`}
+                        </Text>
+                      )}
+                    </BlockStack>
+                  )
+                )}
               </div>
             )}
           </FormLayout>
@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import { Card, FormLayout, TextField, Button, BlockStack, InlineStack, Badge, Text, RadioButton, Select } from '@shopify/polaris';
+import { CommissionLimitsFields } from './CommissionLimitsFields';
+import { normalizeCommissionLimits, summarizeLimits, toLimitInputs } from '../lib/commission-limits';
+import { normalizeCommissionType, validateCommissionInput, formatCommissionRate } from '../lib/commission-schema';
+import { DEFAULT_SHOP_CURRENCY } from '../lib/currency';
+
+export function ShopDefaultCommissionForm({ defaultCommission, productsUsingDefault = 0, onSave, onRemove, currency = DEFAULT_SHOP_CURRENCY }) {
+  const [commission, setCommission] = useState(
+    defaultCommission?.commission?.toString() || ''
+  );
+  const [commissionType, setCommissionType] = useState(
+    normalizeCommissionType(defaultCommission?.commissionType)
+  );
+  // Tiers above the base rate; the base rate is the first tier
+  const [extraTiers, setExtraTiers] = useState(
+    (defaultCommission?.tiers || []).slice(1).map(tier => ({
+      minSales: tier.minSales.toString(),
+      rate: tier.rate.toString()
+    }))
+  );
+  const [tierPeriod, setTierPeriod] = useState(defaultCommission?.tierPeriod || 'month');
+  const [limits, setLimits] = useState(toLimitInputs(defaultCommission?.limits));
+  const [loading, setLoading] = useState(false);
+
+  const tiersValid = extraTiers.every(tier =>
+    tier.minSales && !isNaN(tier.minSales) && tier.rate && !isNaN(tier.rate)
+  );
+  const tiers = commissionType === 'percentage' && extraTiers.length > 0
+    ? [
+      { minSales: 0, rate: parseFloat(commission) },
+      ...extraTiers.map(tier => ({
+        minSales: parseFloat(tier.minSales),
+        rate: parseFloat(tier.rate)
+      }))
+    ]
+    : null;
+  const fieldErrors = validateCommissionInput({ commission, commissionType, limits, tiers, tierPeriod });
+  const isValid = tiersValid && Object.keys(fieldErrors).length === 0;
+
+  const updateTier = (index, field, value) => {
+    setExtraTiers(prev => prev.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const handleSave = async () => {
+    if (!isValid) return;
+
+    const commissionData = {
+      commission: parseFloat(commission),
+      commissionType,
+      currency: currency.currencyCode,
+      limits: normalizeCommissionLimits(limits)
+    };
+
+    if (tiers) {
+      commissionData.tiers = tiers;
+      commissionData.tierPeriod = tierPeriod;
+    }
+
+    setLoading(true);
+    try {
+      await onSave(commissionData);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!defaultCommission) return;
+
+    setLoading(true);
+    try {
+      await onRemove('shop', defaultCommission.id);
+      setCommission('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <div style={{ padding: '16px' }}>
+        <BlockStack gap="400">
+          <InlineStack align="space-between" blockAlign="start">
+            <BlockStack gap="200">
+              <Text variant="headingMd" as="h3">Store Default Commission</Text>
+              <Text as="p" tone="subdued">
+                Applies to every product without a product, collection or category commission.
+              </Text>
+              {defaultCommission?.limits && (
+                <Text as="p" tone="caution">
+                  Capped: {summarizeLimits(defaultCommission.limits, currency)}
+                </Text>
+              )}
+            </BlockStack>
+            {defaultCommission && (
+              <Badge tone="success">
+                {`${formatCommissionRate(defaultCommission.commission, defaultCommission.commissionType, currency)} Default`}
+              </Badge>
+            )}
+          </InlineStack>
+
+          <FormLayout>
+            <Text variant="headingXs" as="h4">Commission Type</Text>
+            <BlockStack gap="200">
+              <RadioButton
+                label="Percentage (%)"
+                checked={commissionType === 'percentage'}
+                id="percentage-shop"
+                name="shopCommissionType"
+                onChange={() => setCommissionType('percentage')}
+              />
+              <RadioButton
+                label={`Fixed Amount (${currency.currencyCode})`}
+                checked={commissionType === 'amount'}
+                id="amount-shop"
+                name="shopCommissionType"
+                onChange={() => setCommissionType('amount')}
+              />
+            </BlockStack>
+
+            <TextField
+              label={commissionType === 'percentage' ? 'Default Commission (%)' : `Default Commission (${currency.currencyCode})`}
+              type="number"
+              value={commission}
+              onChange={setCommission}
+              error={commission !== '' ? fieldErrors.commission : undefined}
+              placeholder={commissionType === 'percentage' ? 'e.g., 5.0' : 'e.g., 500'}
+              helpText={defaultCommission
+                ? `Currently used by ${productsUsingDefault} products`
+                : 'Affiliates earn nothing on products without a commission until a default is set'
+              }
+              step={commissionType === 'percentage' ? '0.1' : '1'}
+            />
+
+            <CommissionLimitsFields values={limits} onChange={setLimits} currency={currency.currencyCode} />
+
+            {commissionType === 'percentage' && (
+              <BlockStack gap="200">
+                <Text variant="headingXs" as="h4">Volume Tiers</Text>
+                <Text as="p" tone="subdued">
+                  Pay a higher rate on an affiliate's sales above a threshold. The rate above applies until the first threshold.
+                </Text>
+
+                {extraTiers.map((tier, index) => (
+                  <InlineStack key={index} gap="200" blockAlign="end">
+                    <TextField
+                      label={`Sales above (${currency.currencyCode})`}
+                      type="number"
+                      value={tier.minSales}
+                      onChange={(value) => updateTier(index, 'minSales', value)}
+                      placeholder="e.g., 50000"
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Rate (%)"
+                      type="number"
+                      value={tier.rate}
+                      onChange={(value) => updateTier(index, 'rate', value)}
+                      placeholder="e.g., 15"
+                      step="0.1"
+                      autoComplete="off"
+                    />
+                    <Button
+                      variant="plain"
+                      tone="critical"
+                      onClick={() => setExtraTiers(prev => prev.filter((_, i) => i !== index))}
+                    >
+                      Remove
+                    </Button>
+                  </InlineStack>
+                ))}
+
+                {tiersValid && fieldErrors.tiers && (
+                  <Text as="p" tone="critical">{fieldErrors.tiers}</Text>
+                )}
+
+                {extraTiers.length > 0 && (
+                  <Select
+                    label="Sales counted per"
+                    options={[
+                      { label: 'Month', value: 'month' },
+                      { label: 'Quarter', value: 'quarter' },
+                      { label: 'Year', value: 'year' }
+                    ]}
+                    value={tierPeriod}
+                    onChange={setTierPeriod}
+                  />
+                )}
+
+                <div>
+                  <Button onClick={() => setExtraTiers(prev => [...prev, { minSales: '', rate: '' }])}>
+                    Add Tier
+                  </Button>
+                </div>
+              </BlockStack>
+            )}
+
+            <InlineStack gap="200">
+              <Button
+                variant="primary"
+                onClick={handleSave}
+                loading={loading}
+                disabled={!isValid}
+              >
+                {defaultCommission ? 'Update Default' : 'Set Default'}
+              </Button>
+
+              {defaultCommission && (
+                <Button
+                  tone="critical"
+                  onClick={handleRemove}
+                  loading={loading}
+                >
+                  Remove Default
+                </Button>
+              )}
+            </InlineStack>
+          </FormLayout>
+        </BlockStack>
+      </div>
+    </Card>
+  );
+}
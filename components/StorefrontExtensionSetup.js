@@ -0,0 +1,45 @@
+import { Card, Button, Text, BlockStack, InlineStack } from '@shopify/polaris';
+
+// Handles of the blocks in extensions/twiva-storefront/blocks
+const TRACKING_EMBED = 'tracking';
+const RECOMMENDED_BY_BLOCK = 'recommended-by';
+
+function themeEditorUrl(shopId, params) {
+  const shopDomain = shopId.includes('.') ? shopId : `${shopId}.myshopify.com`;
+  return `https://${shopDomain}/admin/themes/current/editor?${new URLSearchParams(params)}`;
+}
+
+export function StorefrontExtensionSetup({ shopId }) {
+  const appId = process.env.NEXT_PUBLIC_SHOPIFY_API_KEY;
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <BlockStack gap="100">
+          <Text variant="headingMd" as="h3">Storefront</Text>
+          <Text as="p" tone="subdued">
+            Smart link clicks are tracked by the Twiva tracking app embed. Turn it on in your theme,
+            or orders from smart links cannot be credited to affiliates. The optional &quot;Recommended by&quot;
+            block shows the influencer&apos;s handle on product pages to visitors who arrive through their link.
+          </Text>
+        </BlockStack>
+
+        <InlineStack gap="200" align="end">
+          <Button
+            url={themeEditorUrl(shopId, { template: 'product', addAppBlockId: `${appId}/${RECOMMENDED_BY_BLOCK}`, target: 'mainSection' })}
+            external
+          >
+            Add Recommended by block
+          </Button>
+          <Button
+            variant="primary"
+            url={themeEditorUrl(shopId, { context: 'apps', activateAppId: `${appId}/${TRACKING_EMBED}` })}
+            external
+          >
+            Turn on tracking
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
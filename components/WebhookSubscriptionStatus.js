@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { Card, Button, Text, BlockStack, InlineStack, Banner, Spinner, DataTable, Badge } from '@shopify/polaris';
+
+const STATUS_BADGES = {
+  active: { tone: 'success', label: 'Active' },
+  missing: { tone: 'critical', label: 'Missing' },
+  misconfigured: { tone: 'warning', label: 'Wrong URL' },
+};
+
+export default function WebhookSubscriptionStatus({ shopId }) {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadStatus();
+  }, [shopId]);
+
+  const loadStatus = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/webhook-subscriptions?shop=${shopId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load webhook subscriptions');
+      }
+
+      setStatus(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resync = async () => {
+    try {
+      setSyncing(true);
+      setError(null);
+
+      const response = await fetch(`/api/webhook-subscriptions?shop=${shopId}`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to register webhooks');
+      }
+
+      setStatus(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Card>
+        <div style={{ padding: '32px', textAlign: 'center' }}>
+          <Spinner size="large" />
+          <Text variant="bodyMd" as="p" tone="subdued">
+            Checking webhook subscriptions...
+          </Text>
+        </div>
+      </Card>
+    );
+  }
+
+  const rows = (status?.subscriptions || []).map((subscription) => {
+    const badge = STATUS_BADGES[subscription.status] || STATUS_BADGES.missing;
+
+    return [
+      subscription.topic.toLowerCase().replace('_', '/'),
+      <Badge key={subscription.topic} tone={badge.tone}>{badge.label}</Badge>,
+      subscription.lastError || subscription.currentCallbackUrl || subscription.callbackUrl,
+    ];
+  });
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h3">
+            Order Tracking Webhooks
+          </Text>
+          <Button onClick={resync} loading={syncing}>
+            Re-sync Webhooks
+          </Button>
+        </InlineStack>
+
+        {error && (
+          <Banner status="critical" onDismiss={() => setError(null)}>
+            {error}
+          </Banner>
+        )}
+
+        {status && !status.healthy && (
+          <Banner status="warning">
+            <Text variant="bodyMd" as="p">
+              Some webhooks are not registered, so sales may not be attributed to affiliates. Use Re-sync Webhooks to fix this.
+            </Text>
+          </Banner>
+        )}
+
+        {status && (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text']}
+            headings={['Topic', 'Status', 'Endpoint']}
+            rows={rows}
+          />
+        )}
+
+        {status?.lastSyncedAt && (
+          <Text variant="bodyXs" as="p" tone="subdued">
+            Last synced: {new Date(status.lastSyncedAt).toLocaleString()}
+          </Text>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,98 @@
+/**
+ * Twiva theme blocks
+ * Asks the app (through its app proxy) whether a block should show, so a block
+ * is only shown when the app's commission data agrees with its settings. In the
+ * theme editor, the answer's warnings are shown in place of the block.
+ */
+(function () {
+  var root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+
+  // Same cookie and param as twiva-tracking.js, which may not have run yet
+  function currentTrackId() {
+    var fromUrl = new URLSearchParams(window.location.search).get('twiva_track');
+    if (fromUrl) return fromUrl;
+
+    var match = document.cookie.match(/(?:^|; )shopify_commission_track=([^;]*)/);
+    if (!match) return null;
+    try {
+      var tracking = JSON.parse(decodeURIComponent(match[1]));
+      return tracking.expires_at > Date.now() ? tracking.track_id : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function checkBlock(block, params) {
+    var query = new URLSearchParams(params);
+    query.set('block', block);
+
+    return fetch(root + 'apps/twiva/blocks?' + query.toString(), { credentials: 'same-origin' })
+      .then(function (response) {
+        if (!response.ok) throw new Error('Block check failed: ' + response.status);
+        return response.json();
+      });
+  }
+
+  function showWarnings(element, warnings) {
+    if (!warnings || warnings.length === 0) return;
+
+    var list = document.createElement('ul');
+    list.className = 'twiva-block-warnings';
+    warnings.forEach(function (warning) {
+      var item = document.createElement('li');
+      item.textContent = warning;
+      list.appendChild(item);
+    });
+    element.appendChild(list);
+    element.hidden = false;
+  }
+
+  function initRecommendation(element) {
+    var designMode = element.getAttribute('data-design-mode') === 'true';
+    var trackId = currentTrackId();
+    if (!trackId && !designMode) return;
+
+    var label = element.querySelector('.twiva-recommended__text');
+    var text = element.getAttribute('data-text') || 'Recommended by @[handle]';
+
+    checkBlock('recommended-by', {
+      product_id: element.getAttribute('data-product-id') || '',
+      require_commission: element.getAttribute('data-require-commission') || 'true',
+      track_id: trackId || ''
+    }).then(function (result) {
+      if (result.show) {
+        label.textContent = text.replace('[handle]', result.handle);
+        element.hidden = false;
+      } else if (designMode) {
+        // A preview, so the block can be styled without arriving through a link
+        label.textContent = text.replace('[handle]', 'influencer');
+        element.hidden = false;
+      }
+
+      if (designMode) showWarnings(element, result.warnings);
+    }).catch(function (error) {
+      if (designMode) showWarnings(element, [error.message]);
+    });
+  }
+
+  function initTrackingCheck(element) {
+    checkBlock('tracking', {}).then(function (result) {
+      showWarnings(element, result.warnings);
+    }).catch(function (error) {
+      showWarnings(element, [error.message]);
+    });
+  }
+
+  var initializers = {
+    'recommended-by': initRecommendation,
+    tracking: initTrackingCheck
+  };
+
+  document.querySelectorAll('[data-twiva-block]').forEach(function (element) {
+    if (element.getAttribute('data-twiva-ready')) return;
+    element.setAttribute('data-twiva-ready', 'true');
+
+    var init = initializers[element.getAttribute('data-twiva-block')];
+    if (init) init(element);
+  });
+})();
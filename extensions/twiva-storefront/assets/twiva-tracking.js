@@ -0,0 +1,184 @@
+/**
+ * Twiva affiliate tracking
+ * Loaded on every storefront page by the "Affiliate tracking" app embed.
+ * A smart link click lands with twiva_* query params (see
+ * pages/api/track/[trackId].js in the app); the click is kept in a first-party
+ * cookie and copied into the cart's attributes, which travel with the cart into
+ * checkout and arrive on the order as note_attributes. Every click within the
+ * shop's attribution window is kept, so the app can credit the order under the
+ * shop's attribution model; the window arrives with the click. The visitor's
+ * cart token is reported to the app's click store through the app proxy, for
+ * orders whose cart lost its attributes; Shopify adds the logged-in customer.
+ *
+ * The param and attribute names must match lib/storefront-tracking.js.
+ */
+(function () {
+  if (window.__twivaTracking) return;
+  window.__twivaTracking = true;
+
+  var DAY_MS = 24 * 60 * 60 * 1000;
+  var script = document.currentScript;
+  // Only tells the embed that the visitor logged in; Shopify adds who they are to the proxy request
+  var customerId = (script && script.getAttribute('data-customer-id')) || '';
+
+  var config = {
+    params: { trackId: 'twiva_track', affiliateId: 'twiva_affiliate', productId: 'twiva_product', windowDays: 'twiva_window', clickId: 'twiva_click' },
+    attributes: { trackId: 'commission_track_id', affiliateId: 'commission_affiliate_id', touches: 'commission_touches' },
+    cookieName: 'shopify_commission_track',
+    storageKey: 'shopify_commission_tracking',
+    // Used when a click arrives without the shop's window; the app's default
+    defaultWindowDays: 1,
+    maxWindowDays: 90,
+    // Keeps the cookie well under the browser's size limit
+    maxTouches: 10
+  };
+  var root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+
+  function readCookie() {
+    var match = document.cookie.match(new RegExp('(?:^|; )' + config.cookieName + '=([^;]*)'));
+    if (!match) return null;
+    try {
+      return JSON.parse(decodeURIComponent(match[1]));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function readStorage() {
+    try {
+      return JSON.parse(window.localStorage.getItem(config.storageKey));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function save(tracking) {
+    document.cookie = config.cookieName + '=' + encodeURIComponent(JSON.stringify(tracking)) +
+      '; expires=' + new Date(tracking.expires_at).toUTCString() + '; path=/; SameSite=Lax';
+    try {
+      window.localStorage.setItem(config.storageKey, JSON.stringify(tracking));
+    } catch (e) {
+      // Storage can be disabled; the cookie is enough
+    }
+  }
+
+  function windowDays(value) {
+    var days = Math.round(Number(value));
+    if (!(days >= 1)) return config.defaultWindowDays;
+    return Math.min(days, config.maxWindowDays);
+  }
+
+  // A new click becomes the latest and is added to the clicks still in the window
+  function fromUrl(previous) {
+    var params = new URLSearchParams(window.location.search);
+    var trackId = params.get(config.params.trackId);
+    if (!trackId) return null;
+
+    var now = Date.now();
+    var days = windowDays(params.get(config.params.windowDays));
+    var affiliateId = params.get(config.params.affiliateId);
+
+    // A reload of the landing page is not another click
+    var touches = ((previous && previous.touches) || []).filter(function (touch) {
+      return touch.at > now - days * DAY_MS && !(touch.t === trackId && now - touch.at < 60 * 1000);
+    });
+    touches.push({ t: trackId, a: affiliateId || '', at: now });
+
+    return {
+      track_id: trackId,
+      affiliate_id: affiliateId,
+      product_id: params.get(config.params.productId),
+      click_id: params.get(config.params.clickId),
+      window_days: days,
+      timestamp: now,
+      expires_at: now + days * DAY_MS,
+      touches: touches.slice(-config.maxTouches)
+    };
+  }
+
+  var stored = readCookie() || readStorage();
+  var tracking = fromUrl(stored);
+  if (tracking) {
+    save(tracking);
+  } else {
+    tracking = stored;
+  }
+  if (!tracking || !tracking.track_id || tracking.expires_at < Date.now()) return;
+
+  // Clicks saved before the embed kept a list
+  var touches = tracking.touches || [{ t: tracking.track_id, a: tracking.affiliate_id || '', at: tracking.timestamp }];
+
+  function cartAttributes() {
+    var attributes = {};
+    attributes[config.attributes.trackId] = tracking.track_id;
+    attributes[config.attributes.affiliateId] = tracking.affiliate_id || '';
+    attributes[config.attributes.touches] = JSON.stringify(touches);
+    return attributes;
+  }
+
+  // Once per cart, and again when the visitor logs in
+  function reportVisitor(cart) {
+    var cartToken = String(cart.token || '').split('?')[0];
+    var reported = cartToken + '|' + customerId;
+    if (!tracking.click_id || !cartToken || tracking.reported === reported) return;
+
+    var query = new URLSearchParams({ click_id: tracking.click_id, cart_token: cartToken });
+
+    fetch(root + 'apps/twiva/clicks?' + query.toString(), { credentials: 'same-origin' })
+      .then(function (response) {
+        if (!response.ok) return;
+        tracking.reported = reported;
+        save(tracking);
+      })
+      .catch(function () {
+        // Tried again on the next page view
+      });
+  }
+
+  function syncCart() {
+    var attributes = cartAttributes();
+
+    return fetch(root + 'cart.js', { credentials: 'same-origin' })
+      .then(function (response) { return response.json(); })
+      .then(function (cart) {
+        reportVisitor(cart);
+
+        var current = cart.attributes || {};
+        var upToDate = Object.keys(attributes).every(function (name) {
+          return current[name] === attributes[name];
+        });
+        if (upToDate) return;
+
+        return fetch(root + 'cart/update.js', {
+          method: 'POST',
+          credentials: 'same-origin',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ attributes: attributes })
+        });
+      })
+      .catch(function () {
+        // Tried again on the next page view
+      });
+  }
+
+  // Cart forms post straight to checkout, so carry the attributes with them too
+  document.addEventListener('submit', function (event) {
+    var form = event.target;
+    var action = (form && form.getAttribute && form.getAttribute('action')) || '';
+    if (!/\/cart\/?$/.test(action.split('?')[0])) return;
+
+    var attributes = cartAttributes();
+    Object.keys(attributes).forEach(function (name) {
+      var fieldName = 'attributes[' + name + ']';
+      if (form.querySelector('input[name="' + fieldName + '"]')) return;
+
+      var input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = fieldName;
+      input.value = attributes[name];
+      form.appendChild(input);
+    });
+  }, true);
+
+  syncCart();
+})();
@@ -0,0 +1,182 @@
+/**
+ * Affiliate discount codes
+ * Influencers who share a coupon code instead of a link get a Shopify discount
+ * code of their own. The code is created through discountCodeBasicCreate and
+ * remembered in app storage, so an order that used it can be attributed to the
+ * affiliate from the order webhook alone. Needs the write_discounts scope.
+ */
+
+import crypto from 'crypto';
+import { getStorage } from './storage';
+import { getShopifyClient, getShopDomain } from './shopify-helpers';
+
+export const DISCOUNT_VALUE_TYPES = ['percentage', 'amount'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const CREATE_DISCOUNT_MUTATION = `
+  mutation discountCodeBasicCreate($basicCodeDiscount: DiscountCodeBasicInput!) {
+    discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+      codeDiscountNode {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DELETE_DISCOUNT_MUTATION = `
+  mutation discountCodeDelete($id: ID!) {
+    discountCodeDelete(id: $id) {
+      deletedCodeDiscountId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Shopify matches codes case-insensitively, so they are stored upper-case
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function discountKey(shopId, code) {
+  return `affiliate-discount:${getShopDomain(shopId)}:${normalizeCode(code)}`;
+}
+
+function generateCode() {
+  return `TW${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+async function runMutation(client, mutation, variables, resultField) {
+  const response = await client.query({
+    data: { query: mutation, variables }
+  });
+
+  const result = response.body.data[resultField];
+  if (result.userErrors?.length > 0) {
+    throw new Error(result.userErrors.map(error => error.message).join(', '));
+  }
+
+  return result;
+}
+
+/**
+ * Validate a discount code request
+ * Returns an error message, or null when it can be created.
+ */
+export function validateAffiliateDiscount(data = {}) {
+  if (!data.affiliateId) {
+    return 'affiliateId is required';
+  }
+  if (data.code && !CODE_PATTERN.test(normalizeCode(data.code))) {
+    return 'code must be 3-32 letters, numbers, dashes or underscores';
+  }
+  if (!DISCOUNT_VALUE_TYPES.includes(data.valueType)) {
+    return `valueType must be one of: ${DISCOUNT_VALUE_TYPES.join(', ')}`;
+  }
+
+  const value = Number(data.value);
+  if (data.value === '' || data.value === null || isNaN(value) || value <= 0) {
+    return 'value must be a positive number';
+  }
+  if (data.valueType === 'percentage' && value > 100) {
+    return 'A percentage discount cannot be more than 100';
+  }
+
+  return null;
+}
+
+/**
+ * Create a discount code for an affiliate
+ * A code is generated when none is given. Throws when the code is already
+ * taken in this shop.
+ */
+export async function createAffiliateDiscount(shopId, data) {
+  const code = normalizeCode(data.code) || generateCode();
+  const storage = getStorage();
+
+  if (await storage.get(discountKey(shopId, code))) {
+    throw new Error('Discount code already exists');
+  }
+
+  const client = await getShopifyClient(shopId);
+  if (!client) {
+    throw new Error('Shopify authentication required');
+  }
+
+  const value = Number(data.value);
+  const created = await runMutation(client, CREATE_DISCOUNT_MUTATION, {
+    basicCodeDiscount: {
+      title: data.title || `Affiliate ${data.affiliateId}: ${code}`,
+      code,
+      startsAt: new Date().toISOString(),
+      customerSelection: { all: true },
+      customerGets: {
+        value: data.valueType === 'percentage'
+          ? { percentage: value / 100 }
+          : { discountAmount: { amount: value, appliesOnEachItem: false } },
+        items: { all: true }
+      },
+      appliesOncePerCustomer: Boolean(data.appliesOncePerCustomer)
+    }
+  }, 'discountCodeBasicCreate');
+
+  const discount = {
+    code,
+    affiliateId: String(data.affiliateId),
+    discountId: created.codeDiscountNode.id,
+    valueType: data.valueType,
+    value,
+    createdAt: new Date().toISOString()
+  };
+
+  await storage.set(discountKey(shopId, code), discount);
+  return discount;
+}
+
+/**
+ * The affiliate a discount code belongs to, or null for other codes
+ */
+export async function findAffiliateDiscount(shopId, code) {
+  if (!shopId || !code) return null;
+  return getStorage().get(discountKey(shopId, code));
+}
+
+/**
+ * A shop's affiliate discount codes, newest first, optionally for one affiliate
+ */
+export async function getAffiliateDiscounts(shopId, affiliateId = null) {
+  const storage = getStorage();
+  const keys = await storage.keys(`affiliate-discount:${getShopDomain(shopId)}:`);
+  const discounts = (await Promise.all(keys.map(key => storage.get(key)))).filter(Boolean);
+
+  return discounts
+    .filter(discount => !affiliateId || discount.affiliateId === String(affiliateId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Delete an affiliate's discount code in Shopify and stop attributing it
+ */
+export async function deleteAffiliateDiscount(shopId, code) {
+  const storage = getStorage();
+  const discount = await storage.get(discountKey(shopId, code));
+  if (!discount) {
+    throw new Error('Discount code not found');
+  }
+
+  const client = await getShopifyClient(shopId);
+  if (!client) {
+    throw new Error('Shopify authentication required');
+  }
+
+  await runMutation(client, DELETE_DISCOUNT_MUTATION, { id: discount.discountId }, 'discountCodeDelete');
+  await storage.delete(discountKey(shopId, code));
+  return discount;
+}
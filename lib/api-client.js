@@ -3,6 +3,8 @@
  * This replaces local Prisma storage with backend API calls
  */
 
+import { normalizeCommissionType } from './commission-schema';
+
 const API_BASE_URL = process.env.BACKEND_API_URL || 'https://commerce.dev.twiva.com/api';
 
 class ApiClient {
@@ -66,6 +68,24 @@ class ApiClient {
     });
   }
 
+  async notifyShopUninstalled(shopId, uninstallData = {}) {
+    return this.request('POST', '/shops/uninstalled', {
+      shopId,
+      platform: 'shopify',
+      uninstalledAt: uninstallData.uninstalledAt || new Date().toISOString(),
+      ...uninstallData
+    });
+  }
+
+  async recordShopEvent(shopId, event, details = {}) {
+    return this.request('POST', '/shops/events', {
+      shopId,
+      event,
+      details,
+      occurredAt: new Date().toISOString()
+    });
+  }
+
   // Product Management
   async syncProduct(shopId, productData) {
     return this.request('POST', '/products/sync', {
@@ -73,7 +93,7 @@ class ApiClient {
       productId: productData.id,
       name: productData.title,
       price: productData.variants?.[0]?.price || 0,
-      currency: 'USD', // or get from shop currency
+      currency: productData.currency || null,
       status: productData.status,
       data: productData,
       lastModified: productData.updatedAt,
@@ -102,12 +122,23 @@ class ApiClient {
       productId: commissionData.productId || commissionData.referenceId,
       commissionValue: commissionData.commissionValue,
       commissionRate: commissionData.commissionRate,
-      commissionType: commissionData.commissionType || 'percentage',
+      commissionType: normalizeCommissionType(commissionData.commissionType),
       currency: commissionData.currency,
       status: commissionData.status || 'active',
       type: commissionData.type || 'product',
       referenceId: commissionData.referenceId,
-      applyToProducts: commissionData.applyToProducts || false
+      applyToProducts: commissionData.applyToProducts || false,
+      source: commissionData.source || commissionData.type || 'product',
+      sourceId: commissionData.sourceId || commissionData.referenceId,
+      parentProductId: commissionData.parentProductId || null,
+      tiers: commissionData.tiers || null,
+      tierPeriod: commissionData.tierPeriod || null,
+      limits: commissionData.limits || null,
+      campaignId: commissionData.campaignId || null,
+      campaignName: commissionData.campaignName || null,
+      startsAt: commissionData.startsAt || null,
+      endsAt: commissionData.endsAt || null,
+      previousCommission: commissionData.previousCommission || null
     });
   }
 
@@ -142,6 +173,42 @@ class ApiClient {
     return this.request('POST', '/track-click', clickData);
   }
 
+  // Privacy (GDPR) Requests
+  async getCustomerData(shopId, customer) {
+    return this.request('POST', '/privacy/customers/data', {
+      shopId,
+      customerId: customer.id,
+      email: customer.email,
+      phone: customer.phone,
+      orderIds: customer.orderIds || []
+    });
+  }
+
+  async exportCustomerData(shopId, exportData) {
+    return this.request('POST', '/privacy/customers/export', {
+      shopId,
+      ...exportData
+    });
+  }
+
+  async redactCustomerData(shopId, customer) {
+    return this.request('POST', '/privacy/customers/redact', {
+      shopId,
+      customerId: customer.id,
+      email: customer.email,
+      phone: customer.phone,
+      orderIds: customer.orderIds || []
+    });
+  }
+
+  async getShopData(shopId) {
+    return this.request('GET', `/privacy/shops/${encodeURIComponent(shopId)}/data`);
+  }
+
+  async redactShopData(shopId) {
+    return this.request('POST', '/privacy/shops/redact', { shopId });
+  }
+
   // Analytics & Reporting
   async getCommissionPayouts(affiliateId, startDate = null, endDate = null) {
     const params = new URLSearchParams({ affiliateId });
@@ -0,0 +1,55 @@
+/**
+ * Shopify app proxy verification
+ * Storefront requests to /apps/twiva/* are forwarded by Shopify to the app with
+ * the shop's domain and a `signature` over the query string. Wraps API route
+ * handlers so they only run for requests Shopify signed with the app secret.
+ */
+
+import crypto from 'crypto';
+
+// Shopify signs the request as it forwards it, so the timestamp is always fresh
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+/**
+ * Check an app proxy request's `signature` query param
+ */
+export function verifyAppProxySignature(query) {
+  const { signature, ...params } = query || {};
+  if (!signature || !process.env.SHOPIFY_API_SECRET) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(params.timestamp));
+  if (!(age <= MAX_SIGNATURE_AGE_SECONDS)) return false;
+
+  // Sorted key=value pairs without separators; repeated params are comma-joined
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('');
+
+  const computed = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(message)
+    .digest();
+  const received = Buffer.from(String(signature), 'hex');
+
+  return received.length === computed.length && crypto.timingSafeEqual(computed, received);
+}
+
+/**
+ * Wrap an app proxy handler with method and signature checks
+ * The wrapped handler is called as handler(req, res, { shopDomain }).
+ */
+export function withAppProxyVerification(handler) {
+  return async function verifiedAppProxyHandler(req, res) {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!verifyAppProxySignature(req.query)) {
+      console.error('Rejected app proxy request with invalid signature:', req.query.shop);
+      return res.status(401).json({ error: 'Invalid app proxy signature' });
+    }
+
+    return handler(req, res, { shopDomain: req.query.shop });
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Attribution models
+ * An order can follow several smart link clicks ("touches"). The shop's
+ * attributionModel decides who is credited:
+ *
+ *   last-click   the most recent click gets the whole commission
+ *   first-click  the earliest click gets the whole commission
+ *   linear       every click gets an equal part, so an affiliate with two of
+ *                four clicks earns half
+ *
+ * Only clicks within the shop's attribution window before the order count.
+ * No server-only imports; touches are plain { track_id, affiliate_id, clicked_at }.
+ */
+
+export const ATTRIBUTION_MODELS = ['last-click', 'first-click', 'linear'];
+
+// How long after a smart link click an order is still credited to it
+export const ATTRIBUTION_WINDOW_DAYS = { min: 1, max: 90 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a click falls within the window before an order
+ * Clicks without a time are trusted, since the storefront already expired them.
+ */
+export function isWithinAttributionWindow(clickedAt, orderDate, windowDays) {
+  if (!clickedAt) return true;
+
+  const age = new Date(orderDate).getTime() - new Date(clickedAt).getTime();
+  return age >= 0 && age <= windowDays * DAY_MS;
+}
+
+function clickTime(touch) {
+  return touch.clicked_at ? new Date(touch.clicked_at).getTime() : 0;
+}
+
+/**
+ * Credit an order's touches under a model
+ * Resolves to [{ track_id, affiliate_id, clicked_at, share }], one entry per
+ * credited affiliate, with shares adding up to 1. Empty when there are no touches.
+ */
+export function applyAttributionModel(touches, model = 'last-click') {
+  if (!touches?.length) return [];
+
+  // Oldest first; clicks without a time keep their order
+  const ordered = touches
+    .map((touch, index) => ({ touch, index }))
+    .sort((a, b) => (clickTime(a.touch) - clickTime(b.touch)) || (a.index - b.index))
+    .map(({ touch }) => touch);
+
+  if (model === 'first-click') {
+    return [{ ...ordered[0], share: 1 }];
+  }
+  if (model !== 'linear') {
+    return [{ ...ordered[ordered.length - 1], share: 1 }];
+  }
+
+  // Each affiliate is credited once, with their latest click
+  const credits = new Map();
+  ordered.forEach(touch => {
+    const key = touch.affiliate_id || touch.track_id;
+    const credit = credits.get(key);
+    credits.set(key, { ...touch, share: (credit?.share || 0) + 1 / ordered.length });
+  });
+
+  return [...credits.values()];
+}
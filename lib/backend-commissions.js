@@ -5,6 +5,74 @@
 
 import apiClient from './api-client';
 import { getShopifyClient } from './shopify-helpers';
+import { extractTierSchedule } from './commission-tiers';
+import { extractCommissionLimits } from './commission-limits';
+import { normalizeCommissionType, formatCommissionRate } from './commission-schema';
+import { getShopCurrency, getShopCurrencySettings } from './shop-currency';
+import { findCommissionRecord, recordCommissionChange, snapshotCommission } from './commission-history';
+
+const COMMISSION_LEVELS = ['product', 'variant', 'collection', 'category', 'shop'];
+
+// Commissions given as a bare number are in the shop's currency
+async function resolveCurrency(shopId, commissionData) {
+  return (typeof commissionData === 'object' && commissionData.currency) || getShopCurrency(shopId);
+}
+
+async function describeRate(shopId, commission, commissionType) {
+  return formatCommissionRate(commission, commissionType, await getShopCurrencySettings(shopId));
+}
+
+async function recordChange(shopId, level, referenceId, previous, next, audit) {
+  const before = snapshotCommission(previous);
+  const after = snapshotCommission(next);
+  // Saving the same value again isn't a change
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  try {
+    await recordCommissionChange(shopId, {
+      level,
+      referenceId,
+      title: audit.title,
+      previous: before,
+      next: after,
+      actor: audit.actor,
+      operationId: audit.operationId,
+      revertOf: audit.revertOf
+    });
+  } catch (error) {
+    // The commission is already saved; a missing history entry shouldn't undo that
+    console.error('Failed to record commission history:', error);
+  }
+}
+
+// Bulk jobs pass the record being replaced as `audit.previous`, loaded once per slice
+async function findPrevious(shopId, level, id, audit) {
+  return 'previous' in audit ? audit.previous : findCommissionRecord(shopId, level, id);
+}
+
+/**
+ * Write a commission record and log the change in the commission history
+ * `audit` holds { actor, operationId, title, revertOf } for the history entry,
+ * and optionally `previous`, the record being replaced (null for none).
+ */
+async function writeCommission(shopId, record, audit = {}) {
+  const previous = await findPrevious(shopId, record.type, record.referenceId, audit);
+  const result = await apiClient.syncCommission(shopId, record);
+  await recordChange(shopId, record.type, record.referenceId, previous, record, audit);
+  return result;
+}
+
+/**
+ * Delete a commission record and log the change in the commission history
+ */
+async function deleteCommission(shopId, level, id, audit = {}) {
+  const previous = await findPrevious(shopId, level, id, audit);
+  const result = await apiClient.deleteCommission(shopId, id, level);
+  if (previous) {
+    await recordChange(shopId, level, previous.referenceId || previous.productId, previous, null, audit);
+  }
+  return result;
+}
 
 export async function getProductCommission(shopId, productId) {
   try {
@@ -13,12 +81,14 @@ export async function getProductCommission(shopId, productId) {
       type: 'product'
     });
 
-    if (response.data && response.data.length > 0) {
-      const commission = response.data[0];
+    // Scheduled campaigns are listed separately
+    const commission = (response.data || []).find(record => !record.campaignId);
+    if (commission) {
       return {
         commission: commission.commissionValue,
-        commissionType: commission.commissionType,
-        source: 'product',
+        commissionType: normalizeCommissionType(commission.commissionType),
+        source: commission.source || 'product',
+        sourceId: commission.sourceId || productId,
         id: commission.id,
       };
     }
@@ -30,7 +100,12 @@ export async function getProductCommission(shopId, productId) {
   }
 }
 
-export async function setProductCommission(shopId, productId, commissionData, productDetails = null) {
+/**
+ * Set a product's commission record
+ * `origin` tags records written by a collection/category apply with the rule
+ * they came from, so the resolver can tell them apart from explicit product rules.
+ */
+export async function setProductCommission(shopId, productId, commissionData, productDetails = null, origin = { source: 'product' }, audit = {}) {
   try {
     // If product details aren't provided, fetch them from Shopify
     if (!productDetails) {
@@ -45,24 +120,29 @@ export async function setProductCommission(shopId, productId, commissionData, pr
       status: 'active',
       updatedAt: new Date().toISOString(),
       createdAt: new Date().toISOString(),
-      handle: productDetails?.handle
+      handle: productDetails?.handle,
+      currency: await getShopCurrency(shopId)
     });
 
     // Handle both old format (number) and new format (object)
     const commission = typeof commissionData === 'number' ? commissionData : commissionData.commission;
-    const commissionType = typeof commissionData === 'object' ? commissionData.commissionType : 'percentage';
-    const currency = typeof commissionData === 'object' ? commissionData.currency : 'USD';
+    const commissionType = normalizeCommissionType(commissionData?.commissionType);
+    const currency = await resolveCurrency(shopId, commissionData);
 
     // Then sync the commission
-    const result = await apiClient.syncCommission(shopId, {
+    await writeCommission(shopId, {
       productId,
       commissionValue: commission,
       commissionRate: commission,
       commissionType,
       currency,
       type: 'product',
-      referenceId: productId
-    });
+      ...extractTierSchedule(commissionData),
+      ...extractCommissionLimits(commissionData),
+      referenceId: productId,
+      source: origin.source,
+      sourceId: origin.sourceId || productId
+    }, { title: productDetails?.title, ...audit });
 
     return {
       id: productId,
@@ -78,9 +158,12 @@ export async function setProductCommission(shopId, productId, commissionData, pr
   }
 }
 
-export async function setCollectionCommission(shopId, collectionId, commissionData) {
+/**
+ * Save a collection's commission rule
+ * Writing it to the collection's products is a background job (lib/commission-apply.js).
+ */
+export async function setCollectionCommission(shopId, collectionId, commissionData, audit = {}) {
   try {
-    // Fetch collection details and products
     const collectionData = await fetchShopifyCollectionDetails(shopId, collectionId);
 
     if (!collectionData) {
@@ -88,35 +171,25 @@ export async function setCollectionCommission(shopId, collectionId, commissionDa
     }
 
     // Sync commission for the collection type
-    await apiClient.syncCommission(shopId, {
+    await writeCommission(shopId, {
       productId: collectionId, // Use collectionId as productId for collections
       commissionValue: typeof commissionData === 'number' ? commissionData : commissionData.commission,
       commissionRate: typeof commissionData === 'number' ? commissionData : commissionData.commission,
-      commissionType: typeof commissionData === 'object' ? commissionData.commissionType : 'percentage',
-      currency: typeof commissionData === 'object' ? commissionData.currency : 'USD',
+      commissionType: normalizeCommissionType(commissionData?.commissionType),
+      currency: await resolveCurrency(shopId, commissionData),
       type: 'collection',
+      ...extractTierSchedule(commissionData),
+      ...extractCommissionLimits(commissionData),
       referenceId: collectionId,
       applyToProducts: true
-    });
-
-    // Apply to all products in collection
-    if (collectionData.products && collectionData.products.length > 0) {
-      await Promise.all(collectionData.products.map(product =>
-        setProductCommission(shopId, product.id, commissionData, {
-          title: product.title,
-          handle: product.handle,
-          price: product.variants?.[0]?.price || 0
-        })
-      ));
-    }
+    }, { title: collectionData.title, ...audit });
 
     const commission = typeof commissionData === 'number' ? commissionData : commissionData.commission;
-    const commissionType = typeof commissionData === 'object' ? commissionData.commissionType : 'percentage';
-    const commissionDisplay = commissionType === 'percentage' ? `${commission}%` : `$${commission}`;
+    const commissionType = normalizeCommissionType(commissionData?.commissionType);
+    const commissionDisplay = await describeRate(shopId, commission, commissionType);
 
     return {
-      message: `Applied ${commissionDisplay} commission to ${collectionData.products.length} products in collection "${collectionData.title}"`,
-      updatedProducts: collectionData.products.length
+      message: `Saved ${commissionDisplay} commission for collection "${collectionData.title}"`
     };
 
   } catch (error) {
@@ -125,57 +198,158 @@ export async function setCollectionCommission(shopId, collectionId, commissionDa
   }
 }
 
-export async function setCategoryCommission(shopId, categoryName, commissionData) {
+/**
+ * Save a category's (product type's) commission rule
+ * Like collections, writing it to the products is a background job.
+ */
+export async function setCategoryCommission(shopId, categoryName, commissionData, audit = {}) {
   try {
-    // Fetch all products to find ones with this category
-    const products = await fetchShopifyProductsByCategory(shopId, categoryName);
-
     // Sync commission for the category type
-    await apiClient.syncCommission(shopId, {
+    await writeCommission(shopId, {
       productId: categoryName, // Use categoryName as productId for categories
       commissionValue: typeof commissionData === 'number' ? commissionData : commissionData.commission,
       commissionRate: typeof commissionData === 'number' ? commissionData : commissionData.commission,
-      commissionType: typeof commissionData === 'object' ? commissionData.commissionType : 'percentage',
-      currency: typeof commissionData === 'object' ? commissionData.currency : 'USD',
+      commissionType: normalizeCommissionType(commissionData?.commissionType),
+      currency: await resolveCurrency(shopId, commissionData),
       type: 'category',
+      ...extractTierSchedule(commissionData),
+      ...extractCommissionLimits(commissionData),
       referenceId: categoryName,
       applyToProducts: true
-    });
+    }, { title: categoryName, ...audit });
+
+    const commission = typeof commissionData === 'number' ? commissionData : commissionData.commission;
+    const commissionType = normalizeCommissionType(commissionData?.commissionType);
+    const commissionDisplay = await describeRate(shopId, commission, commissionType);
+
+    return {
+      message: `Saved ${commissionDisplay} commission for category "${categoryName}"`
+    };
+
+  } catch (error) {
+    console.error('Error setting category commission:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set a commission on a single variant, overriding its product's commission
+ */
+export async function setVariantCommission(shopId, productId, variantId, commissionData, audit = {}) {
+  try {
+    const productDetails = await fetchShopifyProductDetails(shopId, productId);
+    const variant = productDetails?.variants?.find(v => v.id === variantId);
 
-    // Apply to all products in category
-    if (products.length > 0) {
-      await Promise.all(products.map(product =>
-        setProductCommission(shopId, product.id, commissionData, {
-          title: product.title,
-          handle: product.handle,
-          price: product.variants?.[0]?.price || 0
-        })
-      ));
+    if (productDetails && !variant) {
+      throw new Error('Variant not found on product');
     }
 
     const commission = typeof commissionData === 'number' ? commissionData : commissionData.commission;
-    const commissionType = typeof commissionData === 'object' ? commissionData.commissionType : 'percentage';
-    const commissionDisplay = commissionType === 'percentage' ? `${commission}%` : `$${commission}`;
+    const commissionType = normalizeCommissionType(commissionData?.commissionType);
+    const currency = await resolveCurrency(shopId, commissionData);
+
+    await writeCommission(shopId, {
+      productId: variantId,
+      commissionValue: commission,
+      commissionRate: commission,
+      commissionType,
+      currency,
+      type: 'variant',
+      ...extractTierSchedule(commissionData),
+      ...extractCommissionLimits(commissionData),
+      referenceId: variantId,
+      parentProductId: productId
+    }, { title: productDetails ? `${productDetails.title} - ${variant?.title}` : null, ...audit });
 
     return {
-      message: `Applied ${commissionDisplay} commission to ${products.length} products in category "${categoryName}"`,
-      updatedProducts: products.length
+      id: variantId,
+      productId,
+      commissionValue: commission,
+      commissionType,
+      productTitle: productDetails?.title || 'Unknown Product',
+      variantTitle: variant?.title || 'Unknown Variant',
+      success: true
     };
+  } catch (error) {
+    console.error('Error setting variant commission:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the shop-wide default commission, used for products without a more specific rule
+ */
+export async function getShopCommission(shopId) {
+  try {
+    const response = await apiClient.getCommissions(shopId, { type: 'shop' });
 
+    const commission = (response.data || []).find(record => !record.campaignId);
+    if (commission) {
+      return {
+        commission: commission.commissionValue,
+        commissionType: normalizeCommissionType(commission.commissionType),
+        currency: commission.currency,
+        source: 'shop',
+        id: commission.id,
+        updatedAt: commission.updatedAt,
+        tiers: commission.tiers || null,
+        tierPeriod: commission.tierPeriod || null,
+        limits: commission.limits || null,
+      };
+    }
+
+    return null;
   } catch (error) {
-    console.error('Error setting category commission:', error);
+    console.error('Error fetching shop commission:', error);
+    return null;
+  }
+}
+
+export async function setShopCommission(shopId, commissionData, audit = {}) {
+  try {
+    const commission = typeof commissionData === 'number' ? commissionData : commissionData.commission;
+    const commissionType = normalizeCommissionType(commissionData?.commissionType);
+
+    // The shop default is a single rule keyed by the shop itself
+    await writeCommission(shopId, {
+      productId: shopId,
+      commissionValue: commission,
+      commissionRate: commission,
+      commissionType,
+      currency: await resolveCurrency(shopId, commissionData),
+      type: 'shop',
+      ...extractTierSchedule(commissionData),
+      ...extractCommissionLimits(commissionData),
+      referenceId: shopId
+    }, { title: 'Shop default', ...audit });
+
+    const commissionDisplay = await describeRate(shopId, commission, commissionType);
+
+    return {
+      message: `Set ${commissionDisplay} as the default commission for products without their own rule`,
+      commissionValue: commission,
+      commissionType,
+      success: true
+    };
+  } catch (error) {
+    console.error('Error setting shop commission:', error);
     throw error;
   }
 }
 
-export async function removeCommission(shopId, type, id) {
+/**
+ * Save a campaign record, new (`current` null) or as stored before the change
+ * Campaigns sit next to the regular rule at their level, so their history
+ * entries compare the campaign with itself rather than with that rule.
+ */
+export async function saveCampaignCommission(shopId, campaign, current, audit = {}) {
+  return writeCommission(shopId, campaign, { title: campaign.campaignName, ...audit, previous: current });
+}
+
+export async function removeCommission(shopId, type, id, audit = {}) {
   try {
-    if (type === 'product') {
-      return await apiClient.deleteCommission(shopId, id, 'product');
-    } else if (type === 'collection') {
-      return await apiClient.deleteCommission(shopId, id, 'collection');
-    } else if (type === 'category') {
-      return await apiClient.deleteCommission(shopId, id, 'category');
+    if (COMMISSION_LEVELS.includes(type)) {
+      return await deleteCommission(shopId, type, type === 'shop' ? shopId : id, audit);
     }
 
     return { success: true };
@@ -185,6 +359,32 @@ export async function removeCommission(shopId, type, id) {
   }
 }
 
+/**
+ * Put a rule back to a value from the commission history
+ * A null `snapshot` means there was no rule, so the current one is removed.
+ */
+export async function restoreCommission(shopId, level, referenceId, snapshot, audit = {}) {
+  if (!snapshot) {
+    return deleteCommission(shopId, level, referenceId, audit);
+  }
+
+  return writeCommission(shopId, {
+    productId: referenceId,
+    commissionValue: snapshot.commission,
+    commissionRate: snapshot.commission,
+    commissionType: snapshot.commissionType,
+    currency: snapshot.currency,
+    type: level,
+    referenceId,
+    source: snapshot.source,
+    sourceId: snapshot.sourceId,
+    parentProductId: snapshot.parentProductId,
+    tiers: snapshot.tiers,
+    tierPeriod: snapshot.tierPeriod,
+    limits: snapshot.limits
+  }, audit);
+}
+
 // Helper functions for Shopify data fetching
 async function fetchShopifyProductDetails(shopId, productId) {
   try {
@@ -197,9 +397,11 @@ async function fetchShopifyProductDetails(shopId, productId) {
           id
           title
           handle
-          variants(first: 1) {
+          variants(first: 100) {
             edges {
               node {
+                id
+                title
                 price
               }
             }
@@ -217,10 +419,12 @@ async function fetchShopifyProductDetails(shopId, productId) {
 
     const product = response.body.data.product;
     if (product) {
+      const variants = product.variants?.edges?.map(edge => edge.node) || [];
       return {
         title: product.title,
         handle: product.handle,
-        price: product.variants?.edges?.[0]?.node?.price || 0
+        price: variants[0]?.price || 0,
+        variants
       };
     }
 
@@ -242,22 +446,6 @@ async function fetchShopifyCollectionDetails(shopId, collectionId) {
           id
           title
           handle
-          products(first: 100) {
-            edges {
-              node {
-                id
-                title
-                handle
-                variants(first: 1) {
-                  edges {
-                    node {
-                      price
-                    }
-                  }
-                }
-              }
-            }
-          }
         }
       }
     `;
@@ -273,8 +461,7 @@ async function fetchShopifyCollectionDetails(shopId, collectionId) {
     if (collection) {
       return {
         title: collection.title,
-        handle: collection.handle,
-        products: collection.products.edges.map(edge => edge.node)
+        handle: collection.handle
       };
     }
 
@@ -284,66 +471,3 @@ async function fetchShopifyCollectionDetails(shopId, collectionId) {
     return null;
   }
 }
-
-async function fetchShopifyProductsByCategory(shopId, categoryName) {
-  try {
-    const client = await getShopifyClient(shopId);
-    if (!client) return [];
-
-    // Fetch products with the specified productType (category)
-    const productsQuery = `
-      query getProducts($first: Int!, $after: String, $query: String) {
-        products(first: $first, after: $after, query: $query) {
-          edges {
-            node {
-              id
-              title
-              handle
-              productType
-              variants(first: 1) {
-                edges {
-                  node {
-                    price
-                  }
-                }
-              }
-            }
-          }
-          pageInfo {
-            hasNextPage
-            endCursor
-          }
-        }
-      }
-    `;
-
-    let allProducts = [];
-    let hasNextPage = true;
-    let cursor = null;
-
-    while (hasNextPage && allProducts.length < 500) {
-      const response = await client.query({
-        data: {
-          query: productsQuery,
-          variables: {
-            first: 50,
-            after: cursor,
-            query: `product_type:${categoryName}`
-          }
-        }
-      });
-
-      const products = response.body.data.products.edges.map(edge => edge.node);
-      allProducts = [...allProducts, ...products];
-
-      const pageInfo = response.body.data.products.pageInfo;
-      hasNextPage = pageInfo.hasNextPage;
-      cursor = pageInfo.endCursor;
-    }
-
-    return allProducts;
-  } catch (error) {
-    console.error('Error fetching Shopify products by category:', error);
-    return [];
-  }
-}
\ No newline at end of file
@@ -0,0 +1,297 @@
+/**
+ * Shopify Bulk Operations
+ * Reads a whole catalog with `bulkOperationRunQuery` instead of paging through
+ * it, then streams the JSONL result a line at a time, so a 20k-SKU store needs
+ * no more memory than a small one and nothing is cut off at a page limit.
+ *
+ * Shopify runs one bulk query per shop at a time, and a query can take minutes
+ * on a large store, so callers start one and check on it from background job
+ * slices (see lib/jobs.js) rather than waiting inside a request.
+ */
+
+import readline from 'readline';
+import { Readable } from 'stream';
+import { getShopifyClient } from './shopify-helpers';
+
+const RUN_BULK_QUERY_MUTATION = `
+  mutation runBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const BULK_OPERATION_QUERY = `
+  query getBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+      }
+    }
+  }
+`;
+
+const POLL_INTERVAL_MS = 2000;
+const FAILED_STATUSES = ['FAILED', 'CANCELED', 'EXPIRED'];
+
+const PRODUCT_GID_PREFIX = 'gid://shopify/Product/';
+const COLLECTION_GID_PREFIX = 'gid://shopify/Collection/';
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  productType
+  priceRangeV2 {
+    minVariantPrice {
+      amount
+    }
+  }
+`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A quoted value for Shopify's search syntax, e.g. product_type:"Running Shoes"
+ */
+function searchValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+async function fetchBulkOperation(client, id) {
+  const response = await client.query({
+    data: { query: BULK_OPERATION_QUERY, variables: { id } }
+  });
+
+  const operation = response.body.data.node;
+  if (!operation) {
+    throw new Error(`Bulk operation ${id} not found`);
+  }
+  return operation;
+}
+
+function isBusy(result) {
+  return !result.bulkOperation && result.userErrors.some(error => /in progress/i.test(error.message));
+}
+
+function rejected(result) {
+  return new Error(`Bulk query rejected: ${result.userErrors.map(error => error.message).join('; ')}`);
+}
+
+async function runBulkQueryMutation(client, query) {
+  const response = await client.query({
+    data: { query: RUN_BULK_QUERY_MUTATION, variables: { query } }
+  });
+  return response.body.data.bulkOperationRunQuery;
+}
+
+async function requireClient(shopId) {
+  const client = await getShopifyClient(shopId);
+  if (!client) {
+    throw new Error('Shopify authentication required');
+  }
+  return client;
+}
+
+/**
+ * Start a bulk query without waiting for it
+ * Resolves to null when another bulk query is still running for the shop, so
+ * callers that work in steps can try again on their next step.
+ */
+export async function startBulkQuery(shopId, query) {
+  const client = await requireClient(shopId);
+  const result = await runBulkQueryMutation(client, query);
+
+  if (isBusy(result)) return null;
+  if (!result.bulkOperation) {
+    throw rejected(result);
+  }
+  return result.bulkOperation;
+}
+
+/**
+ * A bulk operation's current state: { id, status, errorCode, objectCount, url }
+ */
+export async function getBulkOperation(shopId, id) {
+  return fetchBulkOperation(await requireClient(shopId), id);
+}
+
+/**
+ * Start a background job's bulk query, then check on it until the slice's deadline
+ * The operation is kept in `job.state`: `bulkOperationId` while it runs, then
+ * `queried` and `resultsUrl` (null when the query matched nothing) once the
+ * results can be read. `job.progress` shows the stage and object count.
+ */
+export async function runJobBulkQuery(job, query, { deadline, saveProgress }) {
+  const { state } = job;
+
+  if (!state.bulkOperationId) {
+    const operation = await startBulkQuery(job.shopId, query);
+
+    if (!operation) {
+      // Another bulk query is running for the shop; try again next slice
+      job.progress = { stage: 'waiting' };
+      return;
+    }
+
+    state.bulkOperationId = operation.id;
+    job.progress = { stage: 'querying', objectCount: 0 };
+    await saveProgress();
+  }
+
+  while (Date.now() < deadline) {
+    const operation = await getBulkOperation(job.shopId, state.bulkOperationId);
+    job.progress = { stage: 'querying', objectCount: Number(operation.objectCount || 0) };
+
+    if (operation.status === 'COMPLETED') {
+      state.resultsUrl = operation.url || null;
+      state.queried = true;
+      return;
+    }
+    if (FAILED_STATUSES.includes(operation.status)) {
+      // Start over with a fresh query if the job is retried
+      state.bulkOperationId = null;
+      throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+    }
+
+    await saveProgress();
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Download a finished bulk operation's results and stream its objects
+ */
+export async function* streamBulkResults(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation results: ${response.status}`);
+  }
+
+  const lines = readline.createInterface({
+    input: Readable.fromWeb(response.body),
+    crlfDelay: Infinity
+  });
+
+  try {
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  } finally {
+    // Callers may stop early; don't keep downloading the rest of the file
+    lines.close();
+    lines.input.destroy();
+  }
+}
+
+function toBulkProduct(node) {
+  return {
+    id: node.id,
+    title: node.title,
+    handle: node.handle,
+    productType: node.productType,
+    price: node.priceRangeV2?.minVariantPrice?.amount || 0,
+    collectionIds: []
+  };
+}
+
+/**
+ * Stream products out of bulk results, with the IDs of any nested collections
+ * Each product is yielded once its nested lines have been read.
+ */
+export async function* streamProducts(objects) {
+  let current = null;
+
+  for await (const object of objects) {
+    if (object.id?.startsWith(PRODUCT_GID_PREFIX)) {
+      if (current) yield current;
+      current = toBulkProduct(object);
+    } else if (current && object.__parentId === current.id && object.id?.startsWith(COLLECTION_GID_PREFIX)) {
+      current.collectionIds.push(object.id);
+    }
+  }
+
+  if (current) yield current;
+}
+
+/**
+ * Bulk query for every product in a collection
+ */
+export function collectionProductsQuery(collectionId) {
+  const numericId = String(collectionId).split('/').pop();
+
+  return `
+    {
+      collections(query: ${JSON.stringify(`id:${numericId}`)}) {
+        edges {
+          node {
+            id
+            products {
+              edges {
+                node {
+                  ${PRODUCT_FIELDS}
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Bulk query for every product of a product type (category), with the collections each belongs to
+ */
+export function categoryProductsQuery(categoryName) {
+  return `
+    {
+      products(query: ${JSON.stringify(`product_type:${searchValue(categoryName)}`)}) {
+        edges {
+          node {
+            ${PRODUCT_FIELDS}
+            collections {
+              edges {
+                node {
+                  id
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Bulk query for every product in the store
+ */
+export function allProductsQuery() {
+  return `
+    {
+      products {
+        edges {
+          node {
+            ${PRODUCT_FIELDS}
+          }
+        }
+      }
+    }
+  `;
+}
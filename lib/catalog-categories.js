@@ -0,0 +1,134 @@
+/**
+ * Product counts per category (product type)
+ * Counting needs a Shopify bulk query over the whole catalog, which can take
+ * minutes on a large store, so it runs as a background job (see lib/jobs.js):
+ *
+ *   querying - a bulk query lists every product
+ *   counting - the results are read once and counted by product type
+ *
+ * The Categories tab shows the last count straight away and starts a new one
+ * when it is more than a few minutes old. Product IDs aren't kept, so the
+ * stored list stays small for large catalogs.
+ *
+ * Storage layout, per shop domain:
+ *   catalog-categories:<shop>      the last count
+ *   catalog-categories-job:<shop>  the job counting now, if any
+ */
+
+import { createJob, getJob, isJobFinished } from './jobs';
+import { getStorage } from './storage';
+import { getShopDomain } from './shopify-helpers';
+import {
+  runJobBulkQuery,
+  streamBulkResults,
+  streamProducts,
+  allProductsQuery
+} from './bulk-operations';
+
+export const CATALOG_CATEGORIES_JOB = 'catalog-categories';
+
+// A count older than this is shown while a new one runs
+const STALE_AFTER_MS = 10 * 60 * 1000;
+const COUNT_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Outlives any count, so a lost job can't stop the next one from starting
+const JOB_POINTER_TTL_SECONDS = 60 * 60;
+
+function countKey(shopId) {
+  return `catalog-categories:${getShopDomain(shopId)}`;
+}
+
+function jobPointerKey(shopId) {
+  return `catalog-categories-job:${getShopDomain(shopId)}`;
+}
+
+/**
+ * The running count job, or a new one when the last count is missing or stale
+ * Resolves to null when the last count is fresh.
+ */
+async function ensureCountJob(shopId, count) {
+  const storage = getStorage();
+  const pointer = await storage.get(jobPointerKey(shopId));
+
+  if (pointer) {
+    const job = await getJob(shopId, pointer.jobId);
+    if (job && !isJobFinished(job)) return job;
+    // Finished or expired; a failed count is retried below
+    await storage.delete(jobPointerKey(shopId));
+  }
+
+  const countedAt = count ? new Date(count.countedAt).getTime() : 0;
+  if (Date.now() - countedAt < STALE_AFTER_MS) return null;
+
+  const job = await createJob(shopId, CATALOG_CATEGORIES_JOB, {});
+  const claimed = await storage.setIfAbsent(jobPointerKey(shopId), { jobId: job.id }, {
+    ttlSeconds: JOB_POINTER_TTL_SECONDS
+  });
+  if (claimed) return job;
+
+  // Another request started one at the same time; it will be processed instead
+  const other = await storage.get(jobPointerKey(shopId));
+  return (other && await getJob(shopId, other.jobId)) || job;
+}
+
+/**
+ * The shop's categories as last counted, and the job counting them again
+ * Resolves to { categories, countedAt, job }; `categories` is empty and
+ * `countedAt` null until the first count finishes, and `job` is null while the
+ * count is fresh.
+ */
+export async function getCatalogCategories(shopId) {
+  const count = await getStorage().get(countKey(shopId));
+  const job = await ensureCountJob(shopId, count);
+
+  return {
+    categories: count?.categories || [],
+    countedAt: count?.countedAt || null,
+    job
+  };
+}
+
+function countByProductType(counts, product) {
+  const category = product.productType || 'Uncategorized';
+  if (!category.trim()) return;
+
+  const key = category.toLowerCase();
+  if (!counts[key]) {
+    counts[key] = { name: category, productCount: 0 };
+  }
+  counts[key].productCount += 1;
+}
+
+/**
+ * Advance a catalog-categories job by one slice
+ * Reading the results is a single streamed pass, quick even for large catalogs.
+ */
+export async function runCatalogCategoriesSlice(job, { deadline, saveProgress }) {
+  if (!job.state.queried) {
+    await runJobBulkQuery(job, allProductsQuery(), { deadline, saveProgress });
+    if (!job.state.queried) return { done: false };
+  }
+
+  job.progress = { stage: 'counting' };
+  await saveProgress();
+
+  const counts = {};
+  if (job.state.resultsUrl) {
+    for await (const product of streamProducts(streamBulkResults(job.state.resultsUrl))) {
+      countByProductType(counts, product);
+    }
+  }
+
+  const categories = Object.values(counts);
+  await getStorage().set(countKey(job.shopId), {
+    categories,
+    countedAt: new Date().toISOString()
+  }, { ttlSeconds: COUNT_TTL_SECONDS });
+
+  return {
+    done: true,
+    result: {
+      message: `Counted products in ${categories.length} categories`,
+      totalCategories: categories.length
+    }
+  };
+}
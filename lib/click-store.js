@@ -0,0 +1,184 @@
+/**
+ * Smart link click store
+ * Every smart link click is kept locally for the longest attribution window,
+ * so orders that arrive without cart attributes can still be matched to a click
+ * (see ShopifySalesTracker.findLinkTracking). The click is recorded when the
+ * link redirects; the tracking app embed then reports the visitor's cart token
+ * through the app proxy, and Shopify adds the customer ID when they are logged in.
+ *
+ * Only that customer ID identifies the visitor, along with their email, which is
+ * read from the Admin API for that ID and stored hashed. IP addresses and device
+ * info are sent to the backend with the click and never stored here.
+ *
+ * Clicks are looked up by what an order carries - the click ID it landed with,
+ * its cart token, its customer or its email - through an index per cart, per
+ * customer and per email hash, never by reading every click. An index is only written when its visitor's
+ * embed reports a click, one page view at a time, so plain read-then-write is enough.
+ *
+ * Storage layout, per shop domain:
+ *   click:<shop>:<clickId>
+ *   click-cart:<shop>:<cartToken>        IDs of the clicks reported with the cart
+ *   click-customer:<shop>:<customerId>   IDs of the customer's clicks
+ *   click-email:<shop>:<emailHash>       IDs of the clicks of customers with that email
+ */
+
+import crypto from 'crypto';
+import { getStorage } from './storage';
+import { getShopDomain } from './shopify-helpers';
+import { ATTRIBUTION_WINDOW_DAYS } from './attribution-models';
+
+const CLICK_PREFIX = 'click:';
+const CART_INDEX_PREFIX = 'click-cart:';
+const CUSTOMER_INDEX_PREFIX = 'click-customer:';
+const EMAIL_INDEX_PREFIX = 'click-email:';
+const CLICK_TTL_SECONDS = ATTRIBUTION_WINDOW_DAYS.max * 24 * 60 * 60;
+// More than any visitor clicks within the window; the oldest go first
+const MAX_INDEXED_CLICKS = 50;
+
+function clickKey(shopId, clickId) {
+  return `${CLICK_PREFIX}${getShopDomain(shopId)}:${clickId}`;
+}
+
+function cartIndexKey(shopId, cartToken) {
+  return `${CART_INDEX_PREFIX}${getShopDomain(shopId)}:${cartToken}`;
+}
+
+function customerIndexKey(shopId, customerId) {
+  return `${CUSTOMER_INDEX_PREFIX}${getShopDomain(shopId)}:${customerId}`;
+}
+
+function emailIndexKey(shopId, emailHash) {
+  return `${EMAIL_INDEX_PREFIX}${getShopDomain(shopId)}:${emailHash}`;
+}
+
+export function hashCustomerEmail(email) {
+  if (!email) return null;
+  return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+// Time-ordered, so sorting IDs sorts clicks; random so it can't be guessed
+function createClickId(clickedAt) {
+  return `c_${String(new Date(clickedAt).getTime()).padStart(15, '0')}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+async function addToIndex(key, clickId) {
+  const storage = getStorage();
+  const index = await storage.get(key);
+  const clickIds = (index?.clickIds || []).filter(id => id !== clickId);
+
+  await storage.set(key, {
+    clickIds: [...clickIds, clickId].sort().slice(-MAX_INDEXED_CLICKS)
+  }, { ttlSeconds: CLICK_TTL_SECONDS });
+}
+
+async function getIndexedClickIds(key) {
+  return (await getStorage().get(key))?.clickIds || [];
+}
+
+/**
+ * Keep a smart link click
+ * `click` is the clickData sent to ApiClient.trackClick. Resolves to the stored click.
+ */
+export async function recordClick(shopId, click) {
+  const clickedAt = click.clicked_at || new Date().toISOString();
+  const stored = {
+    id: createClickId(clickedAt),
+    track_id: click.track_id,
+    influencer_id: click.influencer_id || null,
+    productId: click.product_id || null,
+    shopId: getShopDomain(shopId),
+    clicked_at: clickedAt,
+    cart_token: null,
+    customer_id: null,
+    customer_email_hash: null
+  };
+
+  await getStorage().set(clickKey(shopId, stored.id), stored, { ttlSeconds: CLICK_TTL_SECONDS });
+  return stored;
+}
+
+/**
+ * Add what the storefront knows about the visitor to a click
+ * Only fills in what the click doesn't have yet. `customerEmail` must come from
+ * Shopify for `customerId`, never from the visitor. Resolves to null for unknown clicks.
+ */
+export async function updateClickVisitor(shopId, clickId, { cartToken, customerId, customerEmail } = {}) {
+  const key = clickKey(shopId, clickId);
+  const click = await getStorage().get(key);
+  if (!click) return null;
+
+  const updated = {
+    ...click,
+    cart_token: click.cart_token || cartToken || null,
+    customer_id: click.customer_id || (customerId ? String(customerId) : null),
+    customer_email_hash: click.customer_email_hash || hashCustomerEmail(customerEmail)
+  };
+
+  const remainingSeconds = Math.ceil((new Date(click.clicked_at).getTime() + CLICK_TTL_SECONDS * 1000 - Date.now()) / 1000);
+  await getStorage().set(key, updated, { ttlSeconds: Math.max(remainingSeconds, 1) });
+
+  if (updated.cart_token && updated.cart_token !== click.cart_token) {
+    await addToIndex(cartIndexKey(shopId, updated.cart_token), clickId);
+  }
+  if (updated.customer_id && updated.customer_id !== click.customer_id) {
+    await addToIndex(customerIndexKey(shopId, updated.customer_id), clickId);
+  }
+  if (updated.customer_email_hash && updated.customer_email_hash !== click.customer_email_hash) {
+    await addToIndex(emailIndexKey(shopId, updated.customer_email_hash), clickId);
+  }
+  return updated;
+}
+
+/**
+ * The stored clicks an order could have come from, oldest first
+ * `clickId` is the click the order's session landed with; `cartToken`,
+ * `customerId` and `emailHash` find the clicks reported for its cart, its
+ * customer and its email.
+ */
+export async function findClicks(shopId, { clickId, cartToken, customerId, emailHash } = {}) {
+  const clickIds = new Set(clickId ? [clickId] : []);
+  if (cartToken) {
+    (await getIndexedClickIds(cartIndexKey(shopId, cartToken))).forEach(id => clickIds.add(id));
+  }
+  if (customerId) {
+    (await getIndexedClickIds(customerIndexKey(shopId, customerId))).forEach(id => clickIds.add(id));
+  }
+  if (emailHash) {
+    (await getIndexedClickIds(emailIndexKey(shopId, emailHash))).forEach(id => clickIds.add(id));
+  }
+
+  const clicks = await Promise.all([...clickIds].sort().map(id => getStorage().get(clickKey(shopId, id))));
+  return clicks.filter(Boolean);
+}
+
+/**
+ * A customer's clicks, by Shopify customer ID or email
+ */
+export async function getCustomerClicks(shopId, customer) {
+  const customerId = customer?.id ? String(customer.id) : null;
+  const emailHash = hashCustomerEmail(customer?.email);
+  if (!customerId && !emailHash) return [];
+
+  const clicks = await findClicks(shopId, { customerId, emailHash });
+  return clicks.filter(click =>
+    (customerId && click.customer_id === customerId) ||
+    (emailHash && click.customer_email_hash === emailHash)
+  );
+}
+
+/**
+ * Delete a customer's clicks and their indexes; resolves to how many were deleted
+ */
+export async function deleteCustomerClicks(shopId, customer) {
+  const clicks = await getCustomerClicks(shopId, customer);
+  for (const click of clicks) {
+    await getStorage().delete(clickKey(shopId, click.id));
+  }
+  if (customer?.id) {
+    await getStorage().delete(customerIndexKey(shopId, String(customer.id)));
+  }
+  if (customer?.email) {
+    await getStorage().delete(emailIndexKey(shopId, hashCustomerEmail(customer.email)));
+  }
+  return clicks.length;
+}
@@ -0,0 +1,225 @@
+/**
+ * Applying collection and category rules to their products
+ * Saving a collection or category rule is quick; writing a per-product record
+ * to the backend for every product it covers is not. That part runs as a
+ * background job (see lib/jobs.js) in two stages:
+ *
+ *   querying - a Shopify bulk query lists the rule's products
+ *   applying - the products are written in small, spaced-out batches, each
+ *              write retried a few times, resuming where the last slice stopped
+ */
+
+import { createJob } from './jobs';
+import {
+  runJobBulkQuery,
+  streamBulkResults,
+  streamProducts,
+  collectionProductsQuery,
+  categoryProductsQuery
+} from './bulk-operations';
+import { buildRuleSet } from './commission-resolver';
+import { loadCommissionRecords } from './commission-history';
+import { setProductCommission } from './backend-commissions';
+
+export const COMMISSION_APPLY_JOB = 'commission-apply';
+
+// Products written to the backend at once, and the pause between batches
+const APPLY_BATCH_SIZE = 10;
+const BATCH_PAUSE_MS = 250;
+const PRODUCT_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 500;
+// Enough to show the merchant what went wrong without bloating the job record
+const MAX_RECORDED_FAILURES = 20;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function withRetries(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= PRODUCT_ATTEMPTS) throw error;
+      await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * Queue applying a saved collection or category rule to its products
+ * `audit` holds the history operation the product changes belong to and who started it.
+ */
+export async function enqueueCommissionApply(shopId, level, referenceId, commissionData, audit = {}) {
+  return createJob(shopId, COMMISSION_APPLY_JOB, {
+    level,
+    referenceId,
+    commissionData,
+    operationId: audit.operationId || null,
+    actor: audit.actor || null
+  });
+}
+
+// Shopify's product_type search also matches partial names; keep exact (case-insensitive) matches
+async function* onlyProductType(products, categoryName) {
+  const wanted = (categoryName || '').trim().toLowerCase();
+  for await (const product of products) {
+    if ((product.productType || '').trim().toLowerCase() === wanted) {
+      yield product;
+    }
+  }
+}
+
+function streamTargetProducts(url, { level, referenceId }) {
+  const products = streamProducts(streamBulkResults(url));
+  return level === 'category' ? onlyProductType(products, referenceId) : products;
+}
+
+async function countProducts(products) {
+  let total = 0;
+  while (!(await products.next()).done) {
+    total += 1;
+  }
+  return total;
+}
+
+/**
+ * Whether a product should take the rule, or keeps a more specific one
+ */
+function shouldApply(ruleSet, level, product) {
+  if (ruleSet.product.has(product.id)) return false;
+  return level !== 'category' || !product.collectionIds.some(collectionId => ruleSet.collection.has(collectionId));
+}
+
+async function applyBatch(job, batch, ruleSet, records) {
+  const { state, payload } = job;
+  const origin = { source: payload.level, sourceId: payload.referenceId };
+
+  await Promise.all(batch.map(async (product) => {
+    if (!shouldApply(ruleSet, payload.level, product)) {
+      state.skippedProducts += 1;
+      return;
+    }
+
+    try {
+      const audit = {
+        operationId: payload.operationId,
+        actor: payload.actor,
+        previous: records.find('product', product.id)
+      };
+      await withRetries(() => setProductCommission(job.shopId, product.id, payload.commissionData, product, origin, audit));
+      state.updatedProducts += 1;
+    } catch (error) {
+      console.error(`Failed to apply commission to ${product.id}:`, error);
+      state.failedProducts += 1;
+      if (state.failures.length < MAX_RECORDED_FAILURES) {
+        state.failures.push({ productId: product.id, title: product.title, error: error.message });
+      }
+    }
+  }));
+
+  state.processedProducts += batch.length;
+}
+
+function applyProgress(state) {
+  return {
+    stage: 'applying',
+    totalProducts: state.totalProducts,
+    processedProducts: state.processedProducts,
+    updatedProducts: state.updatedProducts,
+    skippedProducts: state.skippedProducts,
+    failedProducts: state.failedProducts
+  };
+}
+
+/**
+ * Write the rule to products from where the last slice stopped, until done or the deadline
+ * Resolves to true once every product has been handled.
+ */
+async function runApplyStage(job, deadline, saveProgress) {
+  const { state, payload } = job;
+
+  if (state.totalProducts === undefined) {
+    // A first pass over the results gives the progress bar its total
+    Object.assign(state, {
+      totalProducts: state.resultsUrl ? await countProducts(streamTargetProducts(state.resultsUrl, payload)) : 0,
+      processedProducts: 0,
+      updatedProducts: 0,
+      skippedProducts: 0,
+      failedProducts: 0,
+      failures: []
+    });
+    job.progress = applyProgress(state);
+    await saveProgress();
+  }
+
+  if (!state.resultsUrl) return true;
+
+  // One backend call gives the rules and each product's current record for the history
+  const records = await loadCommissionRecords(job.shopId);
+  const ruleSet = buildRuleSet(records.records);
+  let toSkip = state.processedProducts;
+  let batch = [];
+
+  for await (const product of streamTargetProducts(state.resultsUrl, payload)) {
+    if (toSkip > 0) {
+      toSkip -= 1;
+      continue;
+    }
+
+    batch.push(product);
+    if (batch.length < APPLY_BATCH_SIZE) continue;
+
+    await applyBatch(job, batch, ruleSet, records);
+    batch = [];
+    job.progress = applyProgress(state);
+    await saveProgress();
+
+    if (Date.now() >= deadline) return false;
+    await sleep(BATCH_PAUSE_MS);
+  }
+
+  if (batch.length > 0) {
+    await applyBatch(job, batch, ruleSet, records);
+    job.progress = applyProgress(state);
+  }
+
+  return true;
+}
+
+function describeResult(job) {
+  const { state, payload } = job;
+  const notes = [];
+  if (state.skippedProducts > 0) notes.push(`${state.skippedProducts} kept a more specific commission`);
+  if (state.failedProducts > 0) notes.push(`${state.failedProducts} failed`);
+
+  return `Applied the ${payload.level} commission to ${state.updatedProducts} products${notes.length ? ` (${notes.join(', ')})` : ''}`;
+}
+
+/**
+ * Advance a commission-apply job by one slice
+ */
+export async function runCommissionApplySlice(job, { deadline, saveProgress }) {
+  if (!job.state.queried) {
+    const query = job.payload.level === 'category'
+      ? categoryProductsQuery(job.payload.referenceId)
+      : collectionProductsQuery(job.payload.referenceId);
+    await runJobBulkQuery(job, query, { deadline, saveProgress });
+    if (!job.state.queried) return { done: false };
+  }
+
+  const finished = await runApplyStage(job, deadline, saveProgress);
+  if (!finished) return { done: false };
+
+  const { state } = job;
+  return {
+    done: true,
+    result: {
+      message: describeResult(job),
+      updatedProducts: state.updatedProducts,
+      skippedProducts: state.skippedProducts,
+      failedProducts: state.failedProducts,
+      failures: state.failures
+    }
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Scheduled Commission Campaigns
+ * A campaign is a commission rule with a start and end time, e.g. double
+ * commission on Sneakers over Black Friday. It is stored next to the regular
+ * rule at its level instead of replacing it, so the previous rate applies again
+ * by itself once the campaign ends. Ending a campaign early rolls it back at once.
+ */
+
+import crypto from 'crypto';
+import apiClient from './api-client';
+import { saveCampaignCommission } from './backend-commissions';
+import { loadCommissionRules, getLevelRule, toVariantGid } from './commission-resolver';
+import { normalizeCommissionLimits } from './commission-limits';
+import { validateCommissionInput, describeFieldErrors, normalizeCommissionType } from './commission-schema';
+
+export const CAMPAIGN_LEVELS = ['variant', 'product', 'collection', 'category', 'shop'];
+
+/**
+ * 'upcoming', 'active' or 'expired' at time `at`
+ */
+export function getCampaignStatus(campaign, at = new Date()) {
+  const time = new Date(at).getTime();
+  if (campaign.endsAt && time >= new Date(campaign.endsAt).getTime()) return 'expired';
+  if (campaign.startsAt && time < new Date(campaign.startsAt).getTime()) return 'upcoming';
+  return 'active';
+}
+
+/**
+ * Validate a new campaign
+ * Returns an error message, or null when the campaign can be created.
+ */
+export function validateCampaign(data) {
+  const { level, referenceId, productId, commission, startsAt, endsAt } = data;
+
+  if (!CAMPAIGN_LEVELS.includes(level)) {
+    return `level must be one of: ${CAMPAIGN_LEVELS.join(', ')}`;
+  }
+  if (level !== 'shop' && !referenceId) {
+    return 'referenceId is required';
+  }
+  if (level === 'variant' && !productId) {
+    return 'productId is required for variant campaigns';
+  }
+  const commissionErrors = validateCommissionInput({ commission, commissionType: data.commissionType, currency: data.currency, limits: data.limits });
+  if (Object.keys(commissionErrors).length > 0) {
+    return describeFieldErrors(commissionErrors);
+  }
+
+  const start = new Date(startsAt).getTime();
+  const end = new Date(endsAt).getTime();
+  if (!startsAt || isNaN(start)) {
+    return 'startsAt must be a valid date';
+  }
+  if (!endsAt || isNaN(end)) {
+    return 'endsAt must be a valid date';
+  }
+  if (end <= start) {
+    return 'endsAt must be after startsAt';
+  }
+  if (end <= Date.now()) {
+    return 'endsAt must be in the future';
+  }
+
+  return null;
+}
+
+function toCampaign(record, at) {
+  return {
+    id: record.campaignId,
+    recordId: record.id,
+    name: record.campaignName || 'Untitled campaign',
+    level: record.type,
+    referenceId: record.referenceId || record.productId,
+    parentProductId: record.parentProductId || null,
+    commission: record.commissionValue,
+    commissionType: normalizeCommissionType(record.commissionType),
+    currency: record.currency,
+    startsAt: record.startsAt,
+    endsAt: record.endsAt,
+    previousCommission: record.previousCommission || null,
+    status: getCampaignStatus(record, at)
+  };
+}
+
+async function fetchCampaignRecords(shopId) {
+  const response = await apiClient.getCommissions(shopId);
+  return (response.data || []).filter(record => record.campaignId);
+}
+
+/**
+ * Schedule a campaign, remembering the rate it temporarily replaces
+ * `audit` holds { actor } for the commission history.
+ */
+export async function createCampaign(shopId, data, audit = {}) {
+  const referenceId = data.level === 'shop'
+    ? shopId
+    : data.level === 'variant' ? toVariantGid(data.referenceId) : data.referenceId;
+
+  const ruleSet = await loadCommissionRules(shopId);
+  const previous = getLevelRule(ruleSet, data.level, referenceId);
+
+  const campaign = {
+    productId: referenceId,
+    commissionValue: Number(data.commission),
+    commissionRate: Number(data.commission),
+    commissionType: normalizeCommissionType(data.commissionType),
+    currency: data.currency,
+    type: data.level,
+    referenceId,
+    parentProductId: data.level === 'variant' ? data.productId : null,
+    limits: normalizeCommissionLimits(data.limits),
+    campaignId: `campaign_${crypto.randomBytes(8).toString('hex')}`,
+    campaignName: data.name,
+    startsAt: new Date(data.startsAt).toISOString(),
+    endsAt: new Date(data.endsAt).toISOString(),
+    previousCommission: previous
+      ? { commission: previous.commission, commissionType: previous.commissionType }
+      : null
+  };
+
+  await saveCampaignCommission(shopId, campaign, null, audit);
+
+  return toCampaign({ ...campaign, id: null }, new Date());
+}
+
+/**
+ * A shop's campaigns grouped by status, soonest first
+ */
+export async function getCampaigns(shopId, at = new Date()) {
+  const campaigns = (await fetchCampaignRecords(shopId))
+    .map(record => toCampaign(record, at))
+    .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+
+  return {
+    upcoming: campaigns.filter(campaign => campaign.status === 'upcoming'),
+    active: campaigns.filter(campaign => campaign.status === 'active'),
+    expired: campaigns.filter(campaign => campaign.status === 'expired').reverse()
+  };
+}
+
+/**
+ * End a campaign now, so the previous rate applies to new orders straight away
+ */
+export async function endCampaign(shopId, campaignId, audit = {}) {
+  const record = (await fetchCampaignRecords(shopId)).find(r => r.campaignId === campaignId);
+  if (!record) {
+    throw new Error('Campaign not found');
+  }
+
+  const endsAt = new Date().toISOString();
+  await saveCampaignCommission(shopId, { ...record, endsAt }, record, audit);
+
+  return toCampaign({ ...record, endsAt }, new Date());
+}
@@ -0,0 +1,282 @@
+/**
+ * Commission change history
+ * An append-only log of every commission rule created, updated or removed,
+ * with the value before and after, who made the change and, for collection
+ * and category applies, the bulk operation it belongs to. Entries are never
+ * rewritten; reverting one adds new entries pointing back at it (`revertOf`)
+ * and a marker saying who reverted it.
+ *
+ * Storage layout, per shop domain:
+ *   commission-history:<shop>:<entryId>                 changes and operations
+ *   commission-history-op:<shop>:<operationId>:<entryId> changes in an operation
+ *   commission-history-revert:<shop>:<entryId>          who reverted it, and when
+ */
+
+import crypto from 'crypto';
+import apiClient from './api-client';
+import { getStorage } from './storage';
+import { getShopDomain } from './shopify-helpers';
+import { normalizeCommissionType } from './commission-schema';
+
+const HISTORY_PREFIX = 'commission-history:';
+const OPERATION_PREFIX = 'commission-history-op:';
+const REVERT_PREFIX = 'commission-history-revert:';
+
+export const UNKNOWN_ACTOR = { type: 'unknown' };
+
+// Time-ordered, so sorting keys sorts entries
+function createEntryId() {
+  return `h_${String(Date.now()).padStart(15, '0')}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function entryKey(shopId, entry) {
+  return entry.operationId
+    ? `${OPERATION_PREFIX}${getShopDomain(shopId)}:${entry.operationId}:${entry.id}`
+    : `${HISTORY_PREFIX}${getShopDomain(shopId)}:${entry.id}`;
+}
+
+function revertKey(shopId, entryId) {
+  return `${REVERT_PREFIX}${getShopDomain(shopId)}:${entryId}`;
+}
+
+/**
+ * An ID for a bulk operation, taken before its first change is recorded
+ */
+export function createOperationId() {
+  return createEntryId();
+}
+
+/**
+ * Who made a change: a staff member from the request's session token, or unknown
+ */
+export function toActor(staffMember) {
+  return staffMember?.userId ? { type: 'staff', userId: staffMember.userId } : UNKNOWN_ACTOR;
+}
+
+/**
+ * The commission value a backend record holds, as stored in history
+ */
+export function snapshotCommission(record) {
+  if (!record) return null;
+
+  return {
+    commission: Number(record.commissionValue ?? record.commission),
+    commissionType: normalizeCommissionType(record.commissionType),
+    currency: record.currency || null,
+    tiers: record.tiers || null,
+    tierPeriod: record.tierPeriod || null,
+    limits: record.limits || null,
+    // The backend fills in a missing source with the rule's level
+    source: record.source || record.type || null,
+    sourceId: record.sourceId || null,
+    parentProductId: record.parentProductId || null,
+    ...(record.campaignId && {
+      campaign: { id: record.campaignId, name: record.campaignName || null, startsAt: record.startsAt, endsAt: record.endsAt }
+    })
+  };
+}
+
+export function isSameCommission(a, b) {
+  if (!a || !b) return !a && !b;
+
+  return a.commission === b.commission &&
+    a.commissionType === b.commissionType &&
+    JSON.stringify(a.tiers) === JSON.stringify(b.tiers) &&
+    (a.tierPeriod || null) === (b.tierPeriod || null) &&
+    JSON.stringify(a.limits) === JSON.stringify(b.limits);
+}
+
+/**
+ * The regular (non-campaign) backend record at a level
+ * `id` is the rule's reference ID, or the backend record ID removals are made with.
+ */
+export async function findCommissionRecord(shopId, level, id) {
+  const isRegular = record => !record.campaignId;
+  const byReference = await apiClient.getCommissions(shopId, { type: level, productId: id });
+  const record = (byReference.data || []).find(isRegular);
+  if (record) return record;
+
+  const all = await apiClient.getCommissions(shopId, { type: level });
+  return (all.data || []).filter(isRegular).find(candidate =>
+    String(candidate.id) === String(id) || (candidate.referenceId || candidate.productId) === id
+  ) || null;
+}
+
+function recordKey(level, id) {
+  return `${level}:${id}`;
+}
+
+/**
+ * Every regular record of the shop, loaded with one backend call, for bulk work
+ * findCommissionRecord costs a call or two per rule, which adds up over
+ * thousands of products. `find(level, id)` matches the same way;
+ * `remember(level, id, record)` keeps the lookup current after a write
+ * (null for a removed rule).
+ */
+export async function loadCommissionRecords(shopId) {
+  const response = await apiClient.getCommissions(shopId);
+  const records = response.data || [];
+  const byKey = new Map();
+
+  const regular = records.filter(record => !record.campaignId);
+  // Reference IDs first, so they win over a backend record ID that happens to match
+  regular.forEach(record => {
+    const key = recordKey(record.type || 'product', record.referenceId || record.productId);
+    if (!byKey.has(key)) byKey.set(key, record);
+  });
+  regular.forEach(record => {
+    const key = recordKey(record.type || 'product', record.id);
+    if (!byKey.has(key)) byKey.set(key, record);
+  });
+
+  return {
+    records,
+    find: (level, id) => byKey.get(recordKey(level, id)) || null,
+    remember: (level, id, record) => byKey.set(recordKey(level, id), record)
+  };
+}
+
+/**
+ * Record a bulk operation; its changes are recorded with its ID as `operationId`
+ * `details` holds { id, kind, level, referenceId, title, description, actor, revertOf }.
+ */
+export async function recordOperation(shopId, details) {
+  const entry = {
+    id: details.id || createOperationId(),
+    kind: 'operation',
+    operationKind: details.kind,
+    level: details.level || null,
+    referenceId: details.referenceId || null,
+    title: details.title || null,
+    description: details.description,
+    actor: details.actor || UNKNOWN_ACTOR,
+    revertOf: details.revertOf || null,
+    createdAt: new Date().toISOString()
+  };
+
+  await getStorage().set(entryKey(shopId, entry), entry);
+  return entry;
+}
+
+/**
+ * Append one change to the log
+ * `change` holds { level, referenceId, title, previous, next, actor, operationId, revertOf }
+ * where `previous` and `next` are snapshots (null when there was or is no rule).
+ */
+export async function recordCommissionChange(shopId, change) {
+  const entry = {
+    id: createEntryId(),
+    kind: 'change',
+    action: !change.previous ? 'create' : change.next ? 'update' : 'delete',
+    level: change.level,
+    referenceId: change.referenceId,
+    title: change.title || null,
+    previous: change.previous || null,
+    next: change.next || null,
+    actor: change.actor || UNKNOWN_ACTOR,
+    operationId: change.operationId || null,
+    revertOf: change.revertOf || null,
+    createdAt: new Date().toISOString()
+  };
+
+  await getStorage().set(entryKey(shopId, entry), entry);
+  return entry;
+}
+
+/**
+ * Mark an entry (a change or a whole operation) as reverted
+ * Resolves to false when it already was, so the same change can't be reverted twice.
+ */
+export async function markReverted(shopId, entryId, actor) {
+  return getStorage().setIfAbsent(revertKey(shopId, entryId), {
+    entryId,
+    revertedBy: actor || UNKNOWN_ACTOR,
+    revertedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Undo markReverted when the revert itself failed, so it can be tried again
+ */
+export async function clearRevertMarker(shopId, entryId) {
+  await getStorage().delete(revertKey(shopId, entryId));
+}
+
+export async function getRevertMarker(shopId, entryId) {
+  return getStorage().get(revertKey(shopId, entryId));
+}
+
+async function withRevertStatus(shopId, entries) {
+  return Promise.all(entries.map(async (entry) => {
+    const marker = await getRevertMarker(shopId, entry.id);
+    return { ...entry, revertedBy: marker?.revertedBy || null, revertedAt: marker?.revertedAt || null };
+  }));
+}
+
+async function readEntries(keys) {
+  const storage = getStorage();
+  return (await Promise.all(keys.map(key => storage.get(key)))).filter(Boolean);
+}
+
+async function operationKeys(shopId, operationId) {
+  const keys = await getStorage().keys(`${OPERATION_PREFIX}${getShopDomain(shopId)}:${operationId}:`);
+  return keys.sort();
+}
+
+/**
+ * A page of a shop's history, newest first
+ * Bulk operations show as one entry with a `changeCount`; their changes are
+ * listed with getOperationChanges.
+ */
+export async function getCommissionHistory(shopId, { page = 1, limit = 25 } = {}) {
+  const keys = (await getStorage().keys(`${HISTORY_PREFIX}${getShopDomain(shopId)}:`)).sort().reverse();
+  const start = (page - 1) * limit;
+  const entries = await withRevertStatus(shopId, await readEntries(keys.slice(start, start + limit)));
+
+  for (const entry of entries) {
+    if (entry.kind === 'operation') {
+      entry.changeCount = (await operationKeys(shopId, entry.id)).length;
+    }
+  }
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total: keys.length,
+      totalPages: Math.max(1, Math.ceil(keys.length / limit))
+    }
+  };
+}
+
+/**
+ * One top-level entry: a change made on its own, or an operation
+ */
+export async function getHistoryEntry(shopId, entryId) {
+  return getStorage().get(`${HISTORY_PREFIX}${getShopDomain(shopId)}:${entryId}`);
+}
+
+/**
+ * A change made as part of an operation
+ */
+export async function getOperationChange(shopId, operationId, entryId) {
+  return getStorage().get(`${OPERATION_PREFIX}${getShopDomain(shopId)}:${operationId}:${entryId}`);
+}
+
+/**
+ * The IDs of the changes an operation made, oldest first
+ */
+export async function getOperationChangeIds(shopId, operationId) {
+  return (await operationKeys(shopId, operationId)).map(key => key.slice(key.lastIndexOf(':') + 1));
+}
+
+/**
+ * The changes an operation made, oldest first, up to `limit`
+ */
+export async function getOperationChanges(shopId, operationId, { limit = 250 } = {}) {
+  const keys = await operationKeys(shopId, operationId);
+  const entries = await withRevertStatus(shopId, await readEntries(keys.slice(0, limit)));
+
+  return { entries, total: keys.length };
+}
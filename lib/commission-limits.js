@@ -0,0 +1,178 @@
+/**
+ * Commission caps and floors
+ * A rule can bound the commission it pays, in the shop's currency:
+ *
+ *   limits: { minPerUnit, maxPerUnit, minPerOrder, maxPerOrder }
+ *
+ * Per-unit limits clamp the commission on each unit sold. Per-order limits clamp
+ * the total a rule pays across all line items of one order. Every field is optional.
+ * No server-only imports, so the forms can use the same math for their previews.
+ */
+
+import { DEFAULT_SHOP_CURRENCY, formatMoney } from './currency';
+
+export const LIMIT_FIELDS = ['minPerUnit', 'maxPerUnit', 'minPerOrder', 'maxPerOrder'];
+
+export const LIMIT_LABELS = {
+  minPerUnit: 'minimum per unit',
+  maxPerUnit: 'maximum per unit',
+  minPerOrder: 'minimum per order',
+  maxPerOrder: 'maximum per order'
+};
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function clamp(value, min, max) {
+  let result = value;
+  let applied = null;
+
+  if (hasValue(max) && result > max) {
+    result = max;
+    applied = 'max';
+  }
+  if (hasValue(min) && result < min) {
+    result = min;
+    applied = 'min';
+  }
+
+  return { value: result, applied };
+}
+
+/**
+ * Validate a limits object
+ * Returns an error message, or null when the limits are usable.
+ */
+export function validateCommissionLimits(limits) {
+  if (limits === undefined || limits === null) return null;
+
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    return 'limits must be an object';
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    const value = limits[field];
+    if (hasValue(value) && (isNaN(value) || Number(value) < 0)) {
+      return `${field} must be a number of 0 or more`;
+    }
+  }
+
+  if (hasValue(limits.minPerUnit) && hasValue(limits.maxPerUnit) && Number(limits.minPerUnit) > Number(limits.maxPerUnit)) {
+    return 'minPerUnit cannot be more than maxPerUnit';
+  }
+  if (hasValue(limits.minPerOrder) && hasValue(limits.maxPerOrder) && Number(limits.minPerOrder) > Number(limits.maxPerOrder)) {
+    return 'minPerOrder cannot be more than maxPerOrder';
+  }
+
+  return null;
+}
+
+/**
+ * Keep only the limits that are set, as numbers; null when none are
+ */
+export function normalizeCommissionLimits(limits) {
+  if (!limits || typeof limits !== 'object') return null;
+
+  const normalized = {};
+  LIMIT_FIELDS.forEach(field => {
+    if (hasValue(limits[field])) {
+      normalized[field] = Number(limits[field]);
+    }
+  });
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * The limits fields of a commission payload for syncing
+ */
+export function extractCommissionLimits(commissionData) {
+  if (typeof commissionData !== 'object') return {};
+
+  const limits = normalizeCommissionLimits(commissionData?.limits);
+  return limits ? { limits } : {};
+}
+
+/**
+ * Apply a rule's limits to the commission on one line item
+ * `orderState` ({ natural, awarded }) carries what the same rule has already
+ * earned on earlier line items of the order, and is updated in place.
+ * Resolves to { amount, appliedLimit }, where appliedLimit names the limit that
+ * changed the amount, if any.
+ */
+export function limitCommission(limits, lineAmount, quantity = 1, orderState = null) {
+  const qty = quantity > 0 ? quantity : 1;
+  if (!limits) {
+    if (orderState) {
+      orderState.natural += lineAmount;
+      orderState.awarded += lineAmount;
+    }
+    return { amount: lineAmount, appliedLimit: null };
+  }
+
+  let appliedLimit = null;
+
+  const unit = clamp(lineAmount / qty, limits.minPerUnit, limits.maxPerUnit);
+  if (unit.applied) appliedLimit = `${unit.applied}PerUnit`;
+  const natural = unit.value * qty;
+
+  const state = orderState || { natural: 0, awarded: 0 };
+  // Clamp the rule's running order total, then pay the difference on this line
+  const order = clamp(state.natural + natural, limits.minPerOrder, limits.maxPerOrder);
+  if (order.applied) appliedLimit = `${order.applied}PerOrder`;
+  const amount = Math.max(0, order.value - state.awarded);
+
+  state.natural += natural;
+  state.awarded += amount;
+
+  return { amount, appliedLimit };
+}
+
+/**
+ * A rule's limits for an affiliate credited with part of an order
+ * With every limit scaled by the same share, the affiliates' amounts add up to
+ * what a single affiliate would have been paid.
+ */
+export function scaleCommissionLimits(limits, share = 1) {
+  if (!limits || share === 1) return limits;
+
+  const scaled = {};
+  Object.keys(limits).forEach(field => {
+    scaled[field] = limits[field] * share;
+  });
+  return scaled;
+}
+
+/**
+ * Short text for a form explaining which limit shaped an amount
+ */
+export function describeAppliedLimit(appliedLimit, limits, currency = DEFAULT_SHOP_CURRENCY) {
+  if (!appliedLimit || !limits) return null;
+  return `Limited by the ${LIMIT_LABELS[appliedLimit]} of ${formatMoney(limits[appliedLimit], currency)}`;
+}
+
+/**
+ * One line listing a rule's limits, e.g. "max KSh 500.00 per unit, min KSh 50.00 per order"
+ * `currency` is the shop's currency (see lib/currency.js).
+ */
+export function summarizeLimits(limits, currency = DEFAULT_SHOP_CURRENCY) {
+  const normalized = normalizeCommissionLimits(limits);
+  if (!normalized) return null;
+
+  return LIMIT_FIELDS
+    .filter(field => field in normalized)
+    .map(field => `${field.startsWith('min') ? 'min' : 'max'} ${formatMoney(normalized[field], currency)} per ${field.endsWith('Unit') ? 'unit' : 'order'}`)
+    .join(', ');
+}
+
+/**
+ * Form field values (strings) for a limits object
+ */
+export function toLimitInputs(limits) {
+  const inputs = {};
+  LIMIT_FIELDS.forEach(field => {
+    inputs[field] = hasValue(limits?.[field]) ? String(limits[field]) : '';
+  });
+  return inputs;
+}
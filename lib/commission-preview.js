@@ -0,0 +1,219 @@
+/**
+ * Dry-run previews of collection and category commission changes
+ * Resolves every listed product's commission with the current rules and again
+ * with the proposed rule added, so the diff follows the same precedence the
+ * sales tracker uses: products with a product rule, and (for categories)
+ * products in a collection with its own rule, keep that rule.
+ */
+
+import { getShopifyClient } from './shopify-helpers';
+import { getShopCurrency } from './shop-currency';
+import {
+  loadCommissionRules,
+  resolveCommission,
+  withLevelRule,
+  getVariantRules,
+  calculateCommissionAmount,
+  withRuleCollections
+} from './commission-resolver';
+
+// Enough to review by eye; larger changes show a count and the first products
+const PREVIEW_LIMIT = 250;
+const PAGE_SIZE = 50;
+
+const PREVIEW_PRODUCT_FIELDS = `
+  id
+  title
+  productType
+  featuredImage {
+    url
+  }
+  priceRangeV2 {
+    minVariantPrice {
+      amount
+      currencyCode
+    }
+  }
+`;
+
+const COLLECTION_PREVIEW_QUERY = `
+  query getCollectionPreview($id: ID!, $first: Int!, $after: String) {
+    collection(id: $id) {
+      productsCount
+      products(first: $first, after: $after) {
+        edges {
+          node {
+            ${PREVIEW_PRODUCT_FIELDS}
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const CATEGORY_PREVIEW_QUERY = `
+  query getCategoryPreview($query: String!, $first: Int!, $after: String) {
+    products(first: $first, after: $after, query: $query) {
+      edges {
+        node {
+          ${PREVIEW_PRODUCT_FIELDS}
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * The first PREVIEW_LIMIT products a collection or category rule covers
+ */
+async function fetchPreviewProducts(client, type, referenceId) {
+  const products = [];
+  let totalProducts = null;
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage && products.length < PREVIEW_LIMIT) {
+    const variables = { first: PAGE_SIZE, after: cursor };
+    let connection;
+
+    if (type === 'collection') {
+      const response = await client.query({
+        data: { query: COLLECTION_PREVIEW_QUERY, variables: { ...variables, id: referenceId } }
+      });
+      const collection = response.body.data.collection;
+      if (!collection) {
+        throw new Error('Collection not found');
+      }
+      totalProducts = collection.productsCount;
+      connection = collection.products;
+    } else {
+      const response = await client.query({
+        data: {
+          query: CATEGORY_PREVIEW_QUERY,
+          variables: { ...variables, query: `product_type:${JSON.stringify(String(referenceId))}` }
+        }
+      });
+      connection = response.body.data.products;
+    }
+
+    const wanted = String(referenceId).trim().toLowerCase();
+    connection.edges
+      .map(edge => edge.node)
+      // product_type search also matches partial names
+      .filter(product => type !== 'category' || (product.productType || '').trim().toLowerCase() === wanted)
+      .forEach(product => products.push(product));
+
+    hasNextPage = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+  }
+
+  return {
+    products: products.slice(0, PREVIEW_LIMIT),
+    totalProducts,
+    truncated: hasNextPage || products.length > PREVIEW_LIMIT
+  };
+}
+
+function describeRule(resolved) {
+  if (!resolved) return null;
+
+  return {
+    commission: resolved.commission,
+    commissionType: resolved.commissionType,
+    source: resolved.source,
+    limits: resolved.limits || null,
+    campaignName: resolved.campaignName || null
+  };
+}
+
+function sameRule(a, b) {
+  if (!a || !b) return a === b;
+  return Number(a.commission) === Number(b.commission) &&
+    a.commissionType === b.commissionType &&
+    JSON.stringify(a.limits || null) === JSON.stringify(b.limits || null);
+}
+
+/**
+ * What saving `commissionData` as a collection or category rule would change
+ * Resolves to { products, summary, truncated }, one product entry per listed
+ * product with its current and new commission and the change in earnings per
+ * unit at its lowest price.
+ */
+export async function previewCommissionChange(shopId, type, referenceId, commissionData) {
+  const client = await getShopifyClient(shopId);
+  if (!client) {
+    throw new Error('Shopify authentication required');
+  }
+
+  const [ruleSet, listing, shopCurrency] = await Promise.all([
+    loadCommissionRules(shopId),
+    fetchPreviewProducts(client, type, referenceId),
+    getShopCurrency(shopId)
+  ]);
+
+  const proposed = withLevelRule(ruleSet, type, referenceId, {
+    commission: commissionData.commission,
+    commissionType: commissionData.commissionType,
+    currency: commissionData.currency,
+    tiers: commissionData.tiers || null,
+    tierPeriod: commissionData.tierPeriod || null,
+    limits: commissionData.limits || null
+  });
+
+  const summary = {
+    totalProducts: listing.totalProducts ?? listing.products.length,
+    listedProducts: listing.products.length,
+    changing: 0,
+    unchanged: 0,
+    keepingOwnRule: 0,
+    earningsChange: 0
+  };
+
+  const listed = await withRuleCollections(client, listing.products, ruleSet, proposed);
+  const products = listed.map(product => {
+    const price = parseFloat(product.priceRangeV2?.minVariantPrice?.amount || 0);
+    const current = resolveCommission(ruleSet, product);
+    const next = resolveCommission(proposed, product);
+    const currentAmount = calculateCommissionAmount(current, price);
+    const newAmount = calculateCommissionAmount(next, price);
+
+    let status = 'changing';
+    if (next?.source !== type) {
+      // A more specific rule (or a running campaign) keeps applying
+      status = 'keepsOwnRule';
+      summary.keepingOwnRule += 1;
+    } else if (sameRule(current, next)) {
+      status = 'unchanged';
+      summary.unchanged += 1;
+    } else {
+      summary.changing += 1;
+      summary.earningsChange += newAmount - currentAmount;
+    }
+
+    return {
+      id: product.id,
+      title: product.title,
+      image: product.featuredImage?.url || null,
+      price,
+      currencyCode: product.priceRangeV2?.minVariantPrice?.currencyCode || shopCurrency,
+      status,
+      currentCommission: describeRule(current),
+      newCommission: describeRule(next),
+      currentAmount,
+      newAmount,
+      amountChange: newAmount - currentAmount,
+      // Variants with their own rule keep it either way
+      variantRules: getVariantRules(ruleSet, product.id).size
+    };
+  });
+
+  return { type, referenceId, products, summary, currencyCode: shopCurrency, truncated: listing.truncated };
+}
@@ -0,0 +1,440 @@
+/**
+ * Commission Precedence Resolver
+ * Computes a product's effective commission from the rules stored at each level:
+ *
+ *   variant > product > collection > category > shop default
+ *
+ * Scheduled campaigns are rules with a `startsAt`/`endsAt` window. At each level
+ * a campaign that is active when the order was placed replaces the regular rule,
+ * which takes over again once the campaign ends.
+ *
+ * Bulk collection/category applies also write per-product records for the
+ * backend, tagged with the rule they came from (`source` / `sourceId`). Those
+ * derived records are ignored here in favour of the live rule, so removing or
+ * changing a collection rule is reflected immediately.
+ */
+
+import apiClient from './api-client';
+import { getShopifyClient } from './shopify-helpers';
+import { limitCommission } from './commission-limits';
+import { normalizeCommissionType, isPercentageCommission } from './commission-schema';
+
+export const COMMISSION_LEVELS = ['variant', 'product', 'collection', 'category', 'shop'];
+
+// Collections read for a single product when resolving its rules
+export const PRODUCT_COLLECTIONS_LIMIT = 250;
+// Products, and collections asked about, per membership query
+const MEMBERSHIP_BATCH_SIZE = 50;
+
+const PRODUCT_RULE_CONTEXT_QUERY = `
+  query getProductRuleContext($id: ID!) {
+    product(id: $id) {
+      id
+      productType
+      collections(first: ${PRODUCT_COLLECTIONS_LIMIT}) {
+        edges {
+          node {
+            id
+          }
+        }
+      }
+    }
+  }
+`;
+
+function newestFirst(a, b) {
+  return new Date(b.updatedAt || b.createdAt || 0) - new Date(a.updatedAt || a.createdAt || 0);
+}
+
+function normalizeCategory(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Convert a numeric Shopify product ID (as used in webhooks) to a GraphQL ID
+ */
+export function toProductGid(productId) {
+  const id = String(productId);
+  return id.startsWith('gid://') ? id : `gid://shopify/Product/${id}`;
+}
+
+/**
+ * Convert a numeric Shopify variant ID (as used in webhooks) to a GraphQL ID
+ */
+export function toVariantGid(variantId) {
+  const id = String(variantId);
+  return id.startsWith('gid://') ? id : `gid://shopify/ProductVariant/${id}`;
+}
+
+/**
+ * Group raw backend commission records into rules per level
+ */
+export function buildRuleSet(records = []) {
+  const ruleSet = {
+    variant: new Map(),
+    product: new Map(),
+    collection: new Map(),
+    category: new Map(),
+    shop: null,
+    campaigns: []
+  };
+
+  [...records].sort(newestFirst).forEach(record => {
+    const level = record.type || 'product';
+    const rule = {
+      id: record.id,
+      level,
+      referenceId: record.referenceId || record.productId,
+      commission: record.commissionValue,
+      commissionType: normalizeCommissionType(record.commissionType),
+      currency: record.currency,
+      updatedAt: record.updatedAt || record.createdAt,
+      source: record.source || level,
+      sourceId: record.sourceId || null,
+      parentProductId: record.parentProductId || null,
+      tiers: record.tiers || null,
+      tierPeriod: record.tierPeriod || null,
+      limits: record.limits || null,
+      campaignId: record.campaignId || null,
+      campaignName: record.campaignName || null,
+      startsAt: record.startsAt || null,
+      endsAt: record.endsAt || null
+    };
+
+    if (rule.campaignId) {
+      ruleSet.campaigns.push(rule);
+    } else if (level === 'variant') {
+      if (!ruleSet.variant.has(rule.referenceId)) {
+        ruleSet.variant.set(rule.referenceId, rule);
+      }
+    } else if (level === 'product') {
+      // Copies written by a collection/category apply are not product rules
+      if (rule.source !== 'product') return;
+      if (!ruleSet.product.has(rule.referenceId)) {
+        ruleSet.product.set(rule.referenceId, rule);
+      }
+    } else if (level === 'collection') {
+      if (!ruleSet.collection.has(rule.referenceId)) {
+        ruleSet.collection.set(rule.referenceId, rule);
+      }
+    } else if (level === 'category') {
+      const key = normalizeCategory(rule.referenceId);
+      if (!ruleSet.category.has(key)) {
+        ruleSet.category.set(key, rule);
+      }
+    } else if (level === 'shop') {
+      if (!ruleSet.shop) {
+        ruleSet.shop = rule;
+      }
+    }
+  });
+
+  return ruleSet;
+}
+
+/**
+ * Fetch every commission rule for a shop from the backend
+ */
+export async function loadCommissionRules(shopId) {
+  const response = await apiClient.getCommissions(shopId);
+  return buildRuleSet(response.data || []);
+}
+
+function toResolved(rule, source) {
+  return {
+    id: rule.id,
+    commission: rule.commission,
+    commissionType: rule.commissionType,
+    currency: rule.currency,
+    source,
+    sourceId: rule.referenceId,
+    updatedAt: rule.updatedAt,
+    tiers: rule.tiers,
+    tierPeriod: rule.tierPeriod,
+    limits: rule.limits,
+    campaignId: rule.campaignId,
+    campaignName: rule.campaignName,
+    endsAt: rule.endsAt
+  };
+}
+
+/**
+ * The regular (non-campaign) rule set at one level for a reference ID
+ */
+export function getLevelRule(ruleSet, level, referenceId) {
+  if (level === 'shop') return ruleSet.shop;
+  if (level === 'category') return ruleSet.category.get(normalizeCategory(referenceId)) || null;
+  return ruleSet[level]?.get(referenceId) || null;
+}
+
+/**
+ * A copy of a rule set with one regular rule added or replaced, e.g. to preview a change
+ * The original rule set is left untouched.
+ */
+export function withLevelRule(ruleSet, level, referenceId, rule) {
+  const copy = { ...ruleSet };
+  const entry = { id: null, level, referenceId, source: level, sourceId: null, updatedAt: new Date().toISOString(), ...rule };
+
+  if (level === 'shop') {
+    copy.shop = entry;
+  } else {
+    copy[level] = new Map(ruleSet[level]);
+    copy[level].set(level === 'category' ? normalizeCategory(referenceId) : referenceId, entry);
+  }
+
+  return copy;
+}
+
+/**
+ * Whether a rule's schedule covers `at`; rules without a window always apply
+ */
+export function isRuleActive(rule, at = new Date()) {
+  const time = new Date(at).getTime();
+  if (rule.startsAt && time < new Date(rule.startsAt).getTime()) return false;
+  if (rule.endsAt && time >= new Date(rule.endsAt).getTime()) return false;
+  return true;
+}
+
+/**
+ * The rule in force at one level for `key` at time `at`: an active campaign, else the regular rule
+ */
+function ruleAt(ruleSet, level, key, at) {
+  const matchKey = level === 'category' ? normalizeCategory(key) : key;
+  // Campaigns are indexed newest first, so the most recently created one wins
+  const campaign = ruleSet.campaigns.find(rule =>
+    rule.level === level &&
+    (level === 'shop' || (level === 'category' ? normalizeCategory(rule.referenceId) : rule.referenceId) === matchKey) &&
+    isRuleActive(rule, at)
+  );
+  if (campaign) return campaign;
+
+  return getLevelRule(ruleSet, level, key);
+}
+
+/**
+ * Resolve a product's (or one of its variants') effective commission at time `at`
+ * `product` needs an `id` and, for collection/category rules, `productType` and
+ * `collectionIds` (or a GraphQL `collections` connection).
+ * Returns null when no rule applies.
+ */
+export function resolveCommission(ruleSet, product, variantId = null, at = new Date()) {
+  if (variantId) {
+    const variantRule = ruleAt(ruleSet, 'variant', toVariantGid(variantId), at);
+    if (variantRule) {
+      return toResolved(variantRule, 'variant');
+    }
+  }
+
+  const productRule = ruleAt(ruleSet, 'product', product.id, at);
+  if (productRule) {
+    return toResolved(productRule, 'product');
+  }
+
+  const collectionIds = product.collectionIds ||
+    product.collections?.edges?.map(edge => edge.node.id) ||
+    [];
+  // A running campaign beats a regular rule; otherwise the most recently set collection rule wins
+  const collectionRule = collectionIds
+    .map(collectionId => ruleAt(ruleSet, 'collection', collectionId, at))
+    .filter(Boolean)
+    .sort((a, b) => Boolean(b.campaignId) - Boolean(a.campaignId) || newestFirst(a, b))[0];
+  if (collectionRule) {
+    return toResolved(collectionRule, 'collection');
+  }
+
+  const categoryRule = ruleAt(ruleSet, 'category', product.productType, at);
+  if (categoryRule) {
+    return toResolved(categoryRule, 'category');
+  }
+
+  const shopRule = ruleAt(ruleSet, 'shop', null, at);
+  if (shopRule) {
+    return toResolved(shopRule, 'shop');
+  }
+
+  return null;
+}
+
+/**
+ * Variant rules set on a product, keyed by variant ID
+ */
+export function getVariantRules(ruleSet, productId) {
+  const rules = new Map();
+  ruleSet.variant.forEach((rule, variantId) => {
+    if (rule.parentProductId === productId) {
+      rules.set(variantId, rule);
+    }
+  });
+  return rules;
+}
+
+/**
+ * Commission earned on `quantity` units at `unitPrice`, before the rule's caps and floors
+ */
+export function calculateBaseCommission(resolved, unitPrice, quantity = 1) {
+  if (!resolved) return 0;
+
+  const value = parseFloat(resolved.commission) || 0;
+  if (isPercentageCommission(resolved.commissionType)) {
+    return (parseFloat(unitPrice || 0) * value / 100) * quantity;
+  }
+  return value * quantity;
+}
+
+/**
+ * Commission earned on `quantity` units at `unitPrice`
+ * Pass the rule's `orderState` when several line items of one order share a rule,
+ * so its per-order limits cover them together.
+ */
+export function calculateCommissionAmount(resolved, unitPrice, quantity = 1, orderState = null) {
+  if (!resolved) return 0;
+  return limitCommission(resolved.limits, calculateBaseCommission(resolved, unitPrice, quantity), quantity, orderState).amount;
+}
+
+/**
+ * Products with at least one variant rule, by product ID
+ * Only these can earn different rates on different variants.
+ */
+export function getProductsWithVariantRules(ruleSet) {
+  const productIds = new Set();
+  ruleSet.variant.forEach(rule => {
+    if (rule.parentProductId) productIds.add(rule.parentProductId);
+  });
+  ruleSet.campaigns.forEach(rule => {
+    if (rule.level === 'variant' && rule.parentProductId) productIds.add(rule.parentProductId);
+  });
+  return productIds;
+}
+
+/**
+ * One-unit commission across a product's variants, within each rule's caps and floors
+ * Pass `variants` ({ id, price }) for products with variant rules. Otherwise every
+ * variant resolves to the same rule, so the lowest and highest prices are enough.
+ * Resolves to { minAmount, maxAmount, minPrice, maxPrice, commission, appliedLimit, variants },
+ * where `commission` is the rule on the lowest-earning variant, or null when no rule applies.
+ */
+export function calculateCommissionRange(ruleSet, product, { minPrice = 0, maxPrice = minPrice, variants = null } = {}, at = new Date()) {
+  const points = variants?.length
+    ? variants.map(variant => ({ variantId: variant.id, price: parseFloat(variant.price || 0) }))
+    : [{ variantId: null, price: parseFloat(minPrice || 0) }, { variantId: null, price: parseFloat(maxPrice || minPrice || 0) }];
+
+  const priced = points
+    .map(point => {
+      const commission = resolveCommission(ruleSet, product, point.variantId, at);
+      if (!commission) return null;
+
+      const { amount, appliedLimit } = limitCommission(commission.limits, calculateBaseCommission(commission, point.price));
+      return { ...point, commission, amount, appliedLimit };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.amount - b.amount);
+
+  if (priced.length === 0) return null;
+
+  const prices = points.map(point => point.price);
+  return {
+    minAmount: priced[0].amount,
+    maxAmount: priced[priced.length - 1].amount,
+    minPrice: Math.min(...prices),
+    maxPrice: Math.max(...prices),
+    commission: priced[0].commission,
+    appliedLimit: priced.find(point => point.appliedLimit)?.appliedLimit || null,
+    variants: variants?.length
+      ? priced.map(point => ({
+        variantId: point.variantId,
+        price: point.price,
+        amount: point.amount,
+        commissionSource: point.commission.source
+      }))
+      : null
+  };
+}
+
+/**
+ * Fetch the product type and collections needed to resolve a product's rules
+ */
+export async function fetchProductRuleContext(shopId, productId) {
+  try {
+    const client = await getShopifyClient(shopId);
+    if (!client) return { id: toProductGid(productId) };
+
+    const response = await client.query({
+      data: {
+        query: PRODUCT_RULE_CONTEXT_QUERY,
+        variables: { id: toProductGid(productId) }
+      }
+    });
+
+    const product = response.body.data.product;
+    if (!product) return { id: toProductGid(productId) };
+
+    return {
+      id: product.id,
+      productType: product.productType,
+      collectionIds: product.collections.edges.map(edge => edge.node.id)
+    };
+  } catch (error) {
+    console.error('Error fetching product rule context:', error);
+    return { id: toProductGid(productId) };
+  }
+}
+
+function ruleCollectionIds(ruleSet) {
+  return [
+    ...ruleSet.collection.keys(),
+    ...ruleSet.campaigns.filter(rule => rule.level === 'collection').map(rule => rule.referenceId)
+  ];
+}
+
+function membershipQuery(collectionIds) {
+  return `
+    query getRuleCollections($ids: [ID!]!, ${collectionIds.map((_, i) => `$c${i}: ID!`).join(', ')}) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          ${collectionIds.map((_, i) => `c${i}: inCollection(id: $c${i})`).join('\n          ')}
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Add the `collectionIds` resolveCommission needs to a page of products
+ * Every collection of every product in a page would cost more than Shopify
+ * allows in one query, and only collections with a rule can change the result,
+ * so each product is asked about those alone. Pass the rule sets the products
+ * will be resolved against.
+ */
+export async function withRuleCollections(client, products, ...ruleSets) {
+  const collectionIds = [...new Set(ruleSets.flatMap(ruleCollectionIds))];
+  const memberships = new Map(products.map(product => [product.id, []]));
+
+  for (let i = 0; collectionIds.length > 0 && i < products.length; i += MEMBERSHIP_BATCH_SIZE) {
+    const ids = products.slice(i, i + MEMBERSHIP_BATCH_SIZE).map(product => product.id);
+
+    for (let j = 0; j < collectionIds.length; j += MEMBERSHIP_BATCH_SIZE) {
+      const batch = collectionIds.slice(j, j + MEMBERSHIP_BATCH_SIZE);
+      const variables = { ids };
+      batch.forEach((collectionId, k) => { variables[`c${k}`] = collectionId; });
+
+      const response = await client.query({ data: { query: membershipQuery(batch), variables } });
+      response.body.data.nodes.filter(Boolean).forEach(node => {
+        batch.forEach((collectionId, k) => {
+          if (node[`c${k}`]) memberships.get(node.id)?.push(collectionId);
+        });
+      });
+    }
+  }
+
+  return products.map(product => ({ ...product, collectionIds: memberships.get(product.id) || [] }));
+}
+
+/**
+ * Resolve the effective commission for a single product (or variant) by ID
+ */
+export async function resolveProductCommission(shopId, productId, ruleSet = null, variantId = null, at = new Date()) {
+  ruleSet = ruleSet || await loadCommissionRules(shopId);
+  const product = await fetchProductRuleContext(shopId, productId);
+  return resolveCommission(ruleSet, product, variantId, at);
+}
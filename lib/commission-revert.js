@@ -0,0 +1,264 @@
+/**
+ * Reverting commission changes from the history log
+ * A single change is put back straight away. A bulk operation can cover
+ * thousands of products, so it is reverted by a background job (see
+ * lib/jobs.js), newest change first so repeated writes to the same rule
+ * unwind in order. Either way, a rule that has been changed again since is
+ * left as it is rather than overwritten.
+ */
+
+import { createJob, getPendingJobs } from './jobs';
+import {
+  getHistoryEntry,
+  getOperationChange,
+  getOperationChangeIds,
+  findCommissionRecord,
+  loadCommissionRecords,
+  snapshotCommission,
+  isSameCommission,
+  markReverted,
+  clearRevertMarker,
+  getRevertMarker,
+  createOperationId,
+  recordOperation
+} from './commission-history';
+import { restoreCommission } from './backend-commissions';
+
+export const COMMISSION_REVERT_JOB = 'commission-revert';
+
+// Changes reverted at once, and the pause between batches
+const REVERT_BATCH_SIZE = 10;
+const BATCH_PAUSE_MS = 250;
+// Enough to show the merchant what went wrong without bloating the job record
+const MAX_RECORDED_FAILURES = 20;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Put one change back to its previous value
+ * Resolves to 'reverted', or 'changedSince' when the rule no longer holds the
+ * value the change set. The caller has already marked the change reverted.
+ * A bulk revert passes `records` (see loadCommissionRecords), loaded once per
+ * slice, instead of looking up each rule.
+ */
+async function revertEntry(shopId, entry, audit, records = null) {
+  const current = records
+    ? records.find(entry.level, entry.referenceId)
+    : await findCommissionRecord(shopId, entry.level, entry.referenceId);
+  if (!isSameCommission(snapshotCommission(current), entry.next)) {
+    return 'changedSince';
+  }
+
+  await restoreCommission(shopId, entry.level, entry.referenceId, entry.previous, {
+    ...audit,
+    title: entry.title,
+    revertOf: entry.id,
+    previous: current
+  });
+
+  // An older change to the same rule, later in the job, compares against this value
+  if (records) {
+    records.remember(entry.level, entry.referenceId, entry.previous
+      ? { ...entry.previous, type: entry.level, referenceId: entry.referenceId }
+      : null);
+  }
+  return 'reverted';
+}
+
+/**
+ * Revert a single change, on its own or from within a bulk operation
+ */
+export async function revertChange(shopId, entryId, operationId, actor) {
+  const entry = operationId
+    ? await getOperationChange(shopId, operationId, entryId)
+    : await getHistoryEntry(shopId, entryId);
+
+  if (!entry || entry.kind !== 'change') {
+    throw new Error('History entry not found');
+  }
+  if (entry.previous?.campaign || entry.next?.campaign) {
+    throw new Error('Campaigns are ended from the Campaigns tab');
+  }
+  if (operationId && await getRevertMarker(shopId, operationId)) {
+    throw new Error('This change has already been reverted');
+  }
+  if (!(await markReverted(shopId, entry.id, actor))) {
+    throw new Error('This change has already been reverted');
+  }
+
+  let outcome;
+  try {
+    outcome = await revertEntry(shopId, entry, { actor });
+  } catch (error) {
+    await clearRevertMarker(shopId, entry.id);
+    throw error;
+  }
+
+  if (outcome === 'changedSince') {
+    await clearRevertMarker(shopId, entry.id);
+    throw new Error('The commission has changed since; revert the later change first');
+  }
+
+  return { message: `Reverted the commission for ${entry.title || entry.referenceId}` };
+}
+
+/**
+ * Queue reverting every change a bulk operation made
+ */
+export async function enqueueOperationRevert(shopId, operationId, actor) {
+  const operation = await getHistoryEntry(shopId, operationId);
+  if (!operation || operation.kind !== 'operation') {
+    throw new Error('History entry not found');
+  }
+
+  // Products written after the revert would undo it
+  const pending = await getPendingJobs();
+  if (pending.some(job => job.payload?.operationId === operationId)) {
+    throw new Error('Wait for this change to finish applying before reverting it');
+  }
+
+  if (!(await markReverted(shopId, operationId, actor))) {
+    throw new Error('This change has already been reverted');
+  }
+
+  const revertOperationId = createOperationId();
+  try {
+    await recordOperation(shopId, {
+      id: revertOperationId,
+      kind: 'revert',
+      level: operation.level,
+      referenceId: operation.referenceId,
+      title: operation.title,
+      description: `Reverted: ${operation.description}`,
+      actor,
+      revertOf: operationId
+    });
+
+    return await createJob(shopId, COMMISSION_REVERT_JOB, { revertOf: operationId, operationId: revertOperationId, actor });
+  } catch (error) {
+    await clearRevertMarker(shopId, operationId);
+    throw error;
+  }
+}
+
+function revertProgress(state) {
+  return {
+    stage: 'reverting',
+    totalChanges: state.totalChanges,
+    processedChanges: state.processedChanges,
+    revertedChanges: state.revertedChanges,
+    skippedChanges: state.skippedChanges,
+    failedChanges: state.failedChanges
+  };
+}
+
+/**
+ * The next changes to revert, stopping before a second change to the same rule
+ * so one batch never writes a rule twice at once
+ */
+async function loadBatch(shopId, operationId, ids) {
+  const batch = [];
+  const rules = new Set();
+
+  for (const id of ids) {
+    const entry = await getOperationChange(shopId, operationId, id);
+    const rule = `${entry?.level}:${entry?.referenceId}`;
+    if (entry && rules.has(rule)) break;
+
+    batch.push({ id, entry });
+    if (entry) rules.add(rule);
+  }
+
+  return batch;
+}
+
+async function revertBatch(job, batch, records) {
+  const { state, payload } = job;
+  const audit = { actor: payload.actor, operationId: payload.operationId };
+
+  await Promise.all(batch.map(async ({ id, entry }) => {
+    // Already reverted on its own, or gone with its shop's data
+    if (!entry || !(await markReverted(job.shopId, id, payload.actor))) {
+      state.skippedChanges += 1;
+      return;
+    }
+
+    try {
+      const outcome = await revertEntry(job.shopId, entry, audit, records);
+      if (outcome === 'reverted') {
+        state.revertedChanges += 1;
+      } else {
+        await clearRevertMarker(job.shopId, id);
+        state.skippedChanges += 1;
+      }
+    } catch (error) {
+      console.error(`Failed to revert commission change ${id}:`, error);
+      await clearRevertMarker(job.shopId, id);
+      state.failedChanges += 1;
+      if (state.failures.length < MAX_RECORDED_FAILURES) {
+        state.failures.push({ productId: entry.referenceId, title: entry.title, error: error.message });
+      }
+    }
+  }));
+
+  state.processedChanges += batch.length;
+}
+
+function describeResult(state) {
+  const notes = [];
+  if (state.skippedChanges > 0) notes.push(`${state.skippedChanges} changed since or already reverted, left as they are`);
+  if (state.failedChanges > 0) notes.push(`${state.failedChanges} failed`);
+
+  return `Reverted ${state.revertedChanges} changes${notes.length ? ` (${notes.join(', ')})` : ''}`;
+}
+
+/**
+ * Advance a commission-revert job by one slice
+ */
+export async function runCommissionRevertSlice(job, { deadline, saveProgress }) {
+  const { state, payload } = job;
+  // Newest first; the list doesn't grow once the operation has finished
+  const ids = (await getOperationChangeIds(job.shopId, payload.revertOf)).reverse();
+
+  if (state.totalChanges === undefined) {
+    Object.assign(state, {
+      totalChanges: ids.length,
+      processedChanges: 0,
+      revertedChanges: 0,
+      skippedChanges: 0,
+      failedChanges: 0,
+      failures: []
+    });
+    job.progress = revertProgress(state);
+    await saveProgress();
+  }
+
+  const records = await loadCommissionRecords(job.shopId);
+
+  while (state.processedChanges < ids.length) {
+    const batch = await loadBatch(
+      job.shopId,
+      payload.revertOf,
+      ids.slice(state.processedChanges, state.processedChanges + REVERT_BATCH_SIZE)
+    );
+    await revertBatch(job, batch, records);
+    job.progress = revertProgress(state);
+    await saveProgress();
+
+    if (Date.now() >= deadline) return { done: false };
+    await sleep(BATCH_PAUSE_MS);
+  }
+
+  return {
+    done: true,
+    result: {
+      message: describeResult(state),
+      revertedChanges: state.revertedChanges,
+      skippedChanges: state.skippedChanges,
+      failedChanges: state.failedChanges,
+      failures: state.failures
+    }
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Commission payload schema
+ * Every form and API route describes a commission the same way:
+ *
+ *   { commission, commissionType: 'percentage' | 'amount', currency, tiers, tierPeriod, limits }
+ *
+ * Some forms used to send 'fixed' for a fixed amount, and records saved then
+ * still carry it, so it is read as 'amount' everywhere a type is read.
+ * No server-only imports, so the forms validate with the same rules the API enforces.
+ */
+
+import { validateCommissionLimits, normalizeCommissionLimits } from './commission-limits';
+import { DEFAULT_CURRENCY, DEFAULT_SHOP_CURRENCY, formatMoney } from './currency';
+
+export { DEFAULT_CURRENCY };
+
+export const COMMISSION_VALUE_TYPES = ['percentage', 'amount'];
+
+export const TIER_PERIODS = ['month', 'quarter', 'year'];
+
+// Older names for a fixed amount
+const AMOUNT_ALIASES = ['fixed', 'fixed_amount', 'flat'];
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * The canonical commission type for a stored or submitted value
+ * Missing types are percentages, as they always have been.
+ */
+export function normalizeCommissionType(commissionType) {
+  if (!hasValue(commissionType)) return 'percentage';
+
+  const type = String(commissionType).trim().toLowerCase();
+  return AMOUNT_ALIASES.includes(type) ? 'amount' : type;
+}
+
+export function isPercentageCommission(commissionType) {
+  return normalizeCommissionType(commissionType) === 'percentage';
+}
+
+/**
+ * A commission rate for display: "12%", or the fixed amount in the shop's currency
+ */
+export function formatCommissionRate(commission, commissionType, currency = DEFAULT_SHOP_CURRENCY) {
+  return isPercentageCommission(commissionType) ? `${commission}%` : formatMoney(commission, currency);
+}
+
+/**
+ * Validate a tier schedule
+ * Returns an error message, or null when the schedule is usable.
+ */
+export function validateTierSchedule(tiers, commissionType = 'percentage', tierPeriod = 'month') {
+  if (tiers === undefined || tiers === null) return null;
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'tiers must be a non-empty array';
+  }
+  if (!isPercentageCommission(commissionType)) {
+    return 'Tiers are only supported for percentage commissions';
+  }
+  if (!TIER_PERIODS.includes(tierPeriod)) {
+    return `tierPeriod must be one of: ${TIER_PERIODS.join(', ')}`;
+  }
+
+  for (let i = 0; i < tiers.length; i++) {
+    const minSales = Number(tiers[i]?.minSales);
+    const rate = Number(tiers[i]?.rate);
+
+    if (!Number.isFinite(minSales) || minSales < 0) {
+      return `Tier ${i + 1} needs a minSales of 0 or more`;
+    }
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return `Tier ${i + 1} needs a rate between 0 and 100`;
+    }
+    if (i === 0 && minSales !== 0) {
+      return 'The first tier must start at minSales 0';
+    }
+    if (i > 0 && minSales <= Number(tiers[i - 1].minSales)) {
+      return 'Tier thresholds must increase';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Field-level errors for a commission payload, keyed by field name
+ * An empty object means the payload is valid. A tiered rule may leave out
+ * `commission`, which then defaults to its first tier's rate.
+ */
+export function validateCommissionInput(data = {}) {
+  const errors = {};
+  const commissionType = normalizeCommissionType(data.commissionType);
+  const tiered = Array.isArray(data.tiers) && data.tiers.length > 0;
+
+  if (!COMMISSION_VALUE_TYPES.includes(commissionType)) {
+    errors.commissionType = `commissionType must be one of: ${COMMISSION_VALUE_TYPES.join(', ')}`;
+  }
+
+  if (!hasValue(data.commission)) {
+    if (!tiered) errors.commission = 'Enter a commission';
+  } else if (isNaN(data.commission) || !Number.isFinite(Number(data.commission))) {
+    errors.commission = 'Commission must be a number';
+  } else if (Number(data.commission) < 0) {
+    errors.commission = 'Commission cannot be negative';
+  } else if (commissionType === 'percentage' && Number(data.commission) > 100) {
+    errors.commission = 'A percentage commission cannot be more than 100';
+  }
+
+  if (hasValue(data.currency) && !/^[A-Za-z]{3}$/.test(String(data.currency).trim())) {
+    errors.currency = 'currency must be a 3-letter ISO code, e.g. KES';
+  }
+
+  const tierError = validateTierSchedule(data.tiers, commissionType, data.tierPeriod || 'month');
+  if (tierError) {
+    errors[tierError.startsWith('tierPeriod') ? 'tierPeriod' : 'tiers'] = tierError;
+  }
+
+  const limitsError = validateCommissionLimits(data.limits);
+  if (limitsError) {
+    errors.limits = limitsError;
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and normalize a commission payload
+ * Resolves { commissionData, fieldErrors }; commissionData is only usable when
+ * fieldErrors is empty. A payload without a currency gets `defaultCurrency`,
+ * normally the shop's.
+ */
+export function parseCommissionPayload(data = {}, { defaultCurrency = DEFAULT_CURRENCY } = {}) {
+  const fieldErrors = validateCommissionInput(data);
+  const commissionType = normalizeCommissionType(data.commissionType);
+  const tiered = Array.isArray(data.tiers) && data.tiers.length > 0;
+
+  // A tiered rule's flat rate is its first tier
+  const commission = hasValue(data.commission) ? data.commission : data.tiers?.[0]?.rate;
+
+  const commissionData = {
+    commission: Number(commission),
+    commissionType,
+    currency: hasValue(data.currency) ? String(data.currency).trim().toUpperCase() : defaultCurrency,
+    limits: normalizeCommissionLimits(data.limits)
+  };
+
+  if (tiered) {
+    commissionData.tiers = data.tiers;
+    commissionData.tierPeriod = data.tierPeriod || 'month';
+  }
+
+  return { commissionData, fieldErrors };
+}
+
+/**
+ * One message listing every field error, for banners and logs
+ */
+export function describeFieldErrors(fieldErrors) {
+  return Object.values(fieldErrors || {}).join('; ');
+}
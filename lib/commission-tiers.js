@@ -0,0 +1,204 @@
+/**
+ * Tiered (volume) commission rates
+ * A percentage rule can carry a tier schedule, e.g. 10% on an affiliate's first
+ * KES 50,000 of attributed sales in a month and 15% on everything above:
+ *
+ *   tiers: [{ minSales: 0, rate: 10 }, { minSales: 50000, rate: 15 }]
+ *
+ * Tiers are marginal - a sale that crosses a threshold earns each rate on the
+ * part that falls inside its tier. Running totals are kept per affiliate and
+ * calendar month; quarterly and yearly periods add up the months. What each
+ * line item added is remembered, so refunds and cancellations can take it back out.
+ *
+ * Storage layout, per shop domain:
+ *   affiliate-volume:<shop>:<affiliateId>:<YYYY-MM>                  running total (a counter)
+ *   affiliate-volume-sale:<shop>:<orderId>:<lineItemId>:<affiliateId>  what one line item added
+ */
+
+import { getStorage } from './storage';
+import { getShopDomain } from './shopify-helpers';
+
+// Validation lives with the rest of the commission schema, which the forms share
+export { TIER_PERIODS, validateTierSchedule } from './commission-schema';
+
+// Long enough to cover a yearly period
+const VOLUME_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+function volumeKey(shopId, affiliateId, month) {
+  return `affiliate-volume:${getShopDomain(shopId)}:${affiliateId}:${month}`;
+}
+
+function saleVolumeKey(shopId, orderId, lineItemId, affiliateId) {
+  return `affiliate-volume-sale:${getShopDomain(shopId)}:${orderId}:${lineItemId}:${affiliateId}`;
+}
+
+function monthOf(date) {
+  const d = new Date(date || Date.now());
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * The calendar months (YYYY-MM, UTC) making up the period that contains `date`, up to that month
+ */
+export function getPeriodMonths(date, period = 'month') {
+  const d = new Date(date || Date.now());
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+
+  let firstMonth = month;
+  if (period === 'quarter') {
+    firstMonth = month - (month % 3);
+  } else if (period === 'year') {
+    firstMonth = 0;
+  }
+
+  const months = [];
+  for (let m = firstMonth; m <= month; m++) {
+    months.push(`${year}-${String(m + 1).padStart(2, '0')}`);
+  }
+  return months;
+}
+
+/**
+ * Normalize the tier fields of a commission payload for syncing
+ * Returns {} when the payload has no tiers, so flat rules are unchanged.
+ */
+export function extractTierSchedule(commissionData) {
+  if (typeof commissionData !== 'object' || !commissionData?.tiers?.length) {
+    return {};
+  }
+
+  return {
+    tiers: commissionData.tiers.map(tier => ({
+      minSales: Number(tier.minSales),
+      rate: Number(tier.rate)
+    })),
+    tierPeriod: commissionData.tierPeriod || 'month'
+  };
+}
+
+/**
+ * The tier an affiliate is in at a given period total
+ */
+export function getTierForTotal(tiers, periodTotal) {
+  let index = 0;
+  tiers.forEach((tier, i) => {
+    if (periodTotal >= tier.minSales) index = i;
+  });
+
+  return {
+    index,
+    tier: tiers[index],
+    nextTier: tiers[index + 1] || null
+  };
+}
+
+/**
+ * Commission on a sale of `saleAmount` made when the affiliate's period total was `periodTotal`
+ * Resolves the amount, the blended rate and the tier reached after the sale.
+ */
+export function calculateTieredCommission(tiers, periodTotal, saleAmount) {
+  const start = Math.max(0, parseFloat(periodTotal) || 0);
+  const end = start + Math.max(0, parseFloat(saleAmount) || 0);
+  let amount = 0;
+
+  tiers.forEach((tier, i) => {
+    const tierStart = tier.minSales;
+    const tierEnd = tiers[i + 1] ? tiers[i + 1].minSales : Infinity;
+    const inTier = Math.min(end, tierEnd) - Math.max(start, tierStart);
+    if (inTier > 0) {
+      amount += inTier * tier.rate / 100;
+    }
+  });
+
+  const { index } = getTierForTotal(tiers, end);
+
+  return {
+    amount,
+    rate: end > start ? (amount / (end - start)) * 100 : getTierForTotal(tiers, start).tier.rate,
+    tierIndex: index
+  };
+}
+
+/**
+ * An affiliate's attributed sales so far in the period containing `date`
+ */
+export async function getAffiliatePeriodTotal(shopId, affiliateId, date = null, period = 'month') {
+  if (!affiliateId) return 0;
+
+  const storage = getStorage();
+  let total = 0;
+
+  for (const month of getPeriodMonths(date, period)) {
+    total += (await storage.get(volumeKey(shopId, affiliateId, month))) || 0;
+  }
+
+  return total;
+}
+
+/**
+ * Add a recorded sale to the affiliate's running total for its month
+ * `sale` ({ orderId, lineItemId, quantity }) identifies the line item, so the
+ * amount can be taken out again with removeAffiliateSales.
+ */
+export async function addAffiliateSales(shopId, affiliateId, amount, date = null, sale = null) {
+  if (!affiliateId || !amount) return;
+
+  const storage = getStorage();
+  const month = monthOf(date);
+  await storage.increment(volumeKey(shopId, affiliateId, month), amount, { ttlSeconds: VOLUME_TTL_SECONDS });
+
+  if (sale?.orderId && sale?.lineItemId) {
+    await storage.set(saleVolumeKey(shopId, sale.orderId, sale.lineItemId, affiliateId), {
+      affiliateId: String(affiliateId),
+      lineItemId: String(sale.lineItemId),
+      month,
+      amount,
+      quantity: sale.quantity > 0 ? sale.quantity : 1
+    }, { ttlSeconds: VOLUME_TTL_SECONDS });
+  }
+}
+
+/**
+ * What each line item of an order added to its affiliates' running totals
+ */
+export async function getOrderSalesVolume(shopId, orderId) {
+  const storage = getStorage();
+  const keys = await storage.keys(`affiliate-volume-sale:${getShopDomain(shopId)}:${orderId}:`);
+  const volumes = await Promise.all(keys.map(key => storage.get(key)));
+  return volumes.filter(Boolean);
+}
+
+/**
+ * Take `units` of a line item (an entry of getOrderSalesVolume) back out of the
+ * affiliate's running total for the month it was added to
+ */
+export async function removeAffiliateSales(shopId, volume, units) {
+  const removed = volume.amount * Math.min(units, volume.quantity) / volume.quantity;
+  if (!(removed > 0)) return;
+
+  await getStorage().increment(volumeKey(shopId, volume.affiliateId, volume.month), -removed, {
+    ttlSeconds: VOLUME_TTL_SECONDS
+  });
+}
+
+/**
+ * Period totals for every affiliate with recorded sales in the shop, keyed by affiliate ID
+ */
+export async function getShopAffiliateTotals(shopId, date = null, period = 'month') {
+  const storage = getStorage();
+  const prefix = `affiliate-volume:${getShopDomain(shopId)}:`;
+  const months = getPeriodMonths(date, period);
+  const totals = {};
+
+  for (const key of await storage.keys(prefix)) {
+    const rest = key.slice(prefix.length);
+    const separator = rest.lastIndexOf(':');
+    const affiliateId = rest.slice(0, separator);
+    if (!months.includes(rest.slice(separator + 1))) continue;
+
+    totals[affiliateId] = (totals[affiliateId] || 0) + ((await storage.get(key)) || 0);
+  }
+
+  return totals;
+}
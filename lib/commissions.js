@@ -8,7 +8,10 @@
 export {
   getProductCommission,
   setProductCommission,
+  setVariantCommission,
   setCollectionCommission,
   setCategoryCommission,
+  setShopCommission,
+  getShopCommission,
   removeCommission
 } from './backend-commissions';
\ No newline at end of file
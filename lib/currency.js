@@ -0,0 +1,47 @@
+/**
+ * Money in a shop's currency
+ * Commissions are configured and paid in the shop's currency. A shop's
+ * currency is described as:
+ *
+ *   { currencyCode, presentmentCurrencies, locale }
+ *
+ * as returned by /api/shop-currency (see lib/shop-currency.js). No imports, so
+ * the forms, the schema and the API routes all format amounts the same way.
+ */
+
+export const DEFAULT_CURRENCY = 'KES';
+
+// Used until the shop's currency has loaded, or when Shopify can't be reached
+export const DEFAULT_SHOP_CURRENCY = {
+  currencyCode: DEFAULT_CURRENCY,
+  presentmentCurrencies: [DEFAULT_CURRENCY],
+  locale: 'en-KE',
+  fallback: true
+};
+
+/**
+ * A BCP 47 locale for a shop's language and country, e.g. 'en' + 'KE' => 'en-KE'
+ */
+export function toLocale(language, countryCode) {
+  const base = String(language || 'en').split('-')[0];
+  return countryCode ? `${base}-${String(countryCode).toUpperCase()}` : base;
+}
+
+/**
+ * An amount formatted for a shop, e.g. "KSh 1,500.00" or "$15.00"
+ * `currencyCode` overrides the shop's code for amounts in another currency.
+ */
+export function formatMoney(amount, currency = DEFAULT_SHOP_CURRENCY, currencyCode = null) {
+  const code = currencyCode || currency?.currencyCode || DEFAULT_CURRENCY;
+  const value = Number(amount) || 0;
+
+  try {
+    return new Intl.NumberFormat(currency?.locale || DEFAULT_SHOP_CURRENCY.locale, {
+      style: 'currency',
+      currency: code
+    }).format(value);
+  } catch (error) {
+    // Unknown locale or currency code
+    return `${code} ${value.toFixed(2)}`;
+  }
+}
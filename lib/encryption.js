@@ -0,0 +1,117 @@
+/**
+ * AES-256-GCM encryption for secrets stored at rest
+ *
+ * Keys are configured with TOKEN_ENCRYPTION_KEYS as a comma-separated list of
+ * `keyId:base64Key` pairs (32-byte keys). The first key encrypts new values;
+ * the others are only used to decrypt values written before a rotation.
+ * Local setups without it fall back to a key derived from SHOPIFY_API_SECRET;
+ * production deployments refuse to start instead.
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+let keyring = null;
+
+function loadKeyring() {
+  const configured = process.env.TOKEN_ENCRYPTION_KEYS;
+
+  if (!configured) {
+    if (!process.env.SHOPIFY_API_SECRET) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+    }
+
+    // Deployed tokens must not depend on the app secret, which gets rotated on its own
+    if (process.env.VERCEL || process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS must be set in production');
+    }
+
+    // Fall back to a key derived from the app secret so local setups work
+    console.warn('TOKEN_ENCRYPTION_KEYS not set - deriving encryption key from SHOPIFY_API_SECRET');
+    const derived = crypto.createHash('sha256').update(process.env.SHOPIFY_API_SECRET).digest();
+    return { currentKeyId: 'default', keys: new Map([['default', derived]]) };
+  }
+
+  const keys = new Map();
+  let currentKeyId = null;
+
+  configured.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator === -1) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like keyId:base64Key');
+    }
+
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${keyId}" must be 32 bytes`);
+    }
+
+    keys.set(keyId, key);
+    if (!currentKeyId) currentKeyId = keyId;
+  });
+
+  return { currentKeyId, keys };
+}
+
+function getKeyring() {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+}
+
+/**
+ * Encrypt a string with the current key
+ * Returns `v1:keyId:iv:authTag:ciphertext` with base64 segments
+ */
+export function encrypt(plaintext) {
+  const { currentKeyId, keys } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [
+    FORMAT_VERSION,
+    currentKeyId,
+    iv.toString('base64'),
+    authTag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt(), using whichever key it was written with
+ */
+export function decrypt(payload) {
+  const [version, keyId, iv, authTag, ciphertext] = String(payload).split(':');
+
+  if (version !== FORMAT_VERSION || !ciphertext) {
+    throw new Error('Unrecognized encrypted value format');
+  }
+
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is no longer configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Whether a value was encrypted with a key other than the current one
+ */
+export function needsReencryption(payload) {
+  const keyId = String(payload).split(':')[1];
+  return keyId !== getKeyring().currentKeyId;
+}
@@ -8,6 +8,8 @@ export const PRODUCTS_QUERY = `
           handle
           status
           productType
+          hasOnlyDefaultVariant
+          totalVariants
           description
           descriptionHtml
           featuredImage {
@@ -34,14 +36,6 @@ export const PRODUCTS_QUERY = `
               }
             }
           }
-          collections(first: 10) {
-            edges {
-              node {
-                id
-                title
-              }
-            }
-          }
         }
       }
       pageInfo {
@@ -0,0 +1,61 @@
+/**
+ * Idempotency for webhook processing
+ * Shopify retries webhooks and sends both orders/create and orders/paid for the
+ * same order, so every webhook delivery and every sale event is claimed once
+ * before it is processed.
+ */
+
+import { getStorage } from './storage';
+
+// Shopify retries failed deliveries for up to 48 hours
+const WEBHOOK_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Orders can be edited or refunded long after they are placed
+const SALE_EVENT_TTL_SECONDS = 180 * 24 * 60 * 60;
+
+export const IDEMPOTENCY_HEADER = 'X-Twiva-Idempotency';
+
+function webhookKey(webhookId) {
+  return `webhook:${webhookId}`;
+}
+
+function saleEventKey(shopId, orderId, lineItemId, event) {
+  return `sale-event:${shopId}:${orderId}:${lineItemId || '*'}:${event}`;
+}
+
+/**
+ * Claim a webhook delivery by its X-Shopify-Webhook-Id
+ * Resolves to false if it has already been processed
+ */
+export async function claimWebhook(webhookId, metadata = {}) {
+  if (!webhookId) return true;
+
+  return getStorage().setIfAbsent(webhookKey(webhookId), {
+    ...metadata,
+    receivedAt: new Date().toISOString()
+  }, { ttlSeconds: WEBHOOK_TTL_SECONDS });
+}
+
+/**
+ * Release a webhook claim so a Shopify retry is processed again
+ */
+export async function releaseWebhook(webhookId) {
+  if (!webhookId) return;
+  await getStorage().delete(webhookKey(webhookId));
+}
+
+/**
+ * Claim an (order, line item, event) tuple
+ * Resolves to false if that event was already recorded for the line item
+ */
+export async function claimSaleEvent(shopId, orderId, lineItemId, event) {
+  return getStorage().setIfAbsent(saleEventKey(shopId, orderId, lineItemId, event), {
+    recordedAt: new Date().toISOString()
+  }, { ttlSeconds: SALE_EVENT_TTL_SECONDS });
+}
+
+/**
+ * Release a sale event claim after the backend call for it failed
+ */
+export async function releaseSaleEvent(shopId, orderId, lineItemId, event) {
+  await getStorage().delete(saleEventKey(shopId, orderId, lineItemId, event));
+}
@@ -0,0 +1,13 @@
+/**
+ * What advances each type of background job (see processJob in lib/jobs.js)
+ */
+
+import { COMMISSION_APPLY_JOB, runCommissionApplySlice } from './commission-apply';
+import { COMMISSION_REVERT_JOB, runCommissionRevertSlice } from './commission-revert';
+import { CATALOG_CATEGORIES_JOB, runCatalogCategoriesSlice } from './catalog-categories';
+
+export const JOB_RUNNERS = {
+  [COMMISSION_APPLY_JOB]: runCommissionApplySlice,
+  [COMMISSION_REVERT_JOB]: runCommissionRevertSlice,
+  [CATALOG_CATEGORIES_JOB]: runCatalogCategoriesSlice
+};
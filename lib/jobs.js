@@ -0,0 +1,157 @@
+/**
+ * Background jobs
+ * Long work, such as applying a collection rule to thousands of products, runs
+ * as a job instead of inside the request that asked for it. A job is a record
+ * in app storage that is advanced one time-boxed slice at a time, well inside
+ * the function time limit, whenever the UI polls it or the cron route runs.
+ * A lock keeps two slices of the same job from running at once.
+ */
+
+import crypto from 'crypto';
+import { getStorage } from './storage';
+import { getShopDomain } from './shopify-helpers';
+
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Leaves room under vercel.json's 30s maxDuration to save and respond
+export const SLICE_BUDGET_MS = 20 * 1000;
+// Outlives any slice, so a crashed slice can't lock its job for good
+const LOCK_TTL_SECONDS = 60;
+// Slices that may fail in a row before the job gives up
+const MAX_SLICE_FAILURES = 3;
+
+function jobKey(shopId, jobId) {
+  return `job:${getShopDomain(shopId)}:${jobId}`;
+}
+
+function lockKey(shopId, jobId) {
+  return `job-lock:${getShopDomain(shopId)}:${jobId}`;
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await getStorage().set(jobKey(job.shopId, job.id), job, { ttlSeconds: JOB_TTL_SECONDS });
+}
+
+/**
+ * Queue a job; nothing runs until its first slice is processed
+ */
+export async function createJob(shopId, type, payload) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${crypto.randomBytes(8).toString('hex')}`,
+    shopId: getShopDomain(shopId),
+    type,
+    status: 'queued',
+    payload,
+    state: {},
+    progress: {},
+    failedSlices: 0,
+    lastError: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await saveJob(job);
+  return job;
+}
+
+export async function getJob(shopId, jobId) {
+  return getStorage().get(jobKey(shopId, jobId));
+}
+
+export function isJobFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+/**
+ * The parts of a job the UI needs; `payload` and `state` stay internal
+ */
+export function toJobStatus(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    lastError: job.lastError,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt || null
+  };
+}
+
+/**
+ * Unfinished jobs across every shop, least recently advanced first
+ */
+export async function getPendingJobs() {
+  const storage = getStorage();
+  const jobs = [];
+
+  for (const key of await storage.keys('job:')) {
+    const job = await storage.get(key);
+    if (job && !isJobFinished(job)) {
+      jobs.push(job);
+    }
+  }
+
+  return jobs.sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+}
+
+/**
+ * Run one slice of a job
+ * `runners` maps a job type to `runSlice(job, { deadline, saveProgress })`, which
+ * advances `job.state` and `job.progress` and resolves to { done, result }.
+ * Resolves to the job as it stands afterwards - unchanged when another slice
+ * holds the lock or the job has already finished.
+ */
+export async function processJob(shopId, jobId, runners, { budgetMs = SLICE_BUDGET_MS } = {}) {
+  const storage = getStorage();
+  const job = await getJob(shopId, jobId);
+  if (!job || isJobFinished(job)) return job;
+
+  const locked = await storage.setIfAbsent(lockKey(shopId, jobId), { lockedAt: new Date().toISOString() }, {
+    ttlSeconds: LOCK_TTL_SECONDS
+  });
+  if (!locked) return job;
+
+  try {
+    const runSlice = runners[job.type];
+    if (!runSlice) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+
+    const outcome = await runSlice(job, {
+      deadline: Date.now() + budgetMs,
+      saveProgress: () => saveJob(job)
+    });
+
+    job.failedSlices = 0;
+    if (outcome?.done) {
+      job.status = 'completed';
+      job.result = outcome.result ?? null;
+      job.completedAt = new Date().toISOString();
+    }
+  } catch (error) {
+    console.error(`Job ${jobId} slice failed:`, error);
+    job.failedSlices += 1;
+    job.lastError = error.message;
+
+    // Unknown types can't succeed on a retry
+    if (job.failedSlices >= MAX_SLICE_FAILURES || !runners[job.type]) {
+      job.status = 'failed';
+      job.error = error.message;
+      job.completedAt = new Date().toISOString();
+    }
+  } finally {
+    await saveJob(job);
+    await storage.delete(lockKey(shopId, jobId));
+  }
+
+  return job;
+}
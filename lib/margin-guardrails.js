@@ -0,0 +1,78 @@
+/**
+ * Margin guardrails for commission saves
+ * Before a rule is saved, the variants it would apply to are checked against the
+ * shop's minimum margin. Depending on the shop's setting a save that leaves any
+ * of them below it is blocked, saved with a warning, or not checked at all.
+ * Collection, category and shop rules are checked on a sample of their products
+ * and include products that a more specific rule overrides.
+ */
+
+import { fetchVariantCosts } from './shopify-helpers';
+import { toVariantGid } from './commission-resolver';
+import { getShopSettings } from './shop-settings';
+import { findMarginViolations } from './margins';
+
+function costScope(type, { id, productId }) {
+  if (type === 'variant') return { variantIds: [toVariantGid(id)] };
+  if (type === 'product') return { productIds: [id || productId] };
+  if (type === 'collection') return { collectionId: id };
+  if (type === 'category') return { productType: id };
+  return {};
+}
+
+/**
+ * Check a commission against the shop's margin guardrail
+ * Resolves to { mode, minMarginPercent, violations, checked, skipped, truncated }.
+ */
+export async function checkCommissionMargins(shopId, type, target, commissionData) {
+  const settings = await getShopSettings(shopId);
+  const result = {
+    mode: settings.marginGuardrail,
+    minMarginPercent: settings.minMarginPercent,
+    violations: [],
+    checked: 0,
+    skipped: 0,
+    truncated: false
+  };
+
+  if (settings.marginGuardrail === 'off') {
+    return result;
+  }
+
+  const { products, truncated } = await fetchVariantCosts(shopId, costScope(type, target));
+  const { violations, checked, skipped } = findMarginViolations(products, commissionData, settings.minMarginPercent);
+
+  return { ...result, violations, checked, skipped, truncated };
+}
+
+/**
+ * One-line summary of a failed check for error and warning messages
+ */
+export function describeMarginViolations(check) {
+  const count = check.violations.length;
+  const worst = check.violations[0];
+  return `${count} variant${count === 1 ? '' : 's'} would fall below the ${check.minMarginPercent}% minimum margin ` +
+    `(lowest: ${worst.productTitle}${worst.variantTitle && worst.variantTitle !== 'Default Title' ? ` / ${worst.variantTitle}` : ''} at ${worst.marginPercent.toFixed(1)}%)`;
+}
+
+export const MARGIN_CHECK_UNAVAILABLE = 'Commission not saved: the margin check could not run';
+
+/**
+ * Check a commission that is about to be saved
+ * If the check itself fails, shops that warn still save without it (resolves to
+ * null), while shops that block get an error so nothing unchecked is saved.
+ */
+export async function checkMarginsBeforeSave(shopId, type, target, commissionData) {
+  try {
+    return await checkCommissionMargins(shopId, type, target, commissionData);
+  } catch (error) {
+    const settings = await getShopSettings(shopId);
+    if (settings.marginGuardrail === 'block') {
+      console.error('Margin check failed, not saving:', error);
+      throw new Error(MARGIN_CHECK_UNAVAILABLE);
+    }
+
+    console.error('Margin check failed, saving without it:', error);
+    return null;
+  }
+}
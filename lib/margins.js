@@ -0,0 +1,77 @@
+/**
+ * Margin math for commission guardrails
+ * Margin after commission, as a share of the selling price:
+ *
+ *   (price - unit cost - commission) / price
+ *
+ * No server-only imports, so the forms can show the same numbers the API enforces.
+ */
+
+import { limitCommission } from './commission-limits';
+import { isPercentageCommission } from './commission-schema';
+
+/**
+ * The highest rate a rule can pay; tiered rules are checked at their top tier
+ */
+function worstCaseRate(commissionData) {
+  const base = parseFloat(commissionData.commission) || 0;
+  if (!commissionData.tiers?.length) return base;
+  return Math.max(base, ...commissionData.tiers.map(tier => parseFloat(tier.rate) || 0));
+}
+
+/**
+ * Commission paid on one unit at `price` under a rule, after its caps and floors
+ */
+export function commissionPerUnit(commissionData, price) {
+  const rate = worstCaseRate(commissionData);
+  const amount = isPercentageCommission(commissionData.commissionType) ? (price * rate) / 100 : rate;
+  return limitCommission(commissionData.limits, amount).amount;
+}
+
+export function calculateMargin(price, unitCost, commissionAmount) {
+  const marginAmount = price - unitCost - commissionAmount;
+  return {
+    marginAmount,
+    marginPercent: price > 0 ? (marginAmount / price) * 100 : 0
+  };
+}
+
+/**
+ * Variants whose margin after the commission falls below `minMarginPercent`
+ * `products` are shaped like fetchVariantCosts results. Variants without a unit
+ * cost can't be checked and are counted in `skipped`.
+ */
+export function findMarginViolations(products, commissionData, minMarginPercent = 0) {
+  const violations = [];
+  let checked = 0;
+  let skipped = 0;
+
+  products.forEach(product => {
+    product.variants.forEach(variant => {
+      if (variant.unitCost === null || variant.unitCost === undefined) {
+        skipped += 1;
+        return;
+      }
+
+      checked += 1;
+      const commissionAmount = commissionPerUnit(commissionData, variant.price);
+      const margin = calculateMargin(variant.price, variant.unitCost, commissionAmount);
+
+      if (margin.marginPercent < minMarginPercent) {
+        violations.push({
+          productId: product.id,
+          productTitle: product.title,
+          variantId: variant.id,
+          variantTitle: variant.title,
+          price: variant.price,
+          unitCost: variant.unitCost,
+          commissionAmount,
+          ...margin
+        });
+      }
+    });
+  });
+
+  violations.sort((a, b) => a.marginPercent - b.marginPercent);
+  return { violations, checked, skipped };
+}
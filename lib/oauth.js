@@ -0,0 +1,147 @@
+/**
+ * OAuth helpers for the install / re-auth flow
+ * State nonce handling, request signature checks and error pages
+ */
+
+import crypto from 'crypto';
+
+const STATE_COOKIE_NAME = 'twiva_oauth_state';
+const STATE_MAX_AGE_SECONDS = 10 * 60;
+const SHOP_DOMAIN_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/;
+
+function sign(value) {
+  return crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(value)
+    .digest('hex');
+}
+
+/**
+ * Compare two hex strings in constant time
+ */
+export function safeCompareHex(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+
+  if (bufferA.length === 0 || bufferA.length !== bufferB.length) return false;
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Check that a shop parameter is a plain *.myshopify.com domain
+ */
+export function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_PATTERN.test(shop);
+}
+
+/**
+ * Verify the hmac Shopify appends to OAuth redirects
+ */
+export function verifyOAuthHmac(query) {
+  const { hmac } = query;
+  if (!hmac) return false;
+
+  const message = Object.keys(query)
+    .filter(key => key !== 'hmac' && key !== 'signature')
+    .sort()
+    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
+    .join('&');
+
+  return safeCompareHex(sign(message), hmac);
+}
+
+/**
+ * Create a new state nonce and the Set-Cookie header that binds it to this browser
+ */
+export function createOAuthState() {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const cookieValue = `${nonce}.${sign(nonce)}`;
+
+  const attributes = [
+    `${STATE_COOKIE_NAME}=${cookieValue}`,
+    'Path=/api/auth',
+    `Max-Age=${STATE_MAX_AGE_SECONDS}`,
+    'HttpOnly',
+    'SameSite=Lax'
+  ];
+  if (process.env.NODE_ENV === 'production') {
+    attributes.push('Secure');
+  }
+
+  return { state: nonce, cookie: attributes.join('; ') };
+}
+
+/**
+ * Set-Cookie header that removes the state cookie once it has been used
+ */
+export function clearOAuthStateCookie() {
+  return `${STATE_COOKIE_NAME}=; Path=/api/auth; Max-Age=0; HttpOnly; SameSite=Lax`;
+}
+
+/**
+ * Check the state returned by Shopify against the signed cookie
+ * Returns null when valid, otherwise a short reason
+ */
+export function verifyOAuthState(req) {
+  const { state } = req.query;
+  const cookieValue = req.cookies?.[STATE_COOKIE_NAME];
+
+  if (!cookieValue) return 'missing-cookie';
+  if (!state) return 'missing-state';
+
+  const [nonce, signature] = cookieValue.split('.');
+  if (!nonce || !safeCompareHex(sign(nonce), signature)) return 'bad-cookie';
+
+  const expected = Buffer.from(nonce);
+  const received = Buffer.from(String(state));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'state-mismatch';
+  }
+
+  return null;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Respond with a readable error page (or JSON for fetch callers)
+ */
+export function sendAuthError(req, res, status, title, message, shop = null) {
+  if (req.headers.accept?.includes('application/json')) {
+    return res.status(status).json({ error: title, details: message });
+  }
+
+  const retryLink = isValidShopDomain(shop)
+    ? `<p><a href="/api/auth?shop=${encodeURIComponent(shop)}">Try installing again</a></p>`
+    : '';
+
+  res.status(status);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.send(`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f6f6f7; color: #202223; }
+      main { max-width: 480px; margin: 80px auto; padding: 24px; background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.15); }
+      h1 { font-size: 20px; }
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>${escapeHtml(title)}</h1>
+      <p>${escapeHtml(message)}</p>
+      ${retryLink}
+    </main>
+  </body>
+</html>`);
+}
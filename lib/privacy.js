@@ -0,0 +1,210 @@
+/**
+ * GDPR / privacy compliance
+ * Fulfils Shopify's mandatory customers/data_request, customers/redact and
+ * shop/redact webhooks and keeps an audit trail of every request.
+ *
+ * Customer data (sale records with customer emails, smart link clicks with IP
+ * addresses and device info) lives in the Laravel backend, so gathering,
+ * exporting and redacting all go through ApiClient. The local click store
+ * (lib/click-store.js) links clicks to customers too and is handled here.
+ * Audit entries only hold a hash of the customer's email, never the address itself.
+ */
+
+import crypto from 'crypto';
+import apiClient from './api-client';
+import { getStorage } from './storage';
+import { getCustomerClicks, deleteCustomerClicks } from './click-store';
+
+const AUDIT_PREFIX = 'privacy-request:';
+
+// Local keys that hold shop data, removed on shop/redact.
+// Each prefix is followed by the shop domain (or the id without .myshopify.com).
+const SHOP_KEY_PREFIXES = [
+  'shop-token:',
+  'webhook-subscriptions:',
+  'sale-event:',
+  'affiliate-volume:',
+  'affiliate-volume-sale:',
+  'shop-settings:',
+  'catalog-categories:',
+  'catalog-categories-job:',
+  'job:',
+  'job-lock:',
+  'commission-history:',
+  'commission-history-op:',
+  'commission-history-revert:',
+  'shop-currency:',
+  'affiliate-discount:',
+  'click:',
+  'click-cart:',
+  'click-customer:',
+  'click-email:',
+  'theme-block-cache:',
+];
+
+function hashIdentifier(value) {
+  if (!value) return null;
+  return crypto.createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex');
+}
+
+function countRecords(data = {}) {
+  return Object.fromEntries(
+    Object.entries(data).map(([type, records]) => [type, Array.isArray(records) ? records.length : 0])
+  );
+}
+
+async function writeAuditEntry(entry) {
+  await getStorage().set(`${AUDIT_PREFIX}${entry.shopDomain}:${entry.requestId}`, entry);
+}
+
+/**
+ * Run a privacy request and record how it was fulfilled
+ * `fulfil` resolves to { actions, recordCounts }; failures are recorded and rethrown
+ */
+async function auditedRequest(topic, shopDomain, requestId, payload, fulfil) {
+  const entry = {
+    requestId: String(requestId),
+    topic,
+    shopDomain,
+    shopifyShopId: payload.shop_id,
+    customerId: payload.customer?.id || null,
+    customerEmailHash: hashIdentifier(payload.customer?.email),
+    ordersCount: (payload.orders_requested || payload.orders_to_redact || []).length,
+    receivedAt: new Date().toISOString(),
+    status: 'processing',
+    actions: []
+  };
+
+  await writeAuditEntry(entry);
+
+  try {
+    const result = await fulfil();
+    Object.assign(entry, result, {
+      status: 'fulfilled',
+      fulfilledAt: new Date().toISOString()
+    });
+    await writeAuditEntry(entry);
+    console.log(`Privacy request ${topic} ${entry.requestId} fulfilled for ${shopDomain}`);
+    return entry;
+  } catch (error) {
+    Object.assign(entry, {
+      status: 'failed',
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+    await writeAuditEntry(entry);
+    throw error;
+  }
+}
+
+function customerFromPayload(payload, orderIds) {
+  return {
+    id: payload.customer?.id,
+    email: payload.customer?.email,
+    phone: payload.customer?.phone,
+    orderIds
+  };
+}
+
+/**
+ * customers/data_request - gather everything held about the customer and
+ * send it to the merchant through the backend export
+ */
+export async function handleCustomerDataRequest(shopDomain, payload, webhookId) {
+  const requestId = payload.data_request?.id || webhookId;
+
+  return auditedRequest('customers/data_request', shopDomain, requestId, payload, async () => {
+    const customer = customerFromPayload(payload, payload.orders_requested || []);
+    const response = await apiClient.getCustomerData(shopDomain, customer);
+    const storefrontClicks = await getCustomerClicks(shopDomain, customer);
+    const data = { ...(response.data || {}), storefrontClicks };
+
+    await apiClient.exportCustomerData(shopDomain, {
+      requestId: String(requestId),
+      customerId: customer.id,
+      email: customer.email,
+      generatedAt: new Date().toISOString(),
+      data
+    });
+
+    return {
+      actions: ['gathered', 'exported'],
+      recordCounts: countRecords(data)
+    };
+  });
+}
+
+/**
+ * customers/redact - remove the customer's personal data from sales and clicks
+ */
+export async function handleCustomerRedact(shopDomain, payload, webhookId) {
+  return auditedRequest('customers/redact', shopDomain, webhookId, payload, async () => {
+    const customer = customerFromPayload(payload, payload.orders_to_redact || []);
+    const existing = await apiClient.getCustomerData(shopDomain, customer);
+    const response = await apiClient.redactCustomerData(shopDomain, customer);
+    const localClicksRemoved = await deleteCustomerClicks(shopDomain, customer);
+
+    return {
+      actions: ['gathered', 'redacted', 'purged-local'],
+      recordCounts: countRecords(existing.data),
+      redactedCounts: response.data?.redacted || null,
+      localClicksRemoved
+    };
+  });
+}
+
+/**
+ * shop/redact - sent 48 hours after uninstall; remove all data held for the shop
+ */
+export async function handleShopRedact(shopDomain, payload, webhookId) {
+  return auditedRequest('shop/redact', shopDomain, webhookId, payload, async () => {
+    const existing = await apiClient.getShopData(shopDomain);
+    await apiClient.redactShopData(shopDomain);
+    const localKeysRemoved = await purgeLocalShopData(shopDomain);
+
+    return {
+      actions: ['gathered', 'redacted', 'purged-local'],
+      recordCounts: countRecords(existing.data),
+      localKeysRemoved
+    };
+  });
+}
+
+/**
+ * Delete everything this app stores locally for a shop
+ * The privacy audit trail itself is kept - it holds no personal data
+ */
+export async function purgeLocalShopData(shopDomain) {
+  const storage = getStorage();
+  const shopIds = [shopDomain, shopDomain.replace('.myshopify.com', '')];
+  let removed = 0;
+
+  for (const prefix of SHOP_KEY_PREFIXES) {
+    for (const shopId of shopIds) {
+      const keys = await storage.keys(`${prefix}${shopId}`);
+      for (const key of keys) {
+        // Avoid matching a different shop whose name starts the same way
+        const rest = key.slice(prefix.length + shopId.length);
+        if (rest === '' || rest.startsWith(':')) {
+          await storage.delete(key);
+          removed += 1;
+        }
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * List the privacy requests recorded for a shop, newest first
+ */
+export async function getPrivacyRequests(shopDomain) {
+  const storage = getStorage();
+  const keys = await storage.keys(`${AUDIT_PREFIX}${shopDomain}:`);
+  const entries = await Promise.all(keys.map(key => storage.get(key)));
+
+  return entries
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+}
@@ -5,7 +5,29 @@
  */
 
 import apiClient from './api-client';
-import { getShopFromBackend, getShopCurrency } from './shopify-helpers';
+import { getShopFromBackend } from './shopify-helpers';
+import { getShopCurrency } from './shop-currency';
+import { getShopSettings, DEFAULT_SHOP_SETTINGS } from './shop-settings';
+import { applyAttributionModel, isWithinAttributionWindow } from './attribution-models';
+import { findAffiliateDiscount } from './affiliate-discounts';
+import { CART_ATTRIBUTES, TRACKING_PARAMS } from './storefront-tracking';
+import { findClicks, hashCustomerEmail } from './click-store';
+import { claimSaleEvent, releaseSaleEvent } from './idempotency';
+import { loadCommissionRules, resolveProductCommission, calculateBaseCommission } from './commission-resolver';
+import { getAffiliatePeriodTotal, addAffiliateSales, getOrderSalesVolume, removeAffiliateSales, calculateTieredCommission } from './commission-tiers';
+import { limitCommission, scaleCommissionLimits } from './commission-limits';
+
+// How sure each signal makes a click-to-order match; several combine (see scoreClickMatch)
+const CLICK_MATCH_SIGNALS = {
+  landing_click: 0.99,
+  cart_token: 0.95,
+  landing_site: 0.9,
+  customer: 0.8,
+  product: 0.3
+};
+
+// Buying a clicked product alone is not enough to credit a click
+const MIN_CLICK_MATCH_CONFIDENCE = 0.5;
 
 class ShopifySalesTracker {
   constructor() {
@@ -15,17 +37,19 @@ class ShopifySalesTracker {
 
   /**
    * Initialize sales tracking for frontend
-   * This should be called on product pages when smart links are clicked
+   * This should be called on product pages when smart links are clicked.
+   * Pass the shop's attributionWindowDays setting as `windowDays`.
    */
-  initializeTracking(trackId, affiliateId, productId, expiresInHours = 24) {
+  initializeTracking(trackId, affiliateId, productId, shopId = null, windowDays = DEFAULT_SHOP_SETTINGS.attributionWindowDays) {
     if (typeof window === 'undefined') return; // Server-side check
 
     const trackingData = {
       track_id: trackId,
+      shop_id: shopId,
       affiliate_id: affiliateId,
       product_id: productId,
       timestamp: Date.now(),
-      expires_at: Date.now() + (expiresInHours * 60 * 60 * 1000)
+      expires_at: Date.now() + (windowDays * 24 * 60 * 60 * 1000)
     };
 
     // Store in both cookie and sessionStorage for reliability
@@ -145,7 +169,7 @@ class ShopifySalesTracker {
     try {
       const clickData = {
         track_id: trackingData.track_id,
-        shop_id: trackingData.shop_id, // Should be passed in trackingData
+        shop_id: trackingData.shop_id,
         product_id: trackingData.product_id,
         influencer_id: trackingData.affiliate_id,
         ip_address: await this.getClientIP(),
@@ -164,8 +188,12 @@ class ShopifySalesTracker {
 
   /**
    * Process order for sales tracking (called from webhook)
+   * Each line item is recorded at most once, however many webhooks deliver the order.
+   * Resolves to { attributed, recorded, duplicates, failed }.
    */
   async processOrder(orderData, trackingData = null) {
+    const result = { attributed: false, recorded: 0, duplicates: 0, failed: 0 };
+
     try {
       // If no tracking data provided, try to get from order metadata or customer
       if (!trackingData) {
@@ -174,40 +202,103 @@ class ShopifySalesTracker {
 
       if (!trackingData) {
         console.log('No tracking data found for order:', orderData.id);
-        return false;
+        return result;
       }
 
       // Get shop details
       const shopData = await getShopFromBackend(orderData.shop_id || trackingData.shop_id);
       if (!shopData) {
         console.error('Shop data not found');
-        return false;
+        return result;
+      }
+
+      result.attributed = true;
+
+      // Line item prices are in the shop's currency, which the order carries
+      const currency = orderData.currency || await getShopCurrency(shopData.id);
+      const shopId = orderData.shop_id || trackingData.shop_id;
+
+      // Load commission rules once for all line items
+      let ruleSet = null;
+      try {
+        ruleSet = await loadCommissionRules(shopData.id);
+      } catch (error) {
+        console.error('Failed to load commission rules, recording sale without them:', error);
       }
 
-      // Get shop currency
-      const currency = await getShopCurrency(shopData.id);
+      // What each rule has paid so far in this order, for per-order caps and floors
+      const orderTotals = new Map();
+
+      // Under the linear model each credited affiliate gets their own sale per line item
+      const credits = this.splitTrackingByCredit(trackingData);
 
       // Process each line item (Shopify orders can have multiple products)
       for (const lineItem of orderData.line_items || []) {
-        await this.recordSaleForLineItem(orderData, lineItem, trackingData, currency);
+        for (const credit of credits) {
+          // Claimed per affiliate, so a later delivery attributed differently can't pay them twice
+          const event = `sale:${credit.affiliate_id || credit.track_id}`;
+          const claimed = await claimSaleEvent(shopId, orderData.id, lineItem.id, event);
+          if (!claimed) {
+            console.log(`Sale already recorded for order ${orderData.id}, line item ${lineItem.id}`);
+            result.duplicates += 1;
+            continue;
+          }
+
+          const sale = await this.recordSaleForLineItem(orderData, lineItem, credit, currency, ruleSet, shopData.id, orderTotals);
+          if (sale) {
+            result.recorded += 1;
+          } else {
+            // Let a later delivery of this order try again
+            await releaseSaleEvent(shopId, orderData.id, lineItem.id, event);
+            result.failed += 1;
+          }
+        }
       }
 
-      return true;
+      return result;
     } catch (error) {
+      // Line items recorded so far stay claimed; the retry picks up the rest
       console.error('Error processing order for sales tracking:', error);
-      return false;
+      throw error;
+    }
+  }
+
+  /**
+   * One tracking entry per affiliate credited with the order
+   * Each carries the affiliate's `attribution_share` of the commission.
+   */
+  splitTrackingByCredit(trackingData) {
+    const { credits, ...tracking } = trackingData;
+    if (!credits?.length) {
+      return [{ ...tracking, attribution_share: 1 }];
     }
+
+    return credits.map(credit => ({
+      ...tracking,
+      track_id: credit.track_id,
+      affiliate_id: credit.affiliate_id,
+      attribution_share: credit.share,
+      attribution_confidence: credit.confidence,
+      attribution_signals: credit.signals
+    }));
   }
 
   /**
    * Record sale for individual line item
+   * When a rule set is given, the line item's effective commission is resolved
+   * and sent with the sale, including which rule it came from. Tiered rules are
+   * evaluated against the affiliate's sales so far in the rule's period, then the
+   * rule's caps and floors are applied. An affiliate credited with part of the
+   * order (trackingData.attribution_share) earns that part of the commission.
    */
-  async recordSaleForLineItem(orderData, lineItem, trackingData, currency) {
+  async recordSaleForLineItem(orderData, lineItem, trackingData, currency, ruleSet = null, shopId = null, orderTotals = null) {
     try {
+      const share = trackingData.attribution_share ?? 1;
       const saleData = {
         shopId: trackingData.shop_id,
         orderId: orderData.id,
         productId: lineItem.product_id,
+        variantId: lineItem.variant_id,
         productName: lineItem.name,
         affiliateId: trackingData.affiliate_id,
         trackingId: trackingData.track_id,
@@ -217,13 +308,75 @@ class ShopifySalesTracker {
         customerEmail: orderData.customer?.email || orderData.email,
         orderStatus: orderData.financial_status || 'pending',
         saleDate: orderData.created_at,
-        currency: currency
+        currency: currency,
+        attributionMethod: trackingData.attribution || 'link',
+        attributionModel: trackingData.attribution_model || null,
+        attributionShare: share,
+        // How sure the match to the affiliate is, from 0 to 1, and what it was based on
+        attributionConfidence: trackingData.attribution_confidence ?? null,
+        attributionSignals: trackingData.attribution_signals || [],
+        discountCode: trackingData.discount_code || null,
+        // What the customer saw, when they paid in another currency
+        presentmentCurrency: orderData.presentment_currency || currency,
+        presentmentUnitPrice: parseFloat(lineItem.price_set?.presentment_money?.amount ?? lineItem.price)
       };
 
+      if (ruleSet && lineItem.product_id) {
+        // Variant rules take precedence, so match the exact variant that was bought,
+        // and use the campaigns that were running when the order was placed
+        const commission = await resolveProductCommission(shopId || saleData.shopId, lineItem.product_id, ruleSet, lineItem.variant_id, orderData.created_at || new Date());
+        if (commission) {
+          saleData.commissionRate = commission.commission;
+          saleData.commissionType = commission.commissionType;
+          saleData.commissionSource = commission.source;
+          saleData.commissionSourceId = commission.sourceId;
+          saleData.commissionRuleId = commission.id;
+          saleData.commissionCampaignId = commission.campaignId;
+
+          let baseAmount = calculateBaseCommission(commission, saleData.unitPrice, saleData.quantity) * share;
+
+          if (commission.tiers?.length && commission.commissionType === 'percentage') {
+            const periodTotal = await getAffiliatePeriodTotal(shopId || saleData.shopId, saleData.affiliateId, saleData.saleDate, commission.tierPeriod);
+            const tiered = calculateTieredCommission(commission.tiers, periodTotal, saleData.totalAmount * share);
+            baseAmount = tiered.amount;
+            saleData.commissionRate = tiered.rate;
+            saleData.commissionTier = tiered.tierIndex + 1;
+            saleData.affiliatePeriodSales = periodTotal;
+          }
+
+          let orderState = null;
+          if (orderTotals) {
+            const ruleKey = commission.id || `${commission.source}:${commission.sourceId}`;
+            // Credited affiliates each stay within their share of the rule's order limits
+            const stateKey = share === 1 ? ruleKey : `${ruleKey}:${saleData.affiliateId}`;
+            if (!orderTotals.has(stateKey)) {
+              orderTotals.set(stateKey, { natural: 0, awarded: 0 });
+            }
+            orderState = orderTotals.get(stateKey);
+          }
+
+          const limited = limitCommission(scaleCommissionLimits(commission.limits, share), baseAmount, saleData.quantity, orderState);
+          saleData.commissionAmount = limited.amount;
+          if (limited.appliedLimit) {
+            saleData.commissionLimitApplied = limited.appliedLimit;
+            saleData.commissionBeforeLimits = baseAmount;
+          }
+        }
+      }
+
       const result = await apiClient.recordSale(saleData);
 
       if (result.success) {
         console.log('Sale recorded successfully:', result);
+        try {
+          await addAffiliateSales(shopId || saleData.shopId, saleData.affiliateId, saleData.totalAmount * share, saleData.saleDate, {
+            orderId: orderData.id,
+            lineItemId: lineItem.id,
+            quantity: lineItem.quantity
+          });
+        } catch (error) {
+          console.error('Failed to update affiliate sales volume:', error);
+        }
         return result;
       } else {
         console.error('Failed to record sale:', result);
@@ -237,97 +390,316 @@ class ShopifySalesTracker {
 
   /**
    * Handle order status updates (refunds, cancellations, etc.)
+   * Refunded and cancelled units also come out of the affiliates' sales volume.
+   * Resolves to false when the same transition was already sent for the order.
+   * Failures are thrown so the webhook answers with an error and Shopify retries.
    */
   async handleOrderStatusUpdate(orderData, fromStatus, toStatus) {
+    if (['partially_refunded', 'refunded', 'cancelled'].includes(toStatus)) {
+      await this.reverseSalesVolume(orderData, toStatus);
+    }
+
+    const updateData = {
+      shopId: orderData.shop_id,
+      orderId: orderData.id,
+      fromStatus: fromStatus,
+      toStatus: toStatus,
+      orderTotal: parseFloat(orderData.total_price || 0)
+    };
+
+    // Handle refunds
+    if (orderData.refunds && orderData.refunds.length > 0) {
+      const totalRefunded = orderData.refunds.reduce((sum, refund) =>
+        sum + parseFloat(refund.amount || 0), 0
+      );
+      updateData.refundAmount = totalRefunded;
+      updateData.refundDate = new Date().toISOString();
+    }
+
+    if (orderData.refund_id) {
+      updateData.refundId = orderData.refund_id;
+    }
+
+    // Include the refund so each additional partial refund still goes through
+    const event = `status:${toStatus}:${orderData.refund_id || updateData.refundAmount || 0}`;
+    const claimed = await claimSaleEvent(orderData.shop_id, orderData.id, null, event);
+    if (!claimed) {
+      console.log(`Status ${toStatus} already sent for order ${orderData.id}`);
+      return false;
+    }
+
     try {
-      const updateData = {
-        shopId: orderData.shop_id,
-        orderId: orderData.id,
-        fromStatus: fromStatus,
-        toStatus: toStatus,
-        orderTotal: parseFloat(orderData.total_price || 0)
-      };
+      await apiClient.updateSaleStatus(updateData);
+    } catch (error) {
+      await releaseSaleEvent(orderData.shop_id, orderData.id, null, event);
+      throw error;
+    }
 
-      // Handle refunds
-      if (orderData.refunds && orderData.refunds.length > 0) {
-        const totalRefunded = orderData.refunds.reduce((sum, refund) =>
-          sum + parseFloat(refund.amount || 0), 0
-        );
-        updateData.refundAmount = totalRefunded;
-        updateData.refundDate = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Take refunded and cancelled units out of the affiliates' sales volume, so
+   * they no longer count towards tiers
+   * Each refund is taken out once, however many webhooks report it; a
+   * cancellation takes out whatever hasn't been refunded.
+   */
+  async reverseSalesVolume(orderData, toStatus) {
+    const shopId = orderData.shop_id;
+    const volumes = await getOrderSalesVolume(shopId, orderData.id);
+    if (volumes.length === 0) return;
+
+    const refundedUnits = new Map();
+    for (const refund of orderData.refunds || []) {
+      for (const refundLine of refund.refund_line_items || []) {
+        const lineItemId = String(refundLine.line_item_id);
+        const units = Number(refundLine.quantity) || 0;
+        refundedUnits.set(lineItemId, (refundedUnits.get(lineItemId) || 0) + units);
+        if (!refund.id || units <= 0) continue;
+
+        for (const volume of volumes.filter(v => v.lineItemId === lineItemId)) {
+          await this.removeSalesVolumeOnce(shopId, orderData.id, volume, units, `volume-refund:${refund.id}:${volume.affiliateId}`);
+        }
       }
+    }
 
-      await apiClient.updateSaleStatus(updateData);
+    if (toStatus !== 'cancelled') return;
+
+    for (const volume of volumes) {
+      const units = volume.quantity - (refundedUnits.get(volume.lineItemId) || 0);
+      if (units <= 0) continue;
+
+      await this.removeSalesVolumeOnce(shopId, orderData.id, volume, units, `volume-cancel:${volume.affiliateId}`);
+    }
+  }
+
+  /**
+   * Take units out of one affiliate's sales volume unless `event` already did
+   * The claim is released if the update fails, so a retried webhook redoes it.
+   */
+  async removeSalesVolumeOnce(shopId, orderId, volume, units, event) {
+    const claimed = await claimSaleEvent(shopId, orderId, volume.lineItemId, event);
+    if (!claimed) return;
+
+    try {
+      await removeAffiliateSales(shopId, volume, units);
     } catch (error) {
-      console.error('Error handling order status update:', error);
+      await releaseSaleEvent(shopId, orderId, volume.lineItemId, event);
+      throw error;
     }
   }
 
   /**
    * Find tracking data for an order
-   * This attempts to match orders with recent clicks using various methods
+   * An order can carry both a smart link click and an affiliate's discount code;
+   * the shop's attributionPriority setting decides which one is tried first.
    */
   async findTrackingForOrder(orderData) {
     try {
-      // Method 1: Check order attributes for tracking data
-      if (orderData.note_attributes) {
-        for (const attr of orderData.note_attributes) {
-          if (attr.name === 'commission_track_id') {
-            return {
-              track_id: attr.value,
-              shop_id: orderData.shop_id
-            };
-          }
-        }
+      const settings = await getShopSettings(orderData.shop_id);
+      const finders = settings.attributionPriority === 'code'
+        ? [this.findDiscountCodeTracking, this.findLinkTracking]
+        : [this.findLinkTracking, this.findDiscountCodeTracking];
+
+      for (const find of finders) {
+        const tracking = await find.call(this, orderData, settings);
+        if (tracking) return tracking;
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error finding tracking for order:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Match an order to an affiliate by the discount codes it used
+   */
+  async findDiscountCodeTracking(orderData) {
+    for (const { code } of orderData.discount_codes || []) {
+      const discount = await findAffiliateDiscount(orderData.shop_id, code);
+      if (discount) {
+        return {
+          shop_id: orderData.shop_id,
+          affiliate_id: discount.affiliateId,
+          discount_code: discount.code,
+          attribution: 'discount_code',
+          attribution_confidence: 1,
+          attribution_signals: ['discount_code']
+        };
       }
+    }
+
+    return null;
+  }
+
+  /**
+   * Match an order to its smart link clicks
+   * Only clicks within the shop's attribution window count, and its attribution
+   * model picks who is credited. Under linear, `credits` lists every credited
+   * affiliate with their share; the top-level fields are the latest click's.
+   */
+  async findLinkTracking(orderData, settings = DEFAULT_SHOP_SETTINGS) {
+    try {
+      const { attributionWindowDays, attributionModel } = { ...DEFAULT_SHOP_SETTINGS, ...settings };
+      const orderDate = new Date(orderData.created_at || Date.now());
 
-      // Method 2: Try to match with recent smart link clicks
+      // Method 1: Cart attributes written by the theme's tracking app embed
+      let touches = this.getCartTouches(orderData)
+        .filter(touch => isWithinAttributionWindow(touch.clicked_at, orderDate, attributionWindowDays));
+
+      // Method 2: Try to match with the stored clicks of the order's session, cart or customer
       // This is similar to the WooCommerce smart link matching
-      const customerEmail = orderData.customer?.email || orderData.email;
-      const orderDate = new Date(orderData.created_at);
-      const orderTotal = parseFloat(orderData.total_price || 0);
-
-      // Get recent clicks for this shop
-      const recentClicks = await this.getRecentClicksForShop(orderData.shop_id);
-
-      for (const click of recentClicks) {
-        const clickDate = new Date(click.clicked_at);
-        const timeDiff = orderDate.getTime() - clickDate.getTime();
-
-        // Match within 24 hours and validate with product
-        if (timeDiff > 0 && timeDiff < (24 * 60 * 60 * 1000)) {
-          // Check if any line item matches the clicked product
-          const hasMatchingProduct = orderData.line_items?.some(item =>
-            item.product_id.toString() === click.productId.toString()
-          );
-
-          if (hasMatchingProduct || !click.productId) {
-            return {
-              track_id: click.track_id,
-              shop_id: click.shopId,
-              affiliate_id: click.influencer_id
-            };
-          }
-        }
+      if (touches.length === 0) {
+        const candidateClicks = await this.getCandidateClicks(orderData);
+
+        touches = candidateClicks
+          .filter(click => isWithinAttributionWindow(click.clicked_at, orderDate, attributionWindowDays))
+          .map(click => ({ click, match: this.scoreClickMatch(orderData, click) }))
+          .filter(({ match }) => match.confidence >= MIN_CLICK_MATCH_CONFIDENCE)
+          .map(({ click, match }) => ({
+            track_id: click.track_id,
+            affiliate_id: click.influencer_id,
+            clicked_at: click.clicked_at,
+            confidence: match.confidence,
+            signals: match.signals
+          }));
+      }
+
+      const credits = applyAttributionModel(touches, attributionModel);
+      if (credits.length === 0) return null;
+
+      const latest = touches.reduce((last, touch) =>
+        new Date(touch.clicked_at || 0) >= new Date(last.clicked_at || 0) ? touch : last
+      );
+      const top = credits.length > 1 ? latest : credits[0];
+      const tracking = {
+        track_id: top.track_id,
+        shop_id: orderData.shop_id,
+        affiliate_id: top.affiliate_id,
+        attribution: 'link',
+        attribution_model: attributionModel,
+        attribution_confidence: top.confidence,
+        attribution_signals: top.signals
+      };
+      if (credits.length > 1) {
+        tracking.credits = credits;
       }
 
+      return tracking;
+    } catch (error) {
+      console.error('Error matching order to a smart link click:', error);
       return null;
+    }
+  }
+
+  /**
+   * Smart link clicks the storefront put on the order's cart attributes
+   * The embed keeps every click in the window; older carts only have the last one.
+   */
+  getCartTouches(orderData) {
+    const attributes = Object.fromEntries(
+      (orderData.note_attributes || []).map(attr => [attr.name, attr.value])
+    );
+
+    if (attributes[CART_ATTRIBUTES.touches]) {
+      try {
+        const touches = JSON.parse(attributes[CART_ATTRIBUTES.touches])
+          .filter(touch => touch && touch.t)
+          .map(touch => ({
+            track_id: touch.t,
+            affiliate_id: touch.a || undefined,
+            clicked_at: touch.at ? new Date(touch.at).toISOString() : null,
+            confidence: 1,
+            signals: ['cart_attributes']
+          }));
+        if (touches.length > 0) return touches;
+      } catch (error) {
+        console.error('Ignoring unreadable cart touches on order:', orderData.id);
+      }
+    }
+
+    if (attributes[CART_ATTRIBUTES.trackId]) {
+      return [{
+        track_id: attributes[CART_ATTRIBUTES.trackId],
+        affiliate_id: attributes[CART_ATTRIBUTES.affiliateId] || undefined,
+        clicked_at: null,
+        confidence: 1,
+        signals: ['cart_attributes']
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * How well a stored click matches an order
+   * Resolves to { confidence, signals }. Each signal found is an independent
+   * chance the match is right, so two weak signals make a stronger match.
+   */
+  scoreClickMatch(orderData, click) {
+    const signals = [];
+
+    const landing = this.getLandingParams(orderData);
+    if (landing) {
+      if (click.id && landing.get(TRACKING_PARAMS.clickId) === click.id) {
+        signals.push('landing_click');
+      } else if (landing.get(TRACKING_PARAMS.trackId) === click.track_id) {
+        signals.push('landing_site');
+      }
+    }
+
+    if (click.cart_token && orderData.cart_token === click.cart_token) {
+      signals.push('cart_token');
+    }
+
+    const customerId = orderData.customer?.id ? String(orderData.customer.id) : null;
+    const emailHash = hashCustomerEmail(orderData.customer?.email || orderData.email);
+    if ((customerId && click.customer_id === customerId) ||
+        (emailHash && click.customer_email_hash === emailHash)) {
+      signals.push('customer');
+    }
+
+    if (click.productId && orderData.line_items?.some(item =>
+      String(item.product_id) === String(click.productId).replace('gid://shopify/Product/', '')
+    )) {
+      signals.push('product');
+    }
+
+    const miss = signals.reduce((chance, signal) => chance * (1 - CLICK_MATCH_SIGNALS[signal]), 1);
+    return { confidence: Math.round((1 - miss) * 100) / 100, signals };
+  }
+
+  /**
+   * The query params of the order's landing page, which carry the ones the
+   * smart link redirected with; null when the order has none
+   */
+  getLandingParams(orderData) {
+    if (!orderData.landing_site) return null;
+
+    try {
+      return new URL(orderData.landing_site, 'https://storefront.invalid').searchParams;
     } catch (error) {
-      console.error('Error finding tracking for order:', error);
+      // Not a URL
       return null;
     }
   }
 
   /**
-   * Get recent clicks for a shop (helper for smart matching)
+   * Stored clicks that could belong to an order, found through the click it
+   * landed with, its cart token, its customer and its email
    */
-  async getRecentClicksForShop(shopId, hours = 48) {
+  async getCandidateClicks(orderData) {
     try {
-      // This would need to be implemented in the backend API
-      // For now, return empty array
-      return [];
+      return await findClicks(orderData.shop_id, {
+        clickId: this.getLandingParams(orderData)?.get(TRACKING_PARAMS.clickId) || null,
+        cartToken: orderData.cart_token || null,
+        customerId: orderData.customer?.id ? String(orderData.customer.id) : null,
+        emailHash: hashCustomerEmail(orderData.customer?.email || orderData.email)
+      });
     } catch (error) {
-      console.error('Error fetching recent clicks:', error);
+      console.error('Error fetching stored clicks for order:', error);
       return [];
     }
   }
@@ -375,9 +747,9 @@ export const handleOrderStatusChange = (orderData, fromStatus, toStatus) =>
   salesTracker.handleOrderStatusUpdate(orderData, fromStatus, toStatus);
 
 // Frontend initialization function
-export const initializeTracking = (trackId, affiliateId, productId, shopId, expiresInHours) => {
+export const initializeTracking = (trackId, affiliateId, productId, shopId, windowDays) => {
   if (typeof window !== 'undefined') {
-    salesTracker.initializeTracking(trackId, affiliateId, productId, shopId, expiresInHours);
+    salesTracker.initializeTracking(trackId, affiliateId, productId, shopId, windowDays);
   }
 };
 
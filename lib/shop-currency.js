@@ -0,0 +1,100 @@
+/**
+ * A shop's currency
+ * Read from Shopify once and kept in app storage for a day; the shop/update
+ * webhook replaces it as soon as the merchant changes currency or country.
+ * Commission amounts, caps, floors and tier thresholds are all in this currency.
+ */
+
+import { getStorage } from './storage';
+import { getShopifyClient, getShopDomain } from './shopify-helpers';
+import { DEFAULT_SHOP_CURRENCY, toLocale } from './currency';
+
+const CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+const SHOP_CURRENCY_QUERY = `
+  query getShopCurrency {
+    shop {
+      currencyCode
+      enabledPresentmentCurrencies
+      billingAddress {
+        countryCodeV2
+      }
+    }
+  }
+`;
+
+function currencyKey(shopId) {
+  return `shop-currency:${getShopDomain(shopId)}`;
+}
+
+/**
+ * A shop's { currencyCode, presentmentCurrencies, locale }
+ * Falls back to DEFAULT_SHOP_CURRENCY (flagged `fallback`) when Shopify can't be reached.
+ */
+export async function getShopCurrencySettings(shopId) {
+  try {
+    const storage = getStorage();
+    const cached = await storage.get(currencyKey(shopId));
+    if (cached) return cached;
+
+    const client = await getShopifyClient(shopId);
+    if (!client) return DEFAULT_SHOP_CURRENCY;
+
+    const response = await client.query({ data: { query: SHOP_CURRENCY_QUERY } });
+    const shop = response.body.data.shop;
+
+    const currency = {
+      currencyCode: shop.currencyCode,
+      presentmentCurrencies: shop.enabledPresentmentCurrencies?.length
+        ? shop.enabledPresentmentCurrencies
+        : [shop.currencyCode],
+      locale: toLocale('en', shop.billingAddress?.countryCodeV2)
+    };
+
+    await storage.set(currencyKey(shopId), currency, { ttlSeconds: CACHE_TTL_SECONDS });
+    return currency;
+  } catch (error) {
+    console.error('Error fetching shop currency:', error);
+    return DEFAULT_SHOP_CURRENCY;
+  }
+}
+
+/**
+ * A shop's currency code, e.g. 'KES'
+ */
+export async function getShopCurrency(shopId) {
+  return (await getShopCurrencySettings(shopId)).currencyCode;
+}
+
+/**
+ * Replace the stored currency from a shop/update webhook payload
+ */
+export async function updateShopCurrency(shopId, shopPayload) {
+  if (!shopPayload?.currency) return null;
+
+  const currency = {
+    currencyCode: shopPayload.currency,
+    presentmentCurrencies: shopPayload.enabled_presentment_currencies?.length
+      ? shopPayload.enabled_presentment_currencies
+      : [shopPayload.currency],
+    locale: toLocale(shopPayload.primary_locale, shopPayload.country_code)
+  };
+
+  await getStorage().set(currencyKey(shopId), currency, { ttlSeconds: CACHE_TTL_SECONDS });
+  return currency;
+}
+
+/**
+ * Check that a commission is in the shop's currency
+ * Amounts are paid in the shop's currency, so a rule in another one would pay
+ * the wrong amount. Returns an error message, or null. Skipped when the shop's
+ * currency couldn't be read.
+ */
+export function validateCommissionCurrency(commissionData, shopCurrency) {
+  if (shopCurrency.fallback || !commissionData.currency) return null;
+
+  if (commissionData.currency !== shopCurrency.currencyCode) {
+    return `currency must be the shop's currency (${shopCurrency.currencyCode})`;
+  }
+  return null;
+}
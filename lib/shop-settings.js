@@ -0,0 +1,88 @@
+/**
+ * Per-shop app settings
+ * Small merchant preferences kept in app storage, merged over defaults so new
+ * settings work for shops that saved theirs before the setting existed.
+ */
+
+import { getStorage } from './storage';
+import { getShopDomain } from './shopify-helpers';
+import { ATTRIBUTION_MODELS, ATTRIBUTION_WINDOW_DAYS } from './attribution-models';
+
+export const MARGIN_GUARDRAIL_MODES = ['off', 'warn', 'block'];
+
+// Which wins when an order has both an affiliate link click and an affiliate discount code
+export const ATTRIBUTION_PRIORITIES = ['link', 'code'];
+
+export const DEFAULT_SHOP_SETTINGS = {
+  // Lowest margin (% of price, after unit cost and commission) a commission may leave
+  minMarginPercent: 0,
+  marginGuardrail: 'warn',
+  attributionPriority: 'link',
+  attributionModel: 'last-click',
+  attributionWindowDays: 1
+};
+
+function settingsKey(shopId) {
+  return `shop-settings:${getShopDomain(shopId)}`;
+}
+
+/**
+ * Validate a settings update
+ * Returns an error message, or null when every given setting is valid.
+ */
+export function validateShopSettings(changes) {
+  if (!changes || typeof changes !== 'object') {
+    return 'Settings must be an object';
+  }
+
+  if ('minMarginPercent' in changes) {
+    const value = Number(changes.minMarginPercent);
+    if (changes.minMarginPercent === '' || isNaN(value) || value < -100 || value >= 100) {
+      return 'minMarginPercent must be a number from -100 to 99';
+    }
+  }
+  if ('marginGuardrail' in changes && !MARGIN_GUARDRAIL_MODES.includes(changes.marginGuardrail)) {
+    return `marginGuardrail must be one of: ${MARGIN_GUARDRAIL_MODES.join(', ')}`;
+  }
+  if ('attributionPriority' in changes && !ATTRIBUTION_PRIORITIES.includes(changes.attributionPriority)) {
+    return `attributionPriority must be one of: ${ATTRIBUTION_PRIORITIES.join(', ')}`;
+  }
+  if ('attributionModel' in changes && !ATTRIBUTION_MODELS.includes(changes.attributionModel)) {
+    return `attributionModel must be one of: ${ATTRIBUTION_MODELS.join(', ')}`;
+  }
+  if ('attributionWindowDays' in changes) {
+    const value = Number(changes.attributionWindowDays);
+    if (changes.attributionWindowDays === '' || !Number.isInteger(value) ||
+        value < ATTRIBUTION_WINDOW_DAYS.min || value > ATTRIBUTION_WINDOW_DAYS.max) {
+      return `attributionWindowDays must be a whole number from ${ATTRIBUTION_WINDOW_DAYS.min} to ${ATTRIBUTION_WINDOW_DAYS.max}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * A shop's settings, with defaults filled in
+ */
+export async function getShopSettings(shopId) {
+  const stored = await getStorage().get(settingsKey(shopId));
+  return { ...DEFAULT_SHOP_SETTINGS, ...(stored || {}) };
+}
+
+/**
+ * Save some of a shop's settings; unknown keys are ignored
+ */
+export async function updateShopSettings(shopId, changes) {
+  const current = await getShopSettings(shopId);
+  const updated = { ...current };
+
+  Object.keys(DEFAULT_SHOP_SETTINGS).forEach(key => {
+    if (key in changes) {
+      updated[key] = typeof DEFAULT_SHOP_SETTINGS[key] === 'number' ? Number(changes[key]) : changes[key];
+    }
+  });
+
+  updated.updatedAt = new Date().toISOString();
+  await getStorage().set(settingsKey(shopId), updated);
+  return updated;
+}
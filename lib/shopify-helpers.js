@@ -19,16 +19,48 @@ export async function getShopifyClient(shopId) {
       return null;
     }
 
+    return await createGraphqlClient(shopData.domain, shopData.accessToken);
+  } catch (error) {
+    console.error('Error creating Shopify client:', error);
+    return null;
+  }
+}
+
+/**
+ * Create a Shopify GraphQL client from a known access token
+ * Used during OAuth, before the shop is available through the backend
+ */
+export async function createGraphqlClient(shopDomain, accessToken) {
+  const { default: shopify } = await import('./shopify.js');
+
+  return new shopify.clients.Graphql({
+    session: {
+      shop: shopDomain,
+      accessToken,
+    },
+  });
+}
+
+/**
+ * Get the staff member behind an embedded-app request
+ * Reads the App Bridge session token the client sends as a Bearer token;
+ * returns null when there is none or it was issued for a different shop.
+ */
+export async function getSessionStaffMember(req, shopId) {
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  if (!token) return null;
+
+  try {
     const { default: shopify } = await import('./shopify.js');
+    const payload = await shopify.session.decodeSessionToken(token);
 
-    return new shopify.clients.Graphql({
-      session: {
-        shop: shopData.domain,
-        accessToken: shopData.accessToken,
-      },
-    });
+    if (payload.dest?.replace(/^https:\/\//, '') !== getShopDomain(shopId)) {
+      return null;
+    }
+
+    return { userId: String(payload.sub) };
   } catch (error) {
-    console.error('Error creating Shopify client:', error);
+    console.error('Ignoring invalid session token:', error.message);
     return null;
   }
 }
@@ -42,8 +74,8 @@ export async function getShopFromBackend(shopId) {
     const validationResponse = await apiClient.getValidationStatus(shopId);
 
     if (validationResponse.success) {
-      // Get the real access token from memory storage
-      const accessToken = getAccessToken(shopId);
+      // Get the real access token from token storage
+      const accessToken = await getAccessToken(shopId);
 
       if (!accessToken) {
         console.error('No access token found in storage for shop:', shopId);
@@ -137,13 +169,15 @@ export function formatProductForBackend(shopifyProduct) {
  * Get shop domain from shop ID
  */
 export function getShopDomain(shopId) {
+  const shop = String(shopId);
+
   // If shopId is already a domain, return it
-  if (shopId.includes('.')) {
-    return shopId;
+  if (shop.includes('.')) {
+    return shop;
   }
 
   // Otherwise assume it needs .myshopify.com
-  return `${shopId}.myshopify.com`;
+  return `${shop}.myshopify.com`;
 }
 
 /**
@@ -182,29 +216,217 @@ export async function validateShopAccess(shopId, requiredScopes = []) {
   }
 }
 
+const PRODUCT_VARIANT_PRICES_QUERY = `
+  query getProductVariantPrices($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        variants(first: 100) {
+          nodes {
+            id
+            price
+          }
+        }
+      }
+    }
+  }
+`;
+
 /**
- * Get shop currency
+ * Every variant's price for some products, as a Map of product ID to [{ id, price }]
  */
-export async function getShopCurrency(shopId) {
-  try {
-    const client = await getShopifyClient(shopId);
-    if (!client) return 'USD';
+export async function fetchProductVariantPrices(client, productIds) {
+  const prices = new Map();
+  // Five products of up to 100 variants each stay within the query cost limit
+  for (let i = 0; i < productIds.length; i += 5) {
+    const response = await client.query({
+      data: { query: PRODUCT_VARIANT_PRICES_QUERY, variables: { ids: productIds.slice(i, i + 5) } }
+    });
+    response.body.data.nodes.filter(node => node?.id).forEach(product => {
+      prices.set(product.id, product.variants.nodes);
+    });
+  }
+  return prices;
+}
 
-    const shopQuery = `
-      query {
-        shop {
-          currencyCode
+// Kept small so collection and category checks stay within the query cost limit
+const VARIANT_COST_FIELDS = `
+  variants(first: 10) {
+    nodes {
+      id
+      title
+      price
+      inventoryItem {
+        unitCost {
+          amount
         }
       }
-    `;
+    }
+  }
+`;
 
-    const response = await client.query({
-      data: { query: shopQuery }
+const PRODUCT_COST_FIELDS = `
+  id
+  title
+  ${VARIANT_COST_FIELDS}
+`;
+
+const PRODUCT_COSTS_BY_ID_QUERY = `
+  query getProductCosts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        ${PRODUCT_COST_FIELDS}
+      }
+    }
+  }
+`;
+
+const VARIANT_COSTS_BY_ID_QUERY = `
+  query getVariantCosts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        title
+        price
+        inventoryItem {
+          unitCost {
+            amount
+          }
+        }
+        product {
+          id
+          title
+        }
+      }
+    }
+  }
+`;
+
+const COLLECTION_PRODUCT_COSTS_QUERY = `
+  query getCollectionProductCosts($id: ID!) {
+    collection(id: $id) {
+      products(first: 25) {
+        nodes {
+          ${PRODUCT_COST_FIELDS}
+        }
+        pageInfo {
+          hasNextPage
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_COSTS_QUERY = `
+  query getProductCostsByQuery($query: String) {
+    products(first: 25, query: $query) {
+      nodes {
+        ${PRODUCT_COST_FIELDS}
+      }
+      pageInfo {
+        hasNextPage
+      }
+    }
+  }
+`;
+
+function toCostVariant(variant) {
+  const unitCost = variant.inventoryItem?.unitCost?.amount;
+  return {
+    id: variant.id,
+    title: variant.title,
+    price: parseFloat(variant.price || 0),
+    unitCost: unitCost !== undefined && unitCost !== null ? parseFloat(unitCost) : null
+  };
+}
+
+function toCostProduct(product) {
+  return {
+    id: product.id,
+    title: product.title,
+    variants: (product.variants?.nodes || []).map(toCostVariant)
+  };
+}
+
+/**
+ * Get variant prices and unit costs (inventoryItem.unitCost) for margin checks
+ * `scope` picks the products: { productIds }, { variantIds }, { collectionId },
+ * { productType } or {} for the first products in the shop. Larger collections
+ * and categories are sampled, which is reported as `truncated`.
+ * Needs the read_inventory scope; variants without a cost have unitCost null.
+ */
+export async function fetchVariantCosts(shopId, scope = {}) {
+  const client = await getShopifyClient(shopId);
+  if (!client) {
+    throw new Error('Shopify authentication required');
+  }
+
+  const run = async (query, variables) => {
+    const response = await client.query({ data: { query, variables } });
+    return response.body.data;
+  };
+
+  if (scope.variantIds) {
+    const data = await run(VARIANT_COSTS_BY_ID_QUERY, { ids: scope.variantIds });
+    const products = new Map();
+    data.nodes.filter(node => node?.id).forEach(variant => {
+      if (!products.has(variant.product.id)) {
+        products.set(variant.product.id, { id: variant.product.id, title: variant.product.title, variants: [] });
+      }
+      products.get(variant.product.id).variants.push(toCostVariant(variant));
     });
+    return { products: [...products.values()], truncated: false };
+  }
 
-    return response.body.data.shop?.currencyCode || 'USD';
-  } catch (error) {
-    console.error('Error fetching shop currency:', error);
-    return 'USD';
+  if (scope.productIds) {
+    const products = [];
+    // Batches of 25 keep each query within the cost limit
+    for (let i = 0; i < scope.productIds.length; i += 25) {
+      const data = await run(PRODUCT_COSTS_BY_ID_QUERY, { ids: scope.productIds.slice(i, i + 25) });
+      products.push(...data.nodes.filter(node => node?.id).map(toCostProduct));
+    }
+    return { products, truncated: false };
+  }
+
+  if (scope.collectionId) {
+    const data = await run(COLLECTION_PRODUCT_COSTS_QUERY, { id: scope.collectionId });
+    const connection = data.collection?.products;
+    return {
+      products: (connection?.nodes || []).map(toCostProduct),
+      truncated: connection?.pageInfo?.hasNextPage || false
+    };
+  }
+
+  const query = scope.productType ? `product_type:"${scope.productType.replace(/"/g, '\\"')}"` : null;
+  const data = await run(PRODUCT_COSTS_QUERY, { query });
+  return {
+    products: data.products.nodes.map(toCostProduct),
+    truncated: data.products.pageInfo.hasNextPage
+  };
+}
+
+const CUSTOMER_EMAIL_QUERY = `
+  query getCustomerEmail($id: ID!) {
+    customer(id: $id) {
+      email
+    }
   }
-}
\ No newline at end of file
+`;
+
+/**
+ * A customer's email address, by numeric Shopify customer ID
+ * Resolves to null when the shop isn't connected or the customer has none.
+ * Needs the read_customers scope.
+ */
+export async function fetchCustomerEmail(shopId, customerId) {
+  const client = await getShopifyClient(shopId);
+  if (!client) return null;
+
+  const response = await client.query({
+    data: {
+      query: CUSTOMER_EMAIL_QUERY,
+      variables: { id: `gid://shopify/Customer/${customerId}` }
+    }
+  });
+  return response.body.data.customer?.email || null;
+}
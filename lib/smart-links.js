@@ -6,6 +6,8 @@
 
 import apiClient from './api-client';
 import salesTracker from './sales-tracker';
+import { getShopSettings } from './shop-settings';
+import { recordClick } from './click-store';
 
 class ShopifySmartLinks {
   constructor() {
@@ -90,6 +92,9 @@ class ShopifySmartLinks {
    */
   async handleSmartLinkClick(trackId, shopId, productId, affiliateId, request) {
     try {
+      // The click counts for orders within the shop's attribution window
+      const { attributionWindowDays } = await getShopSettings(shopId);
+
       // Record the click
       const clickData = {
         track_id: trackId,
@@ -100,14 +105,19 @@ class ShopifySmartLinks {
         user_agent: request.headers['user-agent'] || '',
         referrer: request.headers['referer'] || '',
         clicked_at: new Date().toISOString(),
-        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours
+        expires_at: new Date(Date.now() + attributionWindowDays * 24 * 60 * 60 * 1000).toISOString(),
         device_info: this.getDeviceInfoFromRequest(request)
       };
 
-      await apiClient.trackClick(clickData);
+      // Kept locally too, for orders that arrive without the click on their cart
+      let clickId = null;
+      try {
+        clickId = (await recordClick(shopId, clickData)).id;
+      } catch (error) {
+        console.error('Failed to store smart link click:', error);
+      }
 
-      // Initialize frontend tracking
-      const trackingScript = this.generateTrackingScript(trackId, affiliateId, productId, shopId);
+      await apiClient.trackClick(clickData);
 
       // Get shop domain for redirect
       const shopDomain = await this.getShopDomain(shopId);
@@ -116,7 +126,8 @@ class ShopifySmartLinks {
       return {
         success: true,
         redirectUrl,
-        trackingScript
+        attributionWindowDays,
+        clickId
       };
     } catch (error) {
       console.error('Error handling smart link click:', error);
@@ -124,45 +135,6 @@ class ShopifySmartLinks {
     }
   }
 
-  /**
-   * Generate tracking script to inject into product page
-   */
-  generateTrackingScript(trackId, affiliateId, productId, shopId) {
-    return `
-      <script>
-        (function() {
-          // Initialize Shopify commission tracking
-          if (typeof window !== 'undefined') {
-            const trackingData = {
-              track_id: '${trackId}',
-              affiliate_id: '${affiliateId}',
-              product_id: '${productId}',
-              shop_id: '${shopId}',
-              timestamp: Date.now(),
-              expires_at: Date.now() + (24 * 60 * 60 * 1000)
-            };
-
-            // Set tracking cookie
-            const expires = new Date(trackingData.expires_at);
-            const cookieValue = JSON.stringify(trackingData);
-            document.cookie = 'shopify_commission_track=' + encodeURIComponent(cookieValue) +
-              '; expires=' + expires.toUTCString() + '; path=/; SameSite=Lax';
-
-            // Set session storage
-            try {
-              sessionStorage.setItem('shopify_commission_tracking', JSON.stringify(trackingData));
-            } catch (e) {
-              console.log('Session storage not available');
-            }
-
-            // Track page view
-            console.log('Shopify commission tracking initialized:', trackingData);
-          }
-        })();
-      </script>
-    `;
-  }
-
   /**
    * Get smart link performance data
    */
@@ -239,6 +211,54 @@ class ShopifySmartLinks {
     }
   }
 
+  /**
+   * Get all smart links for a shop
+   */
+  async getShopSmartLinks(shopId, filters = {}) {
+    try {
+      const params = new URLSearchParams({
+        shopId,
+        ...filters
+      });
+
+      const response = await apiClient.request('GET', `/api/smartlinks/shop?${params}`);
+
+      if (response.success) {
+        return { success: true, data: response.data || [] };
+      }
+
+      return { success: false, error: response.error };
+    } catch (error) {
+      console.error('Error fetching shop smart links:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Deactivate every active smart link for a shop (e.g. after uninstall)
+   */
+  async deactivateShopSmartLinks(shopId) {
+    const linksResponse = await this.getShopSmartLinks(shopId);
+    if (!linksResponse.success) {
+      return { success: false, error: linksResponse.error, deactivated: 0 };
+    }
+
+    const activeLinks = linksResponse.data.filter(link => link.isActive);
+    let deactivated = 0;
+    const failed = [];
+
+    for (const link of activeLinks) {
+      const response = await this.updateSmartLinkStatus(link.id, 'inactive');
+      if (response.success === false) {
+        failed.push(link.id);
+      } else {
+        deactivated += 1;
+      }
+    }
+
+    return { success: failed.length === 0, deactivated, failed };
+  }
+
   /**
    * Update smart link status
    */
@@ -338,4 +358,7 @@ export const getSmartLinkPerformance = (linkId, dateRange) =>
   smartLinks.getSmartLinkPerformance(linkId, dateRange);
 
 export const getAffiliateSmartLinks = (affiliateId, filters) =>
-  smartLinks.getAffiliateSmartLinks(affiliateId, filters);
\ No newline at end of file
+  smartLinks.getAffiliateSmartLinks(affiliateId, filters);
+
+export const deactivateShopSmartLinks = (shopId) =>
+  smartLinks.deactivateShopSmartLinks(shopId);
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * File system storage adapter
+ * Stores one JSON file per key, for local development and single-server deployments
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export class FileStorageAdapter {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+    this.pending = new Map();
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key) {
+    try {
+      const raw = await fs.readFile(this.filePath(key), 'utf8');
+      const entry = JSON.parse(raw);
+
+      if (entry.expiresAt && Date.now() > entry.expiresAt) {
+        await this.delete(key);
+        return null;
+      }
+
+      return entry.value;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, value, options = {}) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const entry = {
+      value,
+      expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+    };
+
+    // Write to a temp file first so readers never see a half-written entry
+    const target = this.filePath(key);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(entry), { mode: 0o600 });
+    await fs.rename(tempFile, target);
+  }
+
+  async setIfAbsent(key, value, options = {}) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Clears the entry first if it has expired
+    if ((await this.get(key)) !== null) return false;
+
+    const entry = {
+      value,
+      expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+    };
+
+    try {
+      // 'wx' fails if another writer created the file in the meantime
+      await fs.writeFile(this.filePath(key), JSON.stringify(entry), { flag: 'wx', mode: 0o600 });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Increments of a key run one after another, which makes them atomic within
+   * this process - all a single-server deployment has
+   */
+  async increment(key, amount, options = {}) {
+    const previous = this.pending.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const value = (Number(await this.get(key)) || 0) + amount;
+      await this.set(key, value, options);
+      return value;
+    });
+
+    this.pending.set(key, next);
+    try {
+      return await next;
+    } finally {
+      if (this.pending.get(key) === next) this.pending.delete(key);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async keys(prefix = '') {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const keys = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const key = decodeURIComponent(file.slice(0, -'.json'.length));
+      if (key.startsWith(prefix) && (await this.get(key)) !== null) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Pluggable key/value storage for app state that must survive cold starts
+ *
+ * Every adapter implements the same async interface:
+ *   get(key), set(key, value, { ttlSeconds }), setIfAbsent(key, value, { ttlSeconds }),
+ *   increment(key, amount, { ttlSeconds }), delete(key), keys(prefix)
+ * Values are JSON-serializable objects. setIfAbsent resolves to false when the
+ * key already holds a live value. increment atomically adds to a numeric
+ * counter (missing keys start at 0), resolves to the new value and refreshes
+ * the TTL; get reads a counter back as a number.
+ *
+ * The adapter is chosen with STORAGE_ADAPTER (memory | file | redis). When it
+ * is not set, Redis is used if KV_REST_API_URL / KV_REST_API_TOKEN are present,
+ * otherwise the file adapter. Redis is the only durable adapter for serverless
+ * deployments: in production the app refuses to start on file or memory storage
+ * rather than losing tokens on the next cold start. A single long-running server
+ * can still opt into the file adapter with STORAGE_ADAPTER=file.
+ */
+
+import path from 'path';
+import { MemoryStorageAdapter } from './memory-adapter';
+import { FileStorageAdapter } from './file-adapter';
+import { RedisStorageAdapter } from './redis-adapter';
+
+let storage = null;
+
+function createStorage() {
+  const redisUrl = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const redisToken = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  const adapter = process.env.STORAGE_ADAPTER || (redisUrl && redisToken ? 'redis' : 'file');
+
+  // Vercel's file system is read-only or lost on cold start, and so is memory
+  const serverless = Boolean(process.env.VERCEL);
+  const production = serverless || process.env.NODE_ENV === 'production';
+  if (adapter !== 'redis' && (serverless || (production && !process.env.STORAGE_ADAPTER))) {
+    throw new Error(
+      `${adapter} storage does not persist in this deployment; set KV_REST_API_URL and KV_REST_API_TOKEN for Redis storage`
+    );
+  }
+
+  switch (adapter) {
+    case 'memory':
+      return new MemoryStorageAdapter();
+    case 'file':
+      return new FileStorageAdapter(
+        process.env.STORAGE_FILE_PATH || path.join(process.cwd(), '.data')
+      );
+    case 'redis':
+      if (!redisUrl || !redisToken) {
+        throw new Error('Redis storage requires KV_REST_API_URL and KV_REST_API_TOKEN');
+      }
+      return new RedisStorageAdapter(redisUrl, redisToken);
+    default:
+      throw new Error(`Unknown storage adapter: ${adapter}`);
+  }
+}
+
+/**
+ * Get the shared storage adapter for this process
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`Using ${storage.name} storage adapter`);
+  }
+  return storage;
+}
+
+/**
+ * Replace the storage adapter (e.g. with a MemoryStorageAdapter in scripts)
+ */
+export function setStorage(adapter) {
+  storage = adapter;
+}
+
+export { MemoryStorageAdapter, FileStorageAdapter, RedisStorageAdapter };
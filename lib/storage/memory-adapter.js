@@ -0,0 +1,64 @@
+/**
+ * In-memory storage adapter
+ * Only suitable for local development and tests - data is lost on restart
+ * and is not shared between serverless instances
+ */
+
+export class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.store = new Map();
+  }
+
+  async get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.store.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, options = {}) {
+    this.store.set(key, {
+      value,
+      expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+    });
+  }
+
+  async setIfAbsent(key, value, options = {}) {
+    if ((await this.get(key)) !== null) return false;
+    await this.set(key, value, options);
+    return true;
+  }
+
+  async increment(key, amount, options = {}) {
+    // No await between reading and writing, so concurrent increments can't interleave
+    const entry = this.store.get(key);
+    const live = entry && !(entry.expiresAt && Date.now() > entry.expiresAt);
+    const value = (live ? Number(entry.value) || 0 : 0) + amount;
+
+    this.store.set(key, {
+      value,
+      expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+    });
+    return value;
+  }
+
+  async delete(key) {
+    return this.store.delete(key);
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    for (const key of this.store.keys()) {
+      if (key.startsWith(prefix) && (await this.get(key)) !== null) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+}
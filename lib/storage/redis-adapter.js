@@ -0,0 +1,79 @@
+/**
+ * Redis storage adapter
+ * Talks to Redis over the Upstash / Vercel KV REST API so it works from
+ * serverless functions without a persistent connection
+ */
+
+export class RedisStorageAdapter {
+  constructor(url, token) {
+    this.name = 'redis';
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+  }
+
+  async command(...args) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.error) {
+      throw new Error(`Redis ${args[0]} failed: ${data.error || `HTTP ${response.status}`}`);
+    }
+
+    return data.result;
+  }
+
+  async get(key) {
+    const value = await this.command('GET', key);
+    return value === null || value === undefined ? null : JSON.parse(value);
+  }
+
+  async set(key, value, options = {}) {
+    const args = ['SET', key, JSON.stringify(value)];
+    if (options.ttlSeconds) {
+      args.push('EX', Math.ceil(options.ttlSeconds));
+    }
+    await this.command(...args);
+  }
+
+  async setIfAbsent(key, value, options = {}) {
+    const args = ['SET', key, JSON.stringify(value), 'NX'];
+    if (options.ttlSeconds) {
+      args.push('EX', Math.ceil(options.ttlSeconds));
+    }
+    return (await this.command(...args)) === 'OK';
+  }
+
+  async increment(key, amount, options = {}) {
+    const value = await this.command('INCRBYFLOAT', key, amount);
+    if (options.ttlSeconds) {
+      await this.command('EXPIRE', key, Math.ceil(options.ttlSeconds));
+    }
+    return parseFloat(value);
+  }
+
+  async delete(key) {
+    const removed = await this.command('DEL', key);
+    return removed > 0;
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = String(nextCursor);
+    } while (cursor !== '0');
+
+    return keys;
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Storefront tracking
+ * A smart link click lands on the storefront with twiva_* query params (see
+ * pages/api/track/[trackId].js). The tracking app embed of the theme app
+ * extension (extensions/twiva-storefront/assets/twiva-tracking.js) keeps that
+ * click in a first-party cookie and copies it into the cart's attributes. Cart
+ * attributes travel with the cart into checkout and arrive on the order as
+ * note_attributes, where the sales tracker reads them.
+ */
+
+import { getShopifyClient } from './shopify-helpers';
+
+export const TRACKING_PARAMS = {
+  trackId: 'twiva_track',
+  affiliateId: 'twiva_affiliate',
+  productId: 'twiva_product',
+  // The shop's attribution window in days, so the storefront remembers the click as long
+  windowDays: 'twiva_window',
+  // The click in the app's click store, which the embed adds the visitor's cart to
+  clickId: 'twiva_click'
+};
+
+// Cart attributes become the order's note_attributes
+export const CART_ATTRIBUTES = {
+  trackId: 'commission_track_id',
+  affiliateId: 'commission_affiliate_id',
+  // Every click in the window, as JSON [{ t: trackId, a: affiliateId, at: ms }]
+  touches: 'commission_touches'
+};
+
+// Where earlier installs served the tracking script from as a ScriptTag
+export const STOREFRONT_SCRIPT_PATH = '/api/storefront/tracking';
+
+const SCRIPT_TAGS_QUERY = `
+  query getScriptTags($src: URL!) {
+    scriptTags(first: 10, src: $src) {
+      nodes {
+        id
+        src
+      }
+    }
+  }
+`;
+
+const DELETE_SCRIPT_TAG_MUTATION = `
+  mutation scriptTagDelete($id: ID!) {
+    scriptTagDelete(id: $id) {
+      deletedScriptTagId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Remove the ScriptTag earlier installs used for tracking
+ * The theme app extension replaces it, and both running would track twice.
+ * Pass a client when the shop is not yet available through getShopifyClient.
+ */
+export async function removeStorefrontScriptTag(shopId, client = null) {
+  client = client || await getShopifyClient(shopId);
+  if (!client) {
+    throw new Error('Shopify authentication required');
+  }
+
+  const src = `${process.env.SHOPIFY_APP_URL}${STOREFRONT_SCRIPT_PATH}`;
+
+  const existing = await client.query({
+    data: { query: SCRIPT_TAGS_QUERY, variables: { src } }
+  });
+
+  const removed = [];
+  for (const scriptTag of existing.body.data.scriptTags.nodes) {
+    const response = await client.query({
+      data: { query: DELETE_SCRIPT_TAG_MUTATION, variables: { id: scriptTag.id } }
+    });
+
+    const result = response.body.data.scriptTagDelete;
+    if (result.userErrors?.length > 0) {
+      throw new Error(result.userErrors.map(error => error.message).join(', '));
+    }
+    removed.push(result.deletedScriptTagId);
+  }
+
+  return { removed };
+}
@@ -0,0 +1,119 @@
+/**
+ * Theme app extension blocks
+ * The blocks in extensions/twiva-storefront ask the app, through the app proxy,
+ * whether they should show. Their settings are checked against the app's
+ * commission data: the "Recommended by" badge only shows for a real, active
+ * smart link of this shop and, when the merchant asks for it, on products that
+ * earn a commission. Warnings explain in the theme editor why a block is hidden.
+ *
+ * Blocks are checked on every storefront page view, so their lookups are kept
+ * for a minute per shop instead of going to the backend and Shopify each time.
+ *
+ * Storage layout, per shop domain:
+ *   theme-block-cache:<shop>:<lookup>
+ */
+
+import apiClient from './api-client';
+import { getStorage } from './storage';
+import { getShopDomain } from './shopify-helpers';
+import { loadCommissionRules, resolveProductCommission } from './commission-resolver';
+
+export const THEME_BLOCKS = ['tracking', 'recommended-by'];
+
+const CACHE_TTL_SECONDS = 60;
+
+/**
+ * A lookup's result from the last minute, or a fresh one
+ * Results are wrapped, so that "nothing found" is cached too.
+ */
+async function cachedLookup(shopDomain, lookup, load) {
+  const storage = getStorage();
+  const key = `theme-block-cache:${getShopDomain(shopDomain)}:${lookup}`;
+
+  const cached = await storage.get(key);
+  if (cached) return cached.value;
+
+  const value = await load();
+  await storage.set(key, { value }, { ttlSeconds: CACHE_TTL_SECONDS });
+  return value;
+}
+
+function hasAnyRule(ruleSet) {
+  return Boolean(ruleSet.shop) ||
+    ['variant', 'product', 'collection', 'category'].some(level => ruleSet[level].size > 0) ||
+    ruleSet.campaigns.length > 0;
+}
+
+/**
+ * The app embed
+ * How long clicks are remembered is the shop's attribution window, set in the app.
+ */
+async function checkTrackingBlock(shopDomain) {
+  const warnings = [];
+
+  const hasRules = await cachedLookup(shopDomain, 'rules', async () =>
+    hasAnyRule(await loadCommissionRules(shopDomain))
+  );
+  if (!hasRules) {
+    warnings.push('No commissions are set up in the app yet, so affiliates earn nothing on tracked orders');
+  }
+
+  return { show: true, warnings };
+}
+
+/**
+ * The "Recommended by" product block
+ * Resolves { show, handle, warnings }; `handle` is only set when it shows.
+ */
+async function checkRecommendationBlock(shopDomain, params) {
+  const warnings = [];
+  const requireCommission = params.require_commission !== 'false';
+
+  let commission = null;
+  if (params.product_id) {
+    commission = await cachedLookup(shopDomain, `product:${params.product_id}`, async () =>
+      (await resolveProductCommission(shopDomain, params.product_id)) || null
+    );
+    if (requireCommission && !(commission?.commission > 0)) {
+      warnings.push('This product earns no commission, so the badge is hidden on it');
+    }
+  } else {
+    warnings.push('Add this block to a product template');
+  }
+
+  if (!params.track_id) {
+    return { show: false, warnings };
+  }
+
+  const link = await cachedLookup(shopDomain, `link:${params.track_id}`, async () => {
+    const linkResponse = await apiClient.getSmartlinkData(params.track_id);
+    return linkResponse.success ? linkResponse.data : null;
+  });
+  const expired = link?.expiresAt && new Date(link.expiresAt) < new Date();
+  if (!link || link.isActive === false || expired || getShopDomain(link.shopId) !== shopDomain) {
+    return { show: false, warnings: [...warnings, 'The smart link is not an active link of this store'] };
+  }
+
+  const handle = link.affiliateHandle || link.affiliateName;
+  if (!handle) {
+    return { show: false, warnings: [...warnings, 'The influencer has no handle to show'] };
+  }
+
+  const show = Boolean(params.product_id) && (!requireCommission || commission?.commission > 0);
+  return { show, handle: show ? handle : null, warnings };
+}
+
+/**
+ * Check a theme block's settings for a storefront request
+ * `params` are the block's settings and context as sent by twiva-blocks.js.
+ */
+export async function checkThemeBlock(shopDomain, block, params = {}) {
+  if (block === 'tracking') {
+    return checkTrackingBlock(shopDomain);
+  }
+  if (block === 'recommended-by') {
+    return checkRecommendationBlock(shopDomain, params);
+  }
+
+  throw new Error(`block must be one of: ${THEME_BLOCKS.join(', ')}`);
+}
@@ -1,42 +1,86 @@
 /**
- * In-memory token storage for Shopify access tokens
- * This replaces the Prisma database for storing access tokens
- * Note: In production, you might want to use Redis or another persistent store
+ * Persistent token storage for Shopify access tokens
+ * Tokens are encrypted with AES-256-GCM and kept in the configured storage
+ * adapter (see lib/storage), so they survive cold starts and are shared
+ * between instances.
  */
 
-// In-memory storage for access tokens
-const tokenStore = new Map();
+import { getStorage } from './storage';
+import { encrypt, decrypt, needsReencryption } from './encryption';
+import { getShopDomain } from './shopify-helpers';
 
-export function storeAccessToken(shopId, accessToken) {
-  tokenStore.set(shopId, {
-    accessToken,
-    updatedAt: new Date()
+const KEY_PREFIX = 'shop-token:';
+
+// OAuth passes the shop domain and webhooks the short shop ID; both map to one key
+function tokenKey(shopId) {
+  return `${KEY_PREFIX}${getShopDomain(shopId)}`;
+}
+
+export async function storeAccessToken(shopId, accessToken) {
+  await getStorage().set(tokenKey(shopId), {
+    accessToken: encrypt(accessToken),
+    updatedAt: new Date().toISOString()
   });
   console.log(`Stored access token for shop: ${shopId}`);
 }
 
-export function getAccessToken(shopId) {
-  const tokenData = tokenStore.get(shopId);
-  if (tokenData) {
+export async function getAccessToken(shopId) {
+  const tokenData = await getStorage().get(tokenKey(shopId));
+  if (!tokenData) {
+    console.log(`No access token found for shop: ${shopId}`);
+    return null;
+  }
+
+  try {
+    const accessToken = decrypt(tokenData.accessToken);
+
+    // Opportunistically move tokens onto the current key after a rotation
+    if (needsReencryption(tokenData.accessToken)) {
+      await storeAccessToken(shopId, accessToken);
+    }
+
     console.log(`Retrieved access token for shop: ${shopId}`);
-    return tokenData.accessToken;
+    return accessToken;
+  } catch (error) {
+    console.error(`Failed to decrypt access token for shop: ${shopId}`, error.message);
+    return null;
   }
-  console.log(`No access token found for shop: ${shopId}`);
-  return null;
 }
 
-export function removeAccessToken(shopId) {
-  const removed = tokenStore.delete(shopId);
+export async function removeAccessToken(shopId) {
+  const removed = await getStorage().delete(tokenKey(shopId));
   if (removed) {
     console.log(`Removed access token for shop: ${shopId}`);
   }
   return removed;
 }
 
-export function getAllShops() {
-  return Array.from(tokenStore.keys());
+export async function getAllShops() {
+  const keys = await getStorage().keys(KEY_PREFIX);
+  return keys.map(key => key.slice(KEY_PREFIX.length));
 }
 
-export function hasValidToken(shopId) {
-  return tokenStore.has(shopId);
-}
\ No newline at end of file
+export async function hasValidToken(shopId) {
+  return (await getAccessToken(shopId)) !== null;
+}
+
+/**
+ * Re-encrypt every stored token with the current key
+ * Run after adding a new key to the front of TOKEN_ENCRYPTION_KEYS, before
+ * removing the old one.
+ */
+export async function rotateTokenEncryption() {
+  const shops = await getAllShops();
+  let rotated = 0;
+
+  for (const shopId of shops) {
+    const tokenData = await getStorage().get(tokenKey(shopId));
+    if (tokenData && needsReencryption(tokenData.accessToken)) {
+      await storeAccessToken(shopId, decrypt(tokenData.accessToken));
+      rotated += 1;
+    }
+  }
+
+  console.log(`Re-encrypted ${rotated} of ${shops.length} access tokens`);
+  return { total: shops.length, rotated };
+}
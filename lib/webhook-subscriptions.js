@@ -0,0 +1,238 @@
+/**
+ * Webhook subscription management
+ * Registers the app's webhook subscriptions through the Admin GraphQL API and
+ * reconciles them on every re-auth, so order tracking works without manual setup.
+ */
+
+import { getShopifyClient } from './shopify-helpers';
+import { getStorage } from './storage';
+
+export const WEBHOOK_SUBSCRIPTIONS = [
+  { topic: 'ORDERS_CREATE', path: '/api/webhooks/orders/created' },
+  { topic: 'ORDERS_PAID', path: '/api/webhooks/orders/paid' },
+  { topic: 'ORDERS_UPDATED', path: '/api/webhooks/orders/updated' },
+  { topic: 'ORDERS_CANCELLED', path: '/api/webhooks/orders/cancelled' },
+  { topic: 'REFUNDS_CREATE', path: '/api/webhooks/refunds/create' },
+  { topic: 'APP_UNINSTALLED', path: '/api/webhooks/app/uninstalled' },
+  { topic: 'SHOP_UPDATE', path: '/api/webhooks/shop/update' },
+];
+
+const LIST_SUBSCRIPTIONS_QUERY = `
+  query listWebhookSubscriptions($first: Int!, $after: String) {
+    webhookSubscriptions(first: $first, after: $after) {
+      edges {
+        node {
+          id
+          topic
+          endpoint {
+            __typename
+            ... on WebhookHttpEndpoint {
+              callbackUrl
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const CREATE_SUBSCRIPTION_MUTATION = `
+  mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+    webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+      webhookSubscription {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const UPDATE_SUBSCRIPTION_MUTATION = `
+  mutation webhookSubscriptionUpdate($id: ID!, $webhookSubscription: WebhookSubscriptionInput!) {
+    webhookSubscriptionUpdate(id: $id, webhookSubscription: $webhookSubscription) {
+      webhookSubscription {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DELETE_SUBSCRIPTION_MUTATION = `
+  mutation webhookSubscriptionDelete($id: ID!) {
+    webhookSubscriptionDelete(id: $id) {
+      deletedWebhookSubscriptionId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+function statusKey(shopId) {
+  return `webhook-subscriptions:${shopId}`;
+}
+
+function callbackUrlFor(path) {
+  return `${process.env.SHOPIFY_APP_URL}${path}`;
+}
+
+async function listSubscriptions(client) {
+  let subscriptions = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await client.query({
+      data: {
+        query: LIST_SUBSCRIPTIONS_QUERY,
+        variables: { first: 100, after: cursor }
+      }
+    });
+
+    const data = response.body.data.webhookSubscriptions;
+    subscriptions = subscriptions.concat(data.edges.map(edge => ({
+      id: edge.node.id,
+      topic: edge.node.topic,
+      callbackUrl: edge.node.endpoint?.callbackUrl || null
+    })));
+
+    hasNextPage = data.pageInfo.hasNextPage;
+    cursor = data.pageInfo.endCursor;
+  }
+
+  return subscriptions;
+}
+
+async function runMutation(client, mutation, variables, resultField) {
+  const response = await client.query({
+    data: { query: mutation, variables }
+  });
+
+  const result = response.body.data[resultField];
+  if (result.userErrors?.length > 0) {
+    throw new Error(result.userErrors.map(error => error.message).join(', '));
+  }
+
+  return result;
+}
+
+/**
+ * Create, update or remove subscriptions so they match WEBHOOK_SUBSCRIPTIONS
+ * Pass a client when the shop is not yet available through getShopifyClient
+ * (e.g. straight after the OAuth token exchange).
+ */
+export async function registerWebhooks(shopId, client = null) {
+  client = client || await getShopifyClient(shopId);
+  if (!client) {
+    throw new Error('Shopify authentication required');
+  }
+
+  const existing = await listSubscriptions(client);
+  const appUrl = process.env.SHOPIFY_APP_URL;
+  const results = [];
+
+  for (const { topic, path } of WEBHOOK_SUBSCRIPTIONS) {
+    const callbackUrl = callbackUrlFor(path);
+    const current = existing.find(subscription => subscription.topic === topic);
+
+    try {
+      if (current && current.callbackUrl === callbackUrl) {
+        results.push({ topic, callbackUrl, status: 'active', id: current.id });
+      } else if (current) {
+        await runMutation(client, UPDATE_SUBSCRIPTION_MUTATION, {
+          id: current.id,
+          webhookSubscription: { callbackUrl, format: 'JSON' }
+        }, 'webhookSubscriptionUpdate');
+        results.push({ topic, callbackUrl, status: 'updated', id: current.id });
+      } else {
+        const created = await runMutation(client, CREATE_SUBSCRIPTION_MUTATION, {
+          topic,
+          webhookSubscription: { callbackUrl, format: 'JSON' }
+        }, 'webhookSubscriptionCreate');
+        results.push({ topic, callbackUrl, status: 'created', id: created.webhookSubscription.id });
+      }
+    } catch (error) {
+      console.error(`Failed to register ${topic} webhook for ${shopId}:`, error.message);
+      results.push({ topic, callbackUrl, status: 'failed', error: error.message });
+    }
+  }
+
+  // Remove subscriptions pointing at this app for topics we no longer handle
+  const wantedTopics = WEBHOOK_SUBSCRIPTIONS.map(subscription => subscription.topic);
+  const stale = existing.filter(subscription =>
+    !wantedTopics.includes(subscription.topic) &&
+    appUrl && subscription.callbackUrl?.startsWith(appUrl)
+  );
+
+  for (const subscription of stale) {
+    try {
+      await runMutation(client, DELETE_SUBSCRIPTION_MUTATION, { id: subscription.id }, 'webhookSubscriptionDelete');
+      results.push({ topic: subscription.topic, callbackUrl: subscription.callbackUrl, status: 'removed' });
+    } catch (error) {
+      console.error(`Failed to remove stale ${subscription.topic} webhook for ${shopId}:`, error.message);
+    }
+  }
+
+  const summary = {
+    syncedAt: new Date().toISOString(),
+    healthy: results.every(result => result.status !== 'failed'),
+    subscriptions: results
+  };
+
+  await getStorage().set(statusKey(shopId), summary);
+  console.log(`Webhook subscriptions reconciled for ${shopId}:`, results.map(r => `${r.topic}=${r.status}`).join(', '));
+
+  return summary;
+}
+
+/**
+ * Compare the shop's live subscriptions with the ones the app needs
+ */
+export async function getWebhookStatus(shopId) {
+  const client = await getShopifyClient(shopId);
+  if (!client) {
+    throw new Error('Shopify authentication required');
+  }
+
+  const existing = await listSubscriptions(client);
+  const lastSync = await getStorage().get(statusKey(shopId));
+
+  const subscriptions = WEBHOOK_SUBSCRIPTIONS.map(({ topic, path }) => {
+    const callbackUrl = callbackUrlFor(path);
+    const current = existing.find(subscription => subscription.topic === topic);
+    const lastResult = lastSync?.subscriptions?.find(result => result.topic === topic);
+
+    let status = 'missing';
+    if (current && current.callbackUrl === callbackUrl) {
+      status = 'active';
+    } else if (current) {
+      status = 'misconfigured';
+    }
+
+    return {
+      topic,
+      callbackUrl,
+      status,
+      currentCallbackUrl: current?.callbackUrl || null,
+      lastError: lastResult?.error || null
+    };
+  });
+
+  return {
+    healthy: subscriptions.every(subscription => subscription.status === 'active'),
+    lastSyncedAt: lastSync?.syncedAt || null,
+    subscriptions
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Shopify webhook verification
+ * Wraps API route handlers so they only run for requests signed with the app secret
+ */
+
+import crypto from 'crypto';
+import { claimWebhook, releaseWebhook, IDEMPOTENCY_HEADER } from './idempotency';
+
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Check the X-Shopify-Hmac-Sha256 header against the raw request body
+ */
+export function verifyWebhookHmac(rawBody, hmacHeader) {
+  if (!hmacHeader || !process.env.SHOPIFY_API_SECRET) return false;
+
+  const computed = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  return received.length === computed.length && crypto.timingSafeEqual(computed, received);
+}
+
+/**
+ * Wrap a webhook handler with method, signature and payload checks
+ *
+ * The wrapped handler is called as handler(req, res, webhook) where webhook is
+ * { payload, topic, shopDomain, shopId, webhookId, apiVersion }.
+ * Routes using it must disable Next's body parser so the raw body is available.
+ *
+ * Deliveries are claimed by X-Shopify-Webhook-Id: replays get a 200 without
+ * running the handler, and the claim is released if the handler fails so that
+ * Shopify's retry is processed. The outcome is reported in IDEMPOTENCY_HEADER.
+ */
+export function withWebhookVerification(handler) {
+  return async function verifiedWebhookHandler(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    let rawBody;
+    try {
+      rawBody = await readRawBody(req);
+    } catch (error) {
+      console.error('Failed to read webhook body:', error);
+      return res.status(400).json({ error: 'Unable to read request body' });
+    }
+
+    if (!verifyWebhookHmac(rawBody, req.headers['x-shopify-hmac-sha256'])) {
+      console.error('Rejected webhook with invalid HMAC:', req.headers['x-shopify-topic']);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    const shopDomain = req.headers['x-shopify-shop-domain'];
+    if (!shopDomain) {
+      console.error('Shop domain not found in webhook');
+      return res.status(400).json({ error: 'Shop ID required' });
+    }
+
+    const webhook = {
+      payload,
+      topic: req.headers['x-shopify-topic'],
+      shopDomain,
+      shopId: shopDomain.replace('.myshopify.com', ''),
+      webhookId: req.headers['x-shopify-webhook-id'],
+      apiVersion: req.headers['x-shopify-api-version']
+    };
+
+    let claimed;
+    try {
+      claimed = await claimWebhook(webhook.webhookId, {
+        topic: webhook.topic,
+        shopDomain
+      });
+    } catch (error) {
+      // Without the claim we can't tell a replay apart, so let Shopify retry later
+      console.error('Failed to record webhook delivery:', error);
+      return res.status(503).json({ error: 'Webhook store unavailable' });
+    }
+
+    if (!claimed) {
+      console.log(`Skipping duplicate webhook ${webhook.webhookId} (${webhook.topic})`);
+      res.setHeader(IDEMPOTENCY_HEADER, 'duplicate');
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    res.setHeader(IDEMPOTENCY_HEADER, 'processed');
+
+    try {
+      await handler(req, res, webhook);
+    } catch (error) {
+      await releaseWebhook(webhook.webhookId);
+      throw error;
+    }
+
+    if (res.statusCode >= 500) {
+      await releaseWebhook(webhook.webhookId);
+    }
+  };
+}
@@ -0,0 +1,68 @@
+import {
+  getAffiliateDiscounts,
+  createAffiliateDiscount,
+  deleteAffiliateDiscount,
+  validateAffiliateDiscount
+} from '../../../lib/affiliate-discounts';
+
+export default async function handler(req, res) {
+  const { shop, affiliateId } = req.query;
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const discounts = await getAffiliateDiscounts(shop, affiliateId || null);
+      return res.json({ discounts });
+    } catch (error) {
+      console.error('Affiliate discount codes API error:', error);
+      return res.status(500).json({ error: 'Failed to fetch discount codes' });
+    }
+  }
+
+  if (req.method === 'POST') {
+    const validationError = validateAffiliateDiscount(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const discount = await createAffiliateDiscount(shop, req.body);
+      return res.json({ success: true, discount });
+    } catch (error) {
+      if (error.message === 'Shopify authentication required') {
+        return res.status(401).json({ error: error.message, authUrl: `/api/auth?shop=${shop}` });
+      }
+      if (error.message === 'Discount code already exists') {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Create affiliate discount code error:', error);
+      return res.status(500).json({ error: 'Failed to create discount code', details: error.message });
+    }
+  }
+
+  if (req.method === 'DELETE') {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    try {
+      const discount = await deleteAffiliateDiscount(shop, code);
+      return res.json({ success: true, discount });
+    } catch (error) {
+      if (error.message === 'Discount code not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === 'Shopify authentication required') {
+        return res.status(401).json({ error: error.message, authUrl: `/api/auth?shop=${shop}` });
+      }
+      console.error('Delete affiliate discount code error:', error);
+      return res.status(500).json({ error: 'Failed to delete discount code', details: error.message });
+    }
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
@@ -0,0 +1,64 @@
+import { loadCommissionRules, COMMISSION_LEVELS } from '../../../lib/commission-resolver';
+import { getShopAffiliateTotals, getTierForTotal } from '../../../lib/commission-tiers';
+
+/**
+ * The tier schedule shown to merchants: the shop default's, otherwise the most
+ * specific tiered rule that exists
+ */
+function findTierSchedule(ruleSet) {
+  if (ruleSet.shop?.tiers?.length) return ruleSet.shop;
+
+  for (const level of COMMISSION_LEVELS) {
+    const rules = ruleSet[level] instanceof Map ? [...ruleSet[level].values()] : [];
+    const tiered = rules.find(rule => rule.tiers?.length);
+    if (tiered) return tiered;
+  }
+
+  return null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { shop } = req.query;
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  try {
+    const ruleSet = await loadCommissionRules(shop);
+    const rule = findTierSchedule(ruleSet);
+
+    if (!rule) {
+      return res.json({ tiered: false, tiers: [], affiliates: {} });
+    }
+
+    const period = rule.tierPeriod || 'month';
+    const totals = await getShopAffiliateTotals(shop, new Date(), period);
+
+    const affiliates = {};
+    Object.entries(totals).forEach(([affiliateId, periodSales]) => {
+      const { index, tier, nextTier } = getTierForTotal(rule.tiers, periodSales);
+      affiliates[affiliateId] = {
+        periodSales,
+        tier: index + 1,
+        rate: tier.rate,
+        nextTierAt: nextTier ? nextTier.minSales : null
+      };
+    });
+
+    return res.json({
+      tiered: true,
+      source: rule.level,
+      period,
+      tiers: rule.tiers,
+      affiliates
+    });
+  } catch (error) {
+    console.error('Affiliate tiers API error:', error);
+    return res.status(500).json({ error: 'Failed to fetch affiliate tiers' });
+  }
+}
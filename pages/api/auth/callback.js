@@ -1,28 +1,38 @@
-import crypto from 'crypto';
 import apiClient from '../../../lib/api-client';
 import { storeAccessToken } from '../../../lib/token-storage';
+import { createGraphqlClient } from '../../../lib/shopify-helpers';
+import { registerWebhooks } from '../../../lib/webhook-subscriptions';
+import { removeStorefrontScriptTag } from '../../../lib/storefront-tracking';
+import {
+  verifyOAuthHmac,
+  verifyOAuthState,
+  clearOAuthStateCookie,
+  isValidShopDomain,
+  sendAuthError
+} from '../../../lib/oauth';
 
 export default async function handler(req, res) {
   try {
-    const { code, hmac, shop, state, host } = req.query;
+    const { code, shop, host } = req.query;
     
     if (!code || !shop) {
-      return res.status(400).json({ error: 'Missing required parameters' });
+      return sendAuthError(req, res, 400, 'Missing parameters', 'The sign in response from Shopify was incomplete. Please try again.', shop);
     }
 
-    const queryString = Object.keys(req.query)
-      .filter(key => key !== 'hmac')
-      .sort()
-      .map(key => `${key}=${req.query[key]}`)
-      .join('&');
-      
-    const computedHmac = crypto
-      .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
-      .update(queryString)
-      .digest('hex');
-      
-    if (computedHmac !== hmac) {
-      return res.status(401).json({ error: 'Invalid request signature' });
+    if (!isValidShopDomain(shop)) {
+      return sendAuthError(req, res, 400, 'Invalid shop', `"${shop}" is not a valid myshopify.com domain.`);
+    }
+
+    if (!verifyOAuthHmac(req.query)) {
+      return sendAuthError(req, res, 401, 'Invalid request signature', 'This sign in request could not be verified as coming from Shopify.', shop);
+    }
+
+    const stateError = verifyOAuthState(req);
+    res.setHeader('Set-Cookie', clearOAuthStateCookie());
+
+    if (stateError) {
+      console.error(`OAuth state check failed for ${shop}: ${stateError}`);
+      return sendAuthError(req, res, 403, 'Sign in session expired', 'Your sign in session could not be matched to this browser. Please start the install again.', shop);
     }
 
     const tokenResponse = await fetch(`https://${shop}/admin/oauth/access_token`, {
@@ -56,14 +66,32 @@ export default async function handler(req, res) {
       // Continue anyway - the shop might already be registered
     }
 
-    // Store access token in memory for later retrieval
-    storeAccessToken(shop, tokenData.access_token);
+    // Store the encrypted access token for later retrieval
+    await storeAccessToken(shop, tokenData.access_token);
+
+    // Register (or reconcile on re-auth) the webhooks order tracking depends on
+    try {
+      const client = await createGraphqlClient(shop, tokenData.access_token);
+      await registerWebhooks(shop, client);
+    } catch (error) {
+      console.error('Failed to register webhooks:', error);
+      // Continue anyway - they can be re-synced from the Shop Setup tab
+    }
+
+    // Tracking now runs from the theme app extension's embed, not a ScriptTag
+    try {
+      const client = await createGraphqlClient(shop, tokenData.access_token);
+      await removeStorefrontScriptTag(shop, client);
+    } catch (error) {
+      console.error('Failed to remove storefront tracking script:', error);
+      // Continue anyway - it is removed on the next auth
+    }
 
     const redirectUrl = `/?shop=${shop}&host=${host || ''}`;
     res.writeHead(302, { Location: redirectUrl });
     res.end();
   } catch (error) {
     console.error('Auth callback error:', error);
-    res.status(500).json({ error: 'Authentication callback failed' });
+    return sendAuthError(req, res, 500, 'Authentication callback failed', 'We could not finish connecting your store. Please try again.', req.query.shop);
   }
 }
\ No newline at end of file
@@ -1,33 +1,41 @@
-import shopify from '../../../lib/shopify';
+import { createOAuthState, isValidShopDomain, sendAuthError } from '../../../lib/oauth';
 
 export default async function handler(req, res) {
   try {
     const { shop, host } = req.query;
     
     if (!shop) {
-      return res.status(400).json({ error: 'Shop parameter required' });
+      return sendAuthError(req, res, 400, 'Missing shop', 'Open the app from your Shopify admin to sign in.');
     }
 
-    const sanitizedShop = shopify.utils.sanitizeShop(shop, true);
-    
-    const scopes = process.env.SHOPIFY_SCOPES || 'read_products,write_products,read_collections';
+    if (!isValidShopDomain(shop)) {
+      return sendAuthError(req, res, 400, 'Invalid shop', `"${shop}" is not a valid myshopify.com domain.`);
+    }
+
+    // Embedded pages fetch this as JSON from inside the admin iframe, where the
+    // state cookie would not be first-party. Send them back through this route
+    // at the top level so the cookie is set on the window that completes OAuth.
+    if (req.headers.accept?.includes('application/json')) {
+      const params = new URLSearchParams({ shop });
+      if (host) params.append('host', host);
+      return res.json({ authUrl: `${process.env.SHOPIFY_APP_URL}/api/auth?${params}` });
+    }
+
+    const scopes = process.env.SHOPIFY_SCOPES || 'read_products,write_products,read_collections,read_orders,read_customers,read_inventory,read_discounts,write_discounts,write_script_tags';
     const redirectUri = `${process.env.SHOPIFY_APP_URL}/api/auth/callback`;
-    const state = Math.random().toString(36).substring(2, 15);
+    const { state, cookie } = createOAuthState();
     
-    const authUrl = `https://${sanitizedShop}/admin/oauth/authorize?` +
+    const authUrl = `https://${shop}/admin/oauth/authorize?` +
       `client_id=${process.env.SHOPIFY_API_KEY}&` +
       `scope=${encodeURIComponent(scopes)}&` +
       `redirect_uri=${encodeURIComponent(redirectUri)}&` +
       `state=${state}`;
 
-    if (req.headers.accept?.includes('application/json')) {
-      return res.json({ authUrl });
-    }
-
+    res.setHeader('Set-Cookie', cookie);
     res.writeHead(302, { Location: authUrl });
     res.end();
   } catch (error) {
     console.error('Auth error:', error);
-    return res.status(500).json({ error: 'Authentication failed', details: error.message });
+    return sendAuthError(req, res, 500, 'Authentication failed', 'Something went wrong while starting sign in. Please try again.', req.query.shop);
   }
-}
\ No newline at end of file
+}
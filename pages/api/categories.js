@@ -1,6 +1,12 @@
-import { PRODUCTS_QUERY } from '../../lib/graphql';
 import { getShopifyClient } from '../../lib/shopify-helpers';
-
+import { getCatalogCategories } from '../../lib/catalog-categories';
+import { toJobStatus } from '../../lib/jobs';
+
+/**
+ * Product counts per category, as last counted
+ * Counting the whole catalog runs as a background job; `job` is the count in
+ * progress, which the UI polls through /api/jobs/[id] before loading again.
+ */
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -22,54 +28,9 @@ export default async function handler(req, res) {
       });
     }
 
-    let allProducts = [];
-    let hasNextPage = true;
-    let cursor = null;
-
-    while (hasNextPage && allProducts.length < 500) { 
-      const response = await client.query({
-        data: {
-          query: PRODUCTS_QUERY,
-          variables: {
-            first: 50,
-            after: cursor,
-            query: null,
-          },
-        },
-      });
-
-      const products = response.body.data.products.edges.map(edge => edge.node);
-      allProducts = [...allProducts, ...products];
-      
-      const pageInfo = response.body.data.products.pageInfo;
-      hasNextPage = pageInfo.hasNextPage;
-      cursor = pageInfo.endCursor;
-    }
+    const catalog = await getCatalogCategories(shop);
+    let categories = catalog.categories;
 
-    const categoryMap = new Map();
-    
-    allProducts.forEach(product => {
-      const category = product.productType || 'Uncategorized';
-      
-      if (category && category.trim()) {
-        const categoryKey = category.toLowerCase();
-        
-        if (!categoryMap.has(categoryKey)) {
-          categoryMap.set(categoryKey, {
-            name: category,
-            productCount: 0,
-            products: []
-          });
-        }
-        
-        const categoryData = categoryMap.get(categoryKey);
-        categoryData.productCount += 1;
-        categoryData.products.push(product.id);
-      }
-    });
-
-    let categories = Array.from(categoryMap.values());
-    
     if (search) {
       const searchLower = search.toLowerCase();
       categories = categories.filter(category => 
@@ -82,6 +43,8 @@ export default async function handler(req, res) {
     return res.json({
       categories,
       totalCategories: categories.length,
+      countedAt: catalog.countedAt,
+      job: catalog.job ? toJobStatus(catalog.job) : null
     });
   } catch (error) {
     console.error('Categories API error:', error);
@@ -1,27 +1,117 @@
-import { setProductCommission, setCollectionCommission, setCategoryCommission, removeCommission } from '../../lib/backend-commissions';
+import { setProductCommission, setVariantCommission, setCollectionCommission, setCategoryCommission, setShopCommission, removeCommission } from '../../lib/backend-commissions';
+import { parseCommissionPayload, describeFieldErrors } from '../../lib/commission-schema';
+import { checkMarginsBeforeSave, describeMarginViolations, MARGIN_CHECK_UNAVAILABLE } from '../../lib/margin-guardrails';
+import { enqueueCommissionApply } from '../../lib/commission-apply';
+import { previewCommissionChange } from '../../lib/commission-preview';
+import { createOperationId, recordOperation, toActor } from '../../lib/commission-history';
+import { getSessionStaffMember } from '../../lib/shopify-helpers';
+import { getShopCurrencySettings, validateCommissionCurrency } from '../../lib/shop-currency';
+
+const COMMISSION_TYPES = ['product', 'variant', 'collection', 'category', 'shop'];
 
 export default async function handler(req, res) {
   const { shop } = req.query;
 
   if (req.method === 'POST') {
     try {
-      const { type, id, commission, commissionType = 'percentage', currency } = req.body;
+      const { type, id, productId } = req.body;
+      const shopCurrency = await getShopCurrencySettings(shop);
+      const { commissionData, fieldErrors } = parseCommissionPayload(req.body, {
+        defaultCurrency: shopCurrency.currencyCode
+      });
+
+      const currencyError = validateCommissionCurrency(commissionData, shopCurrency);
+      if (currencyError) {
+        fieldErrors.currency = currencyError;
+      }
+
+      if (!COMMISSION_TYPES.includes(type)) {
+        fieldErrors.type = `type must be one of: ${COMMISSION_TYPES.join(', ')}`;
+      } else if (type !== 'shop' && !id) {
+        fieldErrors.id = `id is required for ${type} commissions`;
+      }
+      if (type === 'variant' && !productId) {
+        fieldErrors.productId = 'productId is required for variant commissions';
+      }
+
+      if (Object.keys(fieldErrors).length > 0) {
+        return res.status(422).json({
+          error: `Invalid commission: ${describeFieldErrors(fieldErrors)}`,
+          fieldErrors
+        });
+      }
+
+      // Dry run: show what would change without saving anything
+      if (req.query.preview === 'true' || req.body.preview === true) {
+        if (type !== 'collection' && type !== 'category') {
+          return res.status(400).json({ error: 'Previews are available for collection and category commissions' });
+        }
+
+        const preview = await previewCommissionChange(shop, type, id, commissionData);
+        return res.json({ preview: true, ...preview });
+      }
+
+      const marginCheck = await checkMarginsBeforeSave(shop, type, { id, productId }, commissionData);
+
+      if (marginCheck?.violations.length > 0 && marginCheck.mode === 'block') {
+        return res.status(422).json({
+          error: `Commission not saved: ${describeMarginViolations(marginCheck)}`,
+          marginViolations: marginCheck.violations
+        });
+      }
+
+      const actor = toActor(await getSessionStaffMember(req, shop));
+      // Collection and category rules and the product writes they lead to
+      // are one operation in the commission history, so they revert together
+      const isBulk = type === 'collection' || type === 'category';
+      const audit = { actor, operationId: isBulk ? createOperationId() : null };
 
-      const commissionData = { commission, commissionType, currency };
-      
+      let result;
       if (type === 'product') {
-        const result = await setProductCommission(shop, id, commissionData);
-        return res.json(result);
+        result = await setProductCommission(shop, id, commissionData, null, undefined, audit);
+      } else if (type === 'variant') {
+        result = await setVariantCommission(shop, productId, id, commissionData, audit);
       } else if (type === 'collection') {
-        const result = await setCollectionCommission(shop, id, commissionData);
-        return res.json(result);
+        result = await setCollectionCommission(shop, id, commissionData, audit);
       } else if (type === 'category') {
-        const result = await setCategoryCommission(shop, id, commissionData);
-        return res.json(result);
+        result = await setCategoryCommission(shop, id, commissionData, audit);
+      } else {
+        result = await setShopCommission(shop, commissionData, audit);
       }
 
-      return res.status(400).json({ error: 'Invalid type' });
+      // Writing the rule to every product it covers runs in the background
+      if (isBulk) {
+        await recordOperation(shop, {
+          id: audit.operationId,
+          kind: 'apply',
+          level: type,
+          referenceId: id,
+          description: result.message,
+          actor
+        });
+        const job = await enqueueCommissionApply(shop, type, id, commissionData, audit);
+        result = { ...result, jobId: job.id };
+      }
+
+      if (marginCheck?.violations.length > 0) {
+        return res.json({
+          ...result,
+          marginWarning: describeMarginViolations(marginCheck),
+          marginViolations: marginCheck.violations
+        });
+      }
+      return res.json(result);
     } catch (error) {
+      if (error.message === 'Shopify authentication required') {
+        return res.status(401).json({
+          error: 'Shopify authentication required',
+          authUrl: `/api/auth?shop=${shop}`
+        });
+      }
+      if (error.message === MARGIN_CHECK_UNAVAILABLE) {
+        return res.status(503).json({ error: error.message });
+      }
+
       console.error('Set commission error:', error);
       console.error('Error details:', {
         message: error.message,
@@ -35,7 +125,8 @@ export default async function handler(req, res) {
   if (req.method === 'DELETE') {
     try {
       const { type, id } = req.body;
-      await removeCommission(shop, type, id);
+      const actor = toActor(await getSessionStaffMember(req, shop));
+      await removeCommission(shop, type, id, { actor });
       return res.json({ success: true });
     } catch (error) {
       console.error('Remove commission error:', error);
@@ -0,0 +1,90 @@
+import { getCampaigns, createCampaign, endCampaign, validateCampaign } from '../../../lib/commission-campaigns';
+import { getShopCurrencySettings, validateCommissionCurrency } from '../../../lib/shop-currency';
+import { parseCommissionPayload } from '../../../lib/commission-schema';
+import { checkMarginsBeforeSave, describeMarginViolations, MARGIN_CHECK_UNAVAILABLE } from '../../../lib/margin-guardrails';
+import { toActor } from '../../../lib/commission-history';
+import { getSessionStaffMember } from '../../../lib/shopify-helpers';
+
+export default async function handler(req, res) {
+  const { shop } = req.query;
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const campaigns = await getCampaigns(shop);
+      return res.json(campaigns);
+    } catch (error) {
+      console.error('Campaigns API error:', error);
+      return res.status(500).json({ error: 'Failed to fetch campaigns' });
+    }
+  }
+
+  if (req.method === 'POST') {
+    try {
+      const shopCurrency = await getShopCurrencySettings(shop);
+      const data = { ...req.body, currency: req.body?.currency || shopCurrency.currencyCode };
+
+      const validationError = validateCampaign(data) || validateCommissionCurrency(data, shopCurrency);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { commissionData } = parseCommissionPayload(data, { defaultCurrency: shopCurrency.currencyCode });
+      const marginCheck = await checkMarginsBeforeSave(shop, data.level, {
+        id: data.referenceId,
+        productId: data.productId
+      }, commissionData);
+
+      if (marginCheck?.violations.length > 0 && marginCheck.mode === 'block') {
+        return res.status(422).json({
+          error: `Campaign not created: ${describeMarginViolations(marginCheck)}`,
+          marginViolations: marginCheck.violations
+        });
+      }
+
+      const actor = toActor(await getSessionStaffMember(req, shop));
+      const campaign = await createCampaign(shop, data, { actor });
+
+      if (marginCheck?.violations.length > 0) {
+        return res.json({
+          success: true,
+          campaign,
+          marginWarning: describeMarginViolations(marginCheck),
+          marginViolations: marginCheck.violations
+        });
+      }
+      return res.json({ success: true, campaign });
+    } catch (error) {
+      if (error.message === MARGIN_CHECK_UNAVAILABLE) {
+        return res.status(503).json({ error: error.message });
+      }
+      console.error('Create campaign error:', error);
+      return res.status(500).json({ error: 'Failed to create campaign', details: error.message });
+    }
+  }
+
+  if (req.method === 'DELETE') {
+    // Ends the campaign now; the previous rate applies again from this moment
+    const { campaignId } = req.body || {};
+    if (!campaignId) {
+      return res.status(400).json({ error: 'campaignId is required' });
+    }
+
+    try {
+      const actor = toActor(await getSessionStaffMember(req, shop));
+      const campaign = await endCampaign(shop, campaignId, { actor });
+      return res.json({ success: true, campaign });
+    } catch (error) {
+      if (error.message === 'Campaign not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('End campaign error:', error);
+      return res.status(500).json({ error: 'Failed to end campaign' });
+    }
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
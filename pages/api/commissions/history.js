@@ -0,0 +1,69 @@
+import { getCommissionHistory, getOperationChanges, toActor } from '../../../lib/commission-history';
+import { revertChange, enqueueOperationRevert } from '../../../lib/commission-revert';
+import { getSessionStaffMember } from '../../../lib/shopify-helpers';
+
+const CONFLICT_ERRORS = [
+  'This change has already been reverted',
+  'The commission has changed since; revert the later change first',
+  'Wait for this change to finish applying before reverting it',
+  'Campaigns are ended from the Campaigns tab'
+];
+
+/**
+ * The commission change history, and reverting a change or a whole bulk operation
+ */
+export default async function handler(req, res) {
+  const { shop } = req.query;
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const { operationId } = req.query;
+      if (operationId) {
+        return res.json(await getOperationChanges(shop, operationId));
+      }
+
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+      return res.json(await getCommissionHistory(shop, { page, limit }));
+    } catch (error) {
+      console.error('Commission history API error:', error);
+      return res.status(500).json({ error: 'Failed to fetch commission history' });
+    }
+  }
+
+  if (req.method === 'POST') {
+    // { entryId } reverts one change (with its operationId when it was part of one);
+    // { operationId } alone reverts the whole operation in the background
+    const { entryId, operationId } = req.body || {};
+    if (!entryId && !operationId) {
+      return res.status(400).json({ error: 'entryId or operationId is required' });
+    }
+
+    try {
+      const actor = toActor(await getSessionStaffMember(req, shop));
+
+      if (entryId) {
+        const result = await revertChange(shop, entryId, operationId || null, actor);
+        return res.json({ success: true, ...result });
+      }
+
+      const job = await enqueueOperationRevert(shop, operationId, actor);
+      return res.json({ success: true, jobId: job.id });
+    } catch (error) {
+      if (error.message === 'History entry not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (CONFLICT_ERRORS.includes(error.message)) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Revert commission error:', error);
+      return res.status(500).json({ error: 'Failed to revert commission change', details: error.message });
+    }
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
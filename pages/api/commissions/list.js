@@ -1,5 +1,28 @@
 import apiClient from '../../../lib/api-client';
-import { getShopifyClient } from '../../../lib/shopify-helpers';
+import { getShopifyClient, fetchProductVariantPrices } from '../../../lib/shopify-helpers';
+import { buildRuleSet, calculateCommissionRange, getProductsWithVariantRules } from '../../../lib/commission-resolver';
+import { normalizeCommissionType } from '../../../lib/commission-schema';
+import { getShopCurrency } from '../../../lib/shop-currency';
+
+const PRODUCT_GID_PREFIX = 'gid://shopify/Product/';
+const PRODUCT_LEVELS = ['product', 'variant'];
+
+// Variant rules price one variant and product rules the whole product; rules at
+// other levels (collections, categories, the shop) have no product to price
+function productIdOf(commission) {
+  const level = commission.type || 'product';
+  if (!PRODUCT_LEVELS.includes(level)) return null;
+
+  const productId = level === 'variant' ? commission.parentProductId : commission.productId;
+  return String(productId || '').startsWith(PRODUCT_GID_PREFIX) ? productId : null;
+}
+
+function describeRule(commission) {
+  const id = String(commission.referenceId || commission.productId || '');
+  if (commission.type === 'shop') return 'Shop default';
+  if (commission.type === 'category') return `Category: ${id}`;
+  return commission.productTitle || `Collection #${id.split('/').pop()}`;
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -42,9 +65,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const productIds = productCommissions.map(c => c.productId);
+    const productIds = [...new Set(productCommissions.map(productIdOf).filter(Boolean))];
+    const ruleSet = buildRuleSet(allCommissions);
 
     let products = [];
+    let variantPrices = new Map();
 
     if (productIds.length > 0) {
       const productQuery = `
@@ -58,6 +83,9 @@ export default async function handler(req, res) {
                   amount
                   currencyCode
                 }
+                maxVariantPrice {
+                  amount
+                }
               }
             }
           }
@@ -72,32 +100,48 @@ export default async function handler(req, res) {
       });
 
       products = productResponse.body.data.nodes.filter(node => node);
+
+      const withVariantRules = getProductsWithVariantRules(ruleSet);
+      variantPrices = await fetchProductVariantPrices(client, productIds.filter(id => withVariantRules.has(id)));
     }
 
     // Collections don't have separate records anymore
 
+    const shopCurrency = await getShopCurrency(shop);
+
     const enrichedCommissions = productCommissions.map(commission => {
-      const product = products.find(p => p.id === commission.productId);
-      const price = parseFloat(product?.priceRangeV2?.minVariantPrice?.amount || 0);
-      
-      // Calculate commission amount based on type
-      let commissionAmount = 0;
-      if (commission.commissionType === 'amount') {
-        commissionAmount = commission.commissionValue;
-      } else {
-        commissionAmount = (price * commission.commissionValue) / 100;
+      const product = products.find(p => p.id === productIdOf(commission));
+      const minPrice = parseFloat(product?.priceRangeV2?.minVariantPrice?.amount || 0);
+      const maxPrice = parseFloat(product?.priceRangeV2?.maxVariantPrice?.amount || minPrice);
+
+      let variants = variantPrices.get(product?.id) || null;
+      if (commission.type === 'variant') {
+        variants = (variants || []).filter(variant => variant.id === commission.productId);
       }
-      
+
+      // Commission on one unit of each variant, within the rules' caps and floors
+      const range = product ? calculateCommissionRange(ruleSet, product, { minPrice, maxPrice, variants }) : null;
+
+      const level = commission.type || 'product';
+      const isProductRule = PRODUCT_LEVELS.includes(level);
+
       return {
         id: commission.id,
-        type: 'product',
+        type: isProductRule ? 'product' : level,
+        level,
         commission: commission.commissionValue,
-        commissionType: commission.commissionType,
-        commissionAmount: commissionAmount,
+        commissionType: normalizeCommissionType(commission.commissionType),
+        commissionAmount: range ? range.minAmount : 0,
+        commissionAmountMax: range ? range.maxAmount : 0,
+        variantAmounts: range?.variants || null,
+        limits: commission.limits || null,
+        limitApplied: range?.appliedLimit || null,
         productId: commission.productId,
-        productTitle: commission.productTitle || product?.title || 'Unknown Product',
-        productPrice: price,
-        currencyCode: product?.priceRangeV2?.minVariantPrice?.currencyCode || 'KES',
+        productTitle: isProductRule ? commission.productTitle || product?.title || 'Unknown Product' : null,
+        collectionTitle: isProductRule ? null : describeRule(commission),
+        productPrice: range ? range.minPrice : minPrice,
+        productPriceMax: range ? range.maxPrice : maxPrice,
+        currencyCode: product?.priceRangeV2?.minVariantPrice?.currencyCode || shopCurrency,
         createdAt: commission.createdAt,
         updatedAt: commission.updatedAt
       };
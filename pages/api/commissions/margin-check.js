@@ -0,0 +1,48 @@
+import { checkCommissionMargins, describeMarginViolations } from '../../../lib/margin-guardrails';
+import { parseCommissionPayload, describeFieldErrors } from '../../../lib/commission-schema';
+import { getShopCurrency } from '../../../lib/shop-currency';
+
+/**
+ * Preview the margin guardrail for a commission before saving it
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { shop } = req.query;
+  const { type, id, productId } = req.body || {};
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  try {
+    const { commissionData, fieldErrors } = parseCommissionPayload(req.body || {}, {
+      defaultCurrency: await getShopCurrency(shop)
+    });
+    if (Object.keys(fieldErrors).length > 0) {
+      return res.status(422).json({
+        error: `Invalid commission: ${describeFieldErrors(fieldErrors)}`,
+        fieldErrors
+      });
+    }
+
+    const check = await checkCommissionMargins(shop, type, { id, productId }, commissionData);
+
+    return res.json({
+      ...check,
+      message: check.violations.length > 0 ? describeMarginViolations(check) : null
+    });
+  } catch (error) {
+    if (error.message === 'Shopify authentication required') {
+      return res.status(401).json({
+        error: 'Shopify authentication required',
+        authUrl: `/api/auth?shop=${shop}`
+      });
+    }
+
+    console.error('Margin check error:', error);
+    return res.status(500).json({ error: 'Failed to check margins' });
+  }
+}
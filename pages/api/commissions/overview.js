@@ -1,5 +1,6 @@
 import apiClient from '../../../lib/api-client';
-import { getShopifyClient } from '../../../lib/shopify-helpers';
+import { getShopifyClient, fetchProductVariantPrices } from '../../../lib/shopify-helpers';
+import { buildRuleSet, calculateCommissionRange, getProductsWithVariantRules, withRuleCollections } from '../../../lib/commission-resolver';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -29,15 +30,16 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get all commission data from backend API
-    let productCommissions = [];
+    // Get all commission rules from backend API
+    let commissionRecords = [];
     try {
       const commissionsResponse = await apiClient.getCommissions(shop);
-      productCommissions = commissionsResponse.data || [];
+      commissionRecords = commissionsResponse.data || [];
     } catch (error) {
       console.error('Failed to fetch commissions from backend:', error);
-      productCommissions = [];
+      commissionRecords = [];
     }
+    const ruleSet = buildRuleSet(commissionRecords);
 
     // Create Shopify GraphQL client
     const client = await getShopifyClient(shop);
@@ -69,13 +71,17 @@ export default async function handler(req, res) {
     }
 
     let totalPotentialEarnings = 0;
-    let totalCommissions = productCommissions.length;
+    let totalPotentialEarningsMax = 0;
+    let productsWithLimitApplied = 0;
     let percentageCommissions = [];
     let fixedAmountCommissions = [];
     let productsWithCommissions = 0;
     let totalProducts = 0;
+    const commissionsBySource = { variant: 0, product: 0, collection: 0, category: 0, shop: 0 };
+    let highestPercentage = null;
+    let highestFixed = null;
 
-    // Get all products to calculate total count and products without commissions
+    // Get all products with what the resolver needs (type, and collections with a rule)
     const allProductsQuery = `
       query getAllProducts($first: Int!, $after: String) {
         products(first: $first, after: $after) {
@@ -85,11 +91,15 @@ export default async function handler(req, res) {
           }
           nodes {
             id
+            productType
             priceRangeV2 {
               minVariantPrice {
                 amount
                 currencyCode
               }
+              maxVariantPrice {
+                amount
+              }
             }
           }
         }
@@ -106,98 +116,114 @@ export default async function handler(req, res) {
         const productResponse = await client.query({
           data: {
             query: allProductsQuery,
-            variables: { first: 250, after: cursor }
+            variables: { first: 50, after: cursor }
           }
         });
 
         const data = productResponse.body.data;
-        allProducts = allProducts.concat(data.products.nodes);
+        allProducts = allProducts.concat(await withRuleCollections(client, data.products.nodes, ruleSet));
         hasNextPage = data.products.pageInfo.hasNextPage;
         cursor = data.products.pageInfo.endCursor;
       }
 
       totalProducts = allProducts.length;
 
-      // Calculate potential earnings from product commissions
-      if (productCommissions.length > 0) {
-        productCommissions.forEach(commission => {
-          const product = allProducts.find(p => p.id === commission.productId);
-          if (product && product.priceRangeV2) {
-            let commissionAmount;
-            if (commission.commissionType === 'amount') {
-              // For fixed amount, use the commission value directly
-              commissionAmount = commission.commissionValue;
-            } else {
-              // For percentage, calculate as before
-              const price = parseFloat(product.priceRangeV2.minVariantPrice.amount);
-              commissionAmount = (price * commission.commissionValue) / 100;
-            }
-            totalPotentialEarnings += commissionAmount;
+      // Only products with variant rules need every variant's price
+      const withVariantRules = getProductsWithVariantRules(ruleSet);
+      const variantPrices = await fetchProductVariantPrices(
+        client,
+        allProducts.filter(product => withVariantRules.has(product.id)).map(product => product.id)
+      );
+
+      // Calculate potential earnings (one unit) across each product's variants
+      allProducts.forEach(product => {
+        const minPrice = parseFloat(product.priceRangeV2?.minVariantPrice?.amount || 0);
+        const range = calculateCommissionRange(ruleSet, product, {
+          minPrice,
+          maxPrice: parseFloat(product.priceRangeV2?.maxVariantPrice?.amount || minPrice),
+          variants: variantPrices.get(product.id) || null
+        });
+        if (!range) return;
+
+        const { commission } = range;
+        productsWithCommissions += 1;
+        commissionsBySource[commission.source] += 1;
+
+        totalPotentialEarnings += range.minAmount;
+        totalPotentialEarningsMax += range.maxAmount;
+        if (range.appliedLimit) {
+          productsWithLimitApplied += 1;
+        }
+
+        // Separate percentage and fixed amount commissions
+        const value = parseFloat(commission.commission) || 0;
+        if (commission.commissionType === 'percentage') {
+          percentageCommissions.push(value);
+          if (!highestPercentage || value > highestPercentage.commission) {
+            highestPercentage = { commission: value, source: commission.source };
           }
-          
-          // Separate percentage and fixed amount commissions
-          if (commission.commissionType === 'percentage') {
-            percentageCommissions.push(commission.commissionValue);
-          } else {
-            fixedAmountCommissions.push(commission.commissionValue);
+        } else {
+          fixedAmountCommissions.push(value);
+          if (!highestFixed || value > highestFixed.commission) {
+            highestFixed = { commission: value, source: commission.source };
           }
-        });
-        
-        productsWithCommissions = productCommissions.length;
-      }
+        }
+      });
     } catch (error) {
       console.error('Error fetching product data:', error);
     }
 
-    // Collections/categories don't have separate records anymore
-
     // Calculate average commission (only for percentage commissions)
     const averageCommission = percentageCommissions.length > 0 
       ? percentageCommissions.reduce((sum, rate) => sum + rate, 0) / percentageCommissions.length
       : 0;
 
-    // Find highest commission (separate for percentage and fixed amount)
+    // Find highest commission (percentage first, fixed amount if there are none)
+    const formatSource = (source) => source.charAt(0).toUpperCase() + source.slice(1);
     let highestCommission = null;
-    
-    if (percentageCommissions.length > 0) {
-      const maxPercentageRate = Math.max(...percentageCommissions);
+
+    if (highestPercentage) {
       highestCommission = {
-        commission: maxPercentageRate,
-        type: 'Product',
+        commission: highestPercentage.commission,
+        type: formatSource(highestPercentage.source),
         commissionType: 'percentage'
       };
-    }
-    
-    // If we also have fixed amount commissions and want to show the highest overall
-    if (fixedAmountCommissions.length > 0) {
-      const maxFixedAmount = Math.max(...fixedAmountCommissions);
-      
-      // If we don't have any percentage commissions, or if we want to show fixed amount as highest
-      if (!highestCommission) {
-        highestCommission = {
-          commission: maxFixedAmount,
-          type: 'Product',
-          commissionType: 'amount'
-        };
-      }
-      // You could add logic here to compare which is actually "higher" 
-      // by converting fixed amounts to equivalent percentages based on product prices
+    } else if (highestFixed) {
+      highestCommission = {
+        commission: highestFixed.commission,
+        type: formatSource(highestFixed.source),
+        commissionType: 'amount'
+      };
     }
 
     const productsWithoutCommissions = totalProducts - productsWithCommissions;
 
     const stats = {
-      totalCommissions,
-      productCommissions: productCommissions.length,
+      totalCommissions: productsWithCommissions,
+      productCommissions: ruleSet.product.size,
       productsWithoutCommissions,
-      collectionCommissions: 0,
+      collectionCommissions: ruleSet.collection.size,
+      categoryCommissions: ruleSet.category.size,
+      commissionsBySource,
+      shopDefaultCommission: ruleSet.shop ? {
+        id: ruleSet.shop.id,
+        commission: ruleSet.shop.commission,
+        commissionType: ruleSet.shop.commissionType,
+        currency: ruleSet.shop.currency,
+        updatedAt: ruleSet.shop.updatedAt,
+        tiers: ruleSet.shop.tiers,
+        tierPeriod: ruleSet.shop.tierPeriod,
+        limits: ruleSet.shop.limits
+      } : null,
       totalPotentialEarnings,
+      totalPotentialEarningsMax,
+      productsWithLimitApplied,
       averageCommission,
       highestCommission,
       percentageCommissionsCount: percentageCommissions.length,
       fixedAmountCommissionsCount: fixedAmountCommissions.length,
       summary: {
-        hasCommissions: totalCommissions > 0,
+        hasCommissions: productsWithCommissions > 0,
         lastUpdated: new Date().toISOString()
       }
     };
@@ -0,0 +1,37 @@
+import { getJob, processJob, isJobFinished, toJobStatus } from '../../../lib/jobs';
+import { JOB_RUNNERS } from '../../../lib/job-runners';
+
+// Short slices while the UI is polling, so the progress bar keeps moving
+const POLL_SLICE_BUDGET_MS = 8 * 1000;
+
+/**
+ * A background job's status
+ * Polling also advances the job by a slice, so it runs while the merchant watches it.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { shop, id } = req.query;
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  try {
+    let job = await getJob(shop, id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!isJobFinished(job)) {
+      job = await processJob(shop, id, JOB_RUNNERS, { budgetMs: POLL_SLICE_BUDGET_MS });
+    }
+
+    return res.json(toJobStatus(job));
+  } catch (error) {
+    console.error('Jobs API error:', error);
+    return res.status(500).json({ error: 'Failed to fetch job' });
+  }
+}
@@ -0,0 +1,31 @@
+import { getPendingJobs, processJob, toJobStatus } from '../../../lib/jobs';
+import { JOB_RUNNERS } from '../../../lib/job-runners';
+
+/**
+ * Cron entry point: advances the longest-waiting unfinished job by one slice,
+ * so jobs finish even when nobody has the app open
+ * Vercel Cron sends `Authorization: Bearer $CRON_SECRET` when CRON_SECRET is set.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = process.env.CRON_SECRET;
+  if (secret && req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const [job] = await getPendingJobs();
+    if (!job) {
+      return res.json({ processed: null });
+    }
+
+    const updated = await processJob(job.shopId, job.id, JOB_RUNNERS);
+    return res.json({ processed: toJobStatus(updated) });
+  } catch (error) {
+    console.error('Job processing error:', error);
+    return res.status(500).json({ error: 'Failed to process jobs' });
+  }
+}
@@ -1,6 +1,7 @@
 import { PRODUCTS_QUERY } from '../../lib/graphql';
-import { getShopifyClient } from '../../lib/shopify-helpers';
-import { getProductCommission } from '../../lib/backend-commissions';
+import { getShopifyClient, fetchVariantCosts } from '../../lib/shopify-helpers';
+import { loadCommissionRules, buildRuleSet, resolveCommission, withRuleCollections } from '../../lib/commission-resolver';
+import { getShopSettings } from '../../lib/shop-settings';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -34,25 +35,47 @@ export default async function handler(req, res) {
       },
     });
 
-    const products = response.body.data.products.edges.map(edge => edge.node);
-    
     // Only enrich with commission data, don't save all products to database
-    const enrichedProducts = await Promise.all(
-      products.map(async (product) => {
-        const productLink = `https://${shop}/products/${product.handle}`;
-        const commissionData = await getProductCommission(shop, product.id);
-
-        return {
-          ...product,
-          link: productLink,
-          commission: commissionData,
-        };
-      })
-    );
+    let ruleSet;
+    try {
+      ruleSet = await loadCommissionRules(shop);
+    } catch (error) {
+      console.error('Failed to load commission rules:', error);
+      ruleSet = buildRuleSet([]);
+    }
+
+    const products = await withRuleCollections(client, response.body.data.products.edges.map(edge => edge.node), ruleSet);
+
+    // Variant costs let the table show the margin left after commission
+    const settings = await getShopSettings(shop);
+    const costsByProduct = new Map();
+    if (settings.marginGuardrail !== 'off' && products.length > 0) {
+      try {
+        const { products: costs } = await fetchVariantCosts(shop, { productIds: products.map(p => p.id) });
+        costs.forEach(product => costsByProduct.set(product.id, product.variants));
+      } catch (error) {
+        console.error('Failed to load variant costs:', error);
+      }
+    }
+
+    const enrichedProducts = products.map(product => {
+      const productLink = `https://${shop}/products/${product.handle}`;
+
+      return {
+        ...product,
+        link: productLink,
+        commission: resolveCommission(ruleSet, product),
+        variantCosts: costsByProduct.get(product.id) || [],
+      };
+    });
 
     return res.json({
       products: enrichedProducts,
       pageInfo: response.body.data.products.pageInfo,
+      marginSettings: {
+        minMarginPercent: settings.minMarginPercent,
+        marginGuardrail: settings.marginGuardrail
+      },
     });
   } catch (error) {
     console.error('Products API error:', error);
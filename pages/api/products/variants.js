@@ -0,0 +1,104 @@
+import { getShopifyClient, fetchVariantCosts } from '../../../lib/shopify-helpers';
+import { loadCommissionRules, resolveCommission, calculateCommissionAmount, PRODUCT_COLLECTIONS_LIMIT } from '../../../lib/commission-resolver';
+
+const PRODUCT_VARIANTS_QUERY = `
+  query getProductVariants($id: ID!) {
+    product(id: $id) {
+      id
+      title
+      productType
+      collections(first: ${PRODUCT_COLLECTIONS_LIMIT}) {
+        edges {
+          node {
+            id
+          }
+        }
+      }
+      variants(first: 100) {
+        edges {
+          node {
+            id
+            title
+            sku
+            price
+            compareAtPrice
+            availableForSale
+            selectedOptions {
+              name
+              value
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { shop, productId } = req.query;
+
+    if (!shop || !productId) {
+      return res.status(400).json({ error: 'Shop and productId parameters required' });
+    }
+
+    const client = await getShopifyClient(shop);
+
+    if (!client) {
+      return res.status(401).json({
+        error: 'Shopify authentication required',
+        authUrl: `/api/auth?shop=${shop}`
+      });
+    }
+
+    const response = await client.query({
+      data: {
+        query: PRODUCT_VARIANTS_QUERY,
+        variables: { id: productId },
+      },
+    });
+
+    const product = response.body.data.product;
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const ruleSet = await loadCommissionRules(shop);
+
+    // Unit costs need the read_inventory scope, so variants still load without them
+    const unitCosts = new Map();
+    try {
+      const { products: costs } = await fetchVariantCosts(shop, {
+        variantIds: product.variants.edges.map(edge => edge.node.id)
+      });
+      costs.forEach(p => p.variants.forEach(v => unitCosts.set(v.id, v.unitCost)));
+    } catch (error) {
+      console.error('Failed to load variant costs:', error);
+    }
+
+    const variants = product.variants.edges.map(edge => {
+      const variant = edge.node;
+      const commission = resolveCommission(ruleSet, product, variant.id);
+
+      return {
+        ...variant,
+        unitCost: unitCosts.get(variant.id) ?? null,
+        commission,
+        commissionAmount: commission ? calculateCommissionAmount(commission, variant.price) : null,
+      };
+    });
+
+    return res.json({
+      productId: product.id,
+      productTitle: product.title,
+      variants,
+    });
+  } catch (error) {
+    console.error('Product variants API error:', error);
+    return res.status(500).json({ error: 'Failed to fetch product variants' });
+  }
+}
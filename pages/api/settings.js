@@ -0,0 +1,31 @@
+import { getShopSettings, updateShopSettings, validateShopSettings } from '../../lib/shop-settings';
+
+export default async function handler(req, res) {
+  const { shop } = req.query;
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const settings = await getShopSettings(shop);
+      return res.json(settings);
+    }
+
+    if (req.method === 'POST') {
+      const validationError = validateShopSettings(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const settings = await updateShopSettings(shop, req.body);
+      return res.json(settings);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Settings API error:', error);
+    return res.status(500).json({ error: 'Failed to update settings' });
+  }
+}
@@ -0,0 +1,21 @@
+import { getShopCurrencySettings } from '../../lib/shop-currency';
+
+export default async function handler(req, res) {
+  const { shop } = req.query;
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const currency = await getShopCurrencySettings(shop);
+    return res.json(currency);
+  } catch (error) {
+    console.error('Shop currency API error:', error);
+    return res.status(500).json({ error: 'Failed to fetch shop currency' });
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Theme Block Check (app proxy)
+ * Storefront blocks of the theme app extension call /apps/twiva/blocks, which
+ * Shopify forwards here, to learn whether they should show and with what.
+ */
+
+import { withAppProxyVerification } from '../../../../lib/app-proxy';
+import { checkThemeBlock, THEME_BLOCKS } from '../../../../lib/theme-blocks';
+
+async function handler(req, res, { shopDomain }) {
+  const { block, ...params } = req.query;
+
+  if (!THEME_BLOCKS.includes(block)) {
+    return res.status(400).json({ error: `block must be one of: ${THEME_BLOCKS.join(', ')}` });
+  }
+
+  // Each page view asks again; the answer depends on the visitor's click
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const result = await checkThemeBlock(shopDomain, block, params);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error checking theme block:', error);
+    return res.status(500).json({ error: error.message, show: false });
+  }
+}
+
+export default withAppProxyVerification(handler);
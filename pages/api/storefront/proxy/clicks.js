@@ -0,0 +1,52 @@
+/**
+ * Click Visitor Report (app proxy)
+ * The tracking app embed calls /apps/twiva/clicks after a smart link click lands,
+ * so the stored click knows the visitor's cart and, when logged in, who they are.
+ * The customer's email is read from Shopify for their ID, never taken from the visitor.
+ */
+
+import { withAppProxyVerification } from '../../../../lib/app-proxy';
+import { updateClickVisitor } from '../../../../lib/click-store';
+import { fetchCustomerEmail } from '../../../../lib/shopify-helpers';
+
+async function findCustomerEmail(shopDomain, customerId) {
+  if (!customerId) return null;
+
+  try {
+    return await fetchCustomerEmail(shopDomain, customerId);
+  } catch (error) {
+    // The customer ID still identifies them
+    console.error('Failed to read customer email:', error);
+    return null;
+  }
+}
+
+async function handler(req, res, { shopDomain }) {
+  // logged_in_customer_id is added by Shopify, so it can be trusted; the rest comes from the visitor
+  const { click_id, cart_token, logged_in_customer_id } = req.query;
+
+  if (!click_id) {
+    return res.status(400).json({ error: 'click_id is required' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const click = await updateClickVisitor(shopDomain, click_id, {
+      cartToken: cart_token || null,
+      customerId: logged_in_customer_id || null,
+      customerEmail: await findCustomerEmail(shopDomain, logged_in_customer_id)
+    });
+
+    if (!click) {
+      return res.status(404).json({ error: 'Click not found' });
+    }
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error updating smart link click:', error);
+    return res.status(500).json({ error: 'Failed to update click' });
+  }
+}
+
+export default withAppProxyVerification(handler);
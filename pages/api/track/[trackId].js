@@ -6,6 +6,7 @@
 
 import { handleSmartLinkClick } from '../../../lib/smart-links';
 import apiClient from '../../../lib/api-client';
+import { TRACKING_PARAMS } from '../../../lib/storefront-tracking';
 
 export default async function handler(req, res) {
   const { trackId } = req.query;
@@ -59,15 +60,23 @@ export default async function handler(req, res) {
       redirectUrl = `https://${shopDomain}`;
     }
 
-    // Add tracking script injection if it's a product page
-    if (productId && redirectUrl.includes('/products/')) {
-      // For Shopify, we need to inject tracking via URL parameters
-      // The product page will need to handle these parameters
+    // The tracking app embed picks these up on whichever page the link lands on
+    try {
       const url = new URL(redirectUrl);
-      url.searchParams.set('twiva_track', trackId);
-      url.searchParams.set('twiva_affiliate', affiliateId);
-      url.searchParams.set('twiva_product', productId);
+      url.searchParams.set(TRACKING_PARAMS.trackId, trackId);
+      url.searchParams.set(TRACKING_PARAMS.affiliateId, affiliateId);
+      if (productId) {
+        url.searchParams.set(TRACKING_PARAMS.productId, productId);
+      }
+      if (clickResult.attributionWindowDays) {
+        url.searchParams.set(TRACKING_PARAMS.windowDays, clickResult.attributionWindowDays);
+      }
+      if (clickResult.clickId) {
+        url.searchParams.set(TRACKING_PARAMS.clickId, clickResult.clickId);
+      }
       redirectUrl = url.toString();
+    } catch (error) {
+      console.error('Could not add tracking params to redirect URL:', redirectUrl);
     }
 
     console.log('Redirecting smart link click:', {
@@ -0,0 +1,34 @@
+import { getWebhookStatus, registerWebhooks } from '../../lib/webhook-subscriptions';
+
+export default async function handler(req, res) {
+  const { shop } = req.query;
+
+  if (!shop) {
+    return res.status(400).json({ error: 'Shop parameter required' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const status = await getWebhookStatus(shop);
+      return res.json(status);
+    }
+
+    if (req.method === 'POST') {
+      await registerWebhooks(shop);
+      const status = await getWebhookStatus(shop);
+      return res.json(status);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error.message === 'Shopify authentication required') {
+      return res.status(401).json({
+        error: 'Shopify authentication required',
+        authUrl: `/api/auth?shop=${shop}`
+      });
+    }
+
+    console.error('Webhook subscriptions API error:', error);
+    return res.status(500).json({ error: 'Failed to fetch webhook subscriptions' });
+  }
+}
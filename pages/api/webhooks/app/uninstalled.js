@@ -0,0 +1,69 @@
+import apiClient from '../../../../lib/api-client';
+import { removeAccessToken } from '../../../../lib/token-storage';
+import { deactivateShopSmartLinks } from '../../../../lib/smart-links';
+import { withWebhookVerification } from '../../../../lib/webhooks';
+
+async function handler(req, res, { payload: shopPayload, shopDomain }) {
+  console.log('App uninstalled webhook received:', shopDomain);
+
+  const steps = {};
+
+  // The token is revoked by Shopify anyway - drop it so nothing tries to use it
+  try {
+    steps.tokenRemoved = await removeAccessToken(shopDomain);
+  } catch (error) {
+    console.error('Failed to remove access token:', error);
+    steps.tokenError = error.message;
+  }
+
+  try {
+    const result = await deactivateShopSmartLinks(shopDomain);
+    steps.smartLinksDeactivated = result.deactivated;
+    if (!result.success) {
+      steps.smartLinksError = result.error || `Failed to deactivate links: ${result.failed.join(', ')}`;
+    }
+  } catch (error) {
+    console.error('Failed to deactivate smart links:', error);
+    steps.smartLinksError = error.message;
+  }
+
+  try {
+    await apiClient.notifyShopUninstalled(shopDomain, {
+      shopName: shopPayload.name,
+      shopEmail: shopPayload.email
+    });
+    steps.backendNotified = true;
+  } catch (error) {
+    console.error('Failed to notify backend of uninstall:', error);
+    steps.backendError = error.message;
+  }
+
+  // Keep a record for support, whatever happened above
+  try {
+    await apiClient.recordShopEvent(shopDomain, 'app_uninstalled', {
+      shopifyShopId: shopPayload.id,
+      shopName: shopPayload.name,
+      planName: shopPayload.plan_name,
+      ...steps
+    });
+  } catch (error) {
+    console.error('Failed to record uninstall event:', error);
+  }
+
+  const failed = steps.tokenError || steps.smartLinksError || steps.backendError;
+  if (failed) {
+    // Every step is safe to repeat, so let Shopify retry the delivery
+    return res.status(500).json({ success: false, ...steps });
+  }
+
+  console.log('Shop teardown completed:', shopDomain);
+  return res.status(200).json({ success: true, ...steps });
+}
+
+export default withWebhookVerification(handler);
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
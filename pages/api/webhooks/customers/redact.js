@@ -0,0 +1,23 @@
+import { handleCustomerRedact } from '../../../../lib/privacy';
+import { withWebhookVerification } from '../../../../lib/webhooks';
+
+async function handler(req, res, { payload, shopDomain, webhookId }) {
+  try {
+    console.log('Customer redact webhook received:', shopDomain);
+
+    const auditEntry = await handleCustomerRedact(shopDomain, payload, webhookId);
+
+    return res.status(200).json({ success: true, requestId: auditEntry.requestId });
+  } catch (error) {
+    console.error('Error processing customer redact webhook:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export default withWebhookVerification(handler);
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -0,0 +1,31 @@
+import { handleOrderStatusChange } from '../../../../lib/sales-tracker';
+import { withWebhookVerification } from '../../../../lib/webhooks';
+
+async function handler(req, res, { payload: webhookPayload, shopId }) {
+  try {
+    console.log('Order cancelled webhook received:', webhookPayload.id);
+
+    // Add shop_id to order data
+    const orderData = {
+      ...webhookPayload,
+      shop_id: shopId
+    };
+
+    // Cancelled orders no longer earn commission, whatever state they were in
+    await handleOrderStatusChange(orderData, webhookPayload.financial_status || 'pending', 'cancelled');
+
+    console.log('Order cancellation processed successfully');
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error processing order cancelled webhook:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export default withWebhookVerification(handler);
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -1,25 +1,11 @@
 import { processOrderWebhook } from '../../../../lib/sales-tracker';
+import { withWebhookVerification } from '../../../../lib/webhooks';
+import { IDEMPOTENCY_HEADER } from '../../../../lib/idempotency';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+async function handler(req, res, { payload: webhookPayload, shopId }) {
   try {
-    // Verify webhook (you should add proper Shopify webhook verification)
-    const webhookPayload = req.body;
-
     console.log('Order created webhook received:', webhookPayload.id);
 
-    // Extract shop ID from headers or payload
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    const shopId = shopDomain ? shopDomain.replace('.myshopify.com', '') : null;
-
-    if (!shopId) {
-      console.error('Shop ID not found in webhook');
-      return res.status(400).json({ error: 'Shop ID required' });
-    }
-
     // Add shop_id to order data
     const orderData = {
       ...webhookPayload,
@@ -29,24 +15,34 @@ export default async function handler(req, res) {
     // Process the order for commission tracking
     const result = await processOrderWebhook(orderData);
 
-    if (result) {
-      console.log('Order processed successfully for commission tracking');
+    if (result.attributed) {
+      console.log('Order processed successfully for commission tracking', result);
     } else {
       console.log('Order could not be attributed to any affiliate');
     }
 
-    return res.status(200).json({ success: true });
+    // Every line item was already recorded by an earlier webhook for this order
+    if (result.duplicates > 0 && result.recorded === 0 && result.failed === 0) {
+      res.setHeader(IDEMPOTENCY_HEADER, 'replayed');
+    }
+
+    // Recorded line items are claimed, so Shopify's retry only redoes the failed ones
+    if (result.failed > 0) {
+      return res.status(500).json({ error: 'Some line items could not be recorded', ...result });
+    }
+
+    return res.status(200).json({ success: true, ...result });
   } catch (error) {
     console.error('Error processing order webhook:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 }
 
-// Disable body parser for webhook
+export default withWebhookVerification(handler);
+
+// Disable body parser so the raw body can be verified
 export const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '1mb',
-    },
+    bodyParser: false,
   },
-}
\ No newline at end of file
+};
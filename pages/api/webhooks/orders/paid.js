@@ -1,20 +1,9 @@
 import { processOrderWebhook } from '../../../../lib/sales-tracker';
+import { withWebhookVerification } from '../../../../lib/webhooks';
+import { IDEMPOTENCY_HEADER } from '../../../../lib/idempotency';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+async function handler(req, res, { payload: webhookPayload, shopId }) {
   try {
-    const webhookPayload = req.body;
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    const shopId = shopDomain ? shopDomain.replace('.myshopify.com', '') : null;
-
-    if (!shopId) {
-      console.error('Shop ID not found in webhook');
-      return res.status(400).json({ error: 'Shop ID required' });
-    }
-
     console.log('Order paid webhook received:', webhookPayload.id);
 
     // Add shop_id to order data
@@ -27,23 +16,33 @@ export default async function handler(req, res) {
     // This is crucial as it's when payment is confirmed
     const result = await processOrderWebhook(orderData);
 
-    if (result) {
-      console.log('Paid order processed successfully for commission tracking');
+    if (result.attributed) {
+      console.log('Paid order processed successfully for commission tracking', result);
     } else {
       console.log('Paid order could not be attributed to any affiliate');
     }
 
-    return res.status(200).json({ success: true });
+    // Every line item was already recorded by an earlier webhook for this order
+    if (result.duplicates > 0 && result.recorded === 0 && result.failed === 0) {
+      res.setHeader(IDEMPOTENCY_HEADER, 'replayed');
+    }
+
+    // Recorded line items are claimed, so Shopify's retry only redoes the failed ones
+    if (result.failed > 0) {
+      return res.status(500).json({ error: 'Some line items could not be recorded', ...result });
+    }
+
+    return res.status(200).json({ success: true, ...result });
   } catch (error) {
     console.error('Error processing order paid webhook:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 }
 
+export default withWebhookVerification(handler);
+
 export const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '1mb',
-    },
+    bodyParser: false,
   },
-}
\ No newline at end of file
+};
@@ -1,20 +1,8 @@
 import { handleOrderStatusChange } from '../../../../lib/sales-tracker';
+import { withWebhookVerification } from '../../../../lib/webhooks';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+async function handler(req, res, { payload: webhookPayload, shopId }) {
   try {
-    const webhookPayload = req.body;
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    const shopId = shopDomain ? shopDomain.replace('.myshopify.com', '') : null;
-
-    if (!shopId) {
-      console.error('Shop ID not found in webhook');
-      return res.status(400).json({ error: 'Shop ID required' });
-    }
-
     console.log('Order updated webhook received:', webhookPayload.id);
 
     // Add shop_id to order data
@@ -48,10 +36,10 @@ export default async function handler(req, res) {
   }
 }
 
+export default withWebhookVerification(handler);
+
 export const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '1mb',
-    },
+    bodyParser: false,
   },
-}
\ No newline at end of file
+};
@@ -0,0 +1,37 @@
+import { handleOrderStatusChange } from '../../../../lib/sales-tracker';
+import { withWebhookVerification } from '../../../../lib/webhooks';
+
+async function handler(req, res, { payload: refund, shopId }) {
+  try {
+    console.log('Refund created webhook received:', refund.id, 'for order', refund.order_id);
+
+    // The refund payload only carries transactions, so total them up
+    const refundAmount = (refund.transactions || [])
+      .filter(transaction => transaction.kind === 'refund' && transaction.status !== 'failure')
+      .reduce((sum, transaction) => sum + parseFloat(transaction.amount || 0), 0);
+
+    const orderData = {
+      id: refund.order_id,
+      shop_id: shopId,
+      refund_id: refund.id,
+      refunds: [{ id: refund.id, amount: refundAmount, refund_line_items: refund.refund_line_items || [] }],
+      refund_line_items: refund.refund_line_items || []
+    };
+
+    await handleOrderStatusChange(orderData, 'paid', 'refunded');
+
+    console.log('Refund processed successfully');
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error processing refund webhook:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export default withWebhookVerification(handler);
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -0,0 +1,23 @@
+import { handleShopRedact } from '../../../../lib/privacy';
+import { withWebhookVerification } from '../../../../lib/webhooks';
+
+async function handler(req, res, { payload, shopDomain, webhookId }) {
+  try {
+    console.log('Shop redact webhook received:', shopDomain);
+
+    const auditEntry = await handleShopRedact(shopDomain, payload, webhookId);
+
+    return res.status(200).json({ success: true, requestId: auditEntry.requestId });
+  } catch (error) {
+    console.error('Error processing shop redact webhook:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export default withWebhookVerification(handler);
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -0,0 +1,24 @@
+import { updateShopCurrency } from '../../../../lib/shop-currency';
+import { withWebhookVerification } from '../../../../lib/webhooks';
+
+async function handler(req, res, { payload: shopPayload, shopDomain }) {
+  try {
+    console.log('Shop update webhook received:', shopDomain);
+
+    // The merchant may have changed the store currency or country
+    const currency = await updateShopCurrency(shopDomain, shopPayload);
+
+    return res.status(200).json({ success: true, currencyCode: currency?.currencyCode || null });
+  } catch (error) {
+    console.error('Error processing shop update webhook:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export default withWebhookVerification(handler);
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -3,11 +3,21 @@ import { useRouter } from 'next/router';
 import { Page, Layout, Card, Tabs, Spinner, Banner, BlockStack, TextField, InlineStack, Pagination } from '@shopify/polaris';
 import { useAppBridge } from '@shopify/app-bridge-react';
 import { Redirect } from '@shopify/app-bridge/actions';
+import { getSessionToken } from '@shopify/app-bridge/utilities';
 import { ProductTable } from '../components/ProductTable';
 import { CategoryCommissionForm } from '../components/CategoryCommissionForm';
 import { ProductCategoryForm } from '../components/ProductCategoryForm';
 import { CommissionsOverview } from '../components/CommissionsOverview';
+import { ShopDefaultCommissionForm } from '../components/ShopDefaultCommissionForm';
 import ShopVerification from '../components/ShopVerification';
+import WebhookSubscriptionStatus from '../components/WebhookSubscriptionStatus';
+import { StorefrontExtensionSetup } from '../components/StorefrontExtensionSetup';
+import MarginGuardrailSettings from '../components/MarginGuardrailSettings';
+import AttributionSettings from '../components/AttributionSettings';
+import CommissionJobProgress from '../components/CommissionJobProgress';
+import CommissionCampaigns from '../components/CommissionCampaigns';
+import CommissionHistory from '../components/CommissionHistory';
+import { DEFAULT_SHOP_CURRENCY } from '../lib/currency';
 
 export default function Home() {
   const router = useRouter();
@@ -20,6 +30,11 @@ export default function Home() {
   const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const [marginSettings, setMarginSettings] = useState(null);
+  const [currency, setCurrency] = useState(DEFAULT_SHOP_CURRENCY);
+  // Background jobs: applying collection/category commissions, counting categories
+  const [applyJobs, setApplyJobs] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
   const [isShopVerified, setIsShopVerified] = useState(false);
@@ -42,6 +57,18 @@ export default function Home() {
     return () => clearTimeout(timer);
   }, [searchTerm]);
 
+  // The shop's currency only changes through Settings in Shopify, so load it once
+  useEffect(() => {
+    if (!shop) return;
+
+    fetch(`/api/shop-currency?shop=${shop}`)
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (data?.currencyCode) setCurrency(data);
+      })
+      .catch(err => console.error('Failed to load shop currency:', err));
+  }, [shop]);
+
   useEffect(() => {
     if (!shop) return;
     
@@ -120,6 +147,7 @@ export default function Home() {
         }
         const data = await response.json();
         setProducts(data.products);
+        setMarginSettings(data.marginSettings || null);
         setPagination(prev => ({
           ...prev,
           products: {
@@ -128,7 +156,7 @@ export default function Home() {
             cursor: data.pageInfo?.endCursor || null
           }
         }));
-      } else if (selectedTab === 2) {
+      } else if (selectedTab === 3) {
         const response = await fetch(`/api/collections?shop=${shop}${searchParam}`);
         if (response.status === 401) {
           try {
@@ -160,7 +188,7 @@ export default function Home() {
             cursor: data.pageInfo?.endCursor || null
           }
         }));
-      } else if (selectedTab === 3) {
+      } else if (selectedTab === 4) {
         // Load both categories and commissions for the Categories tab
         const [categoriesResponse, commissionsResponse] = await Promise.all([
           fetch(`/api/categories?shop=${shop}${searchParam}`),
@@ -199,7 +227,15 @@ export default function Home() {
         
         setCategories(categoriesData.categories);
         setCommissions(commissionsData.commissions);
-      } else if (selectedTab === 4) {
+
+        // Counting runs in the background; show its progress and reload once it's done
+        const countJob = categoriesData.job;
+        if (countJob && countJob.status !== 'completed' && countJob.status !== 'failed') {
+          setApplyJobs(prev => prev.some(job => job.id === countJob.id)
+            ? prev
+            : [...prev, { id: countJob.id, title: 'Counting products per category' }]);
+        }
+      } else if (selectedTab === 5) {
         const response = await fetch(`/api/commissions/list?shop=${shop}`);
         if (response.status === 401) {
           try {
@@ -243,11 +279,13 @@ export default function Home() {
     try {
       const response = await fetch(`/api/commissions?shop=${shop}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
         body: JSON.stringify({ type: 'product', id: productId, ...commissionData }),
       });
       
-      if (!response.ok) throw new Error('Failed to save commission');
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save commission');
+      if (result.marginWarning) setWarning(`Saved. ${result.marginWarning}`);
       
       await loadData();
     } catch (err) {
@@ -255,11 +293,77 @@ export default function Home() {
     }
   };
 
-  const handleSaveCategoryCommission = async (categoryId, commissionData, applyToProducts = false, type = 'collection') => {
+  const handleSaveVariantCommission = async (productId, variantId, commissionData) => {
     try {
       const response = await fetch(`/api/commissions?shop=${shop}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify({ type: 'variant', id: variantId, productId, ...commissionData }),
+      });
+      
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save variant commission');
+      if (result.marginWarning) setWarning(`Saved. ${result.marginWarning}`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Identifies the staff member making a change, for the commission history
+  const getAuthHeaders = async () => {
+    try {
+      return { Authorization: `Bearer ${await getSessionToken(app)}` };
+    } catch (err) {
+      return {};
+    }
+  };
+
+  const checkCommissionMargins = async (type, id, commissionData) => {
+    try {
+      const response = await fetch(`/api/commissions/margin-check?shop=${shop}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type, id, ...commissionData }),
+      });
+      if (!response.ok) return null;
+
+      return await response.json();
+    } catch (err) {
+      // The check is advisory; saving re-checks on the server
+      return null;
+    }
+  };
+
+  const previewCommission = async (type, id, commissionData) => {
+    const response = await fetch(`/api/commissions?shop=${shop}&preview=true`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, id, ...commissionData, preview: true }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to preview commission');
+
+    return data;
+  };
+
+  const loadProductVariants = async (productId) => {
+    try {
+      const response = await fetch(`/api/products/variants?shop=${shop}&productId=${encodeURIComponent(productId)}`);
+      if (!response.ok) throw new Error('Failed to load variants');
+      
+      const data = await response.json();
+      return data.variants;
+    } catch (err) {
+      setError(err.message);
+      return [];
+    }
+  };
+
+  const handleSaveCategoryCommission = async (categoryId, commissionData, applyToProducts = false, type = 'collection') => {
+    try {
+      const response = await fetch(`/api/commissions?shop=${shop}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
         body: JSON.stringify({ 
           type: type === 'category' ? 'category' : 'collection', 
           id: categoryId, 
@@ -268,7 +372,30 @@ export default function Home() {
         }),
       });
       
-      if (!response.ok) throw new Error('Failed to save commission');
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save commission');
+      if (result.marginWarning) setWarning(`Saved. ${result.marginWarning}`);
+      if (result.jobId) {
+        setApplyJobs(prev => [...prev, { id: result.jobId, title: result.message }]);
+      }
+      
+      await loadData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveShopCommission = async (commissionData) => {
+    try {
+      const response = await fetch(`/api/commissions?shop=${shop}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify({ type: 'shop', ...commissionData }),
+      });
+      
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save default commission');
+      if (result.marginWarning) setWarning(`Saved. ${result.marginWarning}`);
       
       await loadData();
     } catch (err) {
@@ -280,7 +407,7 @@ export default function Home() {
     try {
       const response = await fetch(`/api/commissions?shop=${shop}`, {
         method: 'DELETE',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
         body: JSON.stringify({ type, id }),
       });
       
@@ -409,19 +536,36 @@ export default function Home() {
               <p>{error}</p>
             </Banner>
           )}
+
+          {warning && (
+            <Banner tone="warning" onDismiss={() => setWarning(null)}>
+              <p>{warning}</p>
+            </Banner>
+          )}
+
+          {applyJobs.map(job => (
+            <CommissionJobProgress
+              key={job.id}
+              shopId={shop}
+              jobId={job.id}
+              title={job.title}
+              onFinished={() => loadData()}
+              onDismiss={() => setApplyJobs(prev => prev.filter(j => j.id !== job.id))}
+            />
+          ))}
           
           <Card>
             <Tabs tabs={tabs} selected={selectedTab} onSelect={setSelectedTab}>
               <div style={{ padding: '16px' }}>
-                {(selectedTab === 1 || selectedTab === 2 || selectedTab === 3) && (
+                {(selectedTab === 2 || selectedTab === 3 || selectedTab === 4) && (
                   <BlockStack gap="400">
                     <TextField
                       label="Search"
                       value={searchTerm}
                       onChange={setSearchTerm}
                       placeholder={
-                        selectedTab === 1 ? 'Search products...' : 
-                        selectedTab === 2 ? 'Search collections...' : 
+                        selectedTab === 2 ? 'Search products...' : 
+                        selectedTab === 3 ? 'Search collections...' : 
                         'Search categories...'
                       }
                       clearButton
@@ -437,17 +581,34 @@ export default function Home() {
                 ) : (
                   <BlockStack gap="400">
                     {selectedTab === 0 && (
-                      <ShopVerification
-                        shopId={shop}
-                        onVerificationComplete={() => setIsShopVerified(true)}
-                      />
+                      <BlockStack gap="400">
+                        <ShopVerification
+                          shopId={shop}
+                          onVerificationComplete={() => setIsShopVerified(true)}
+                        />
+                        <WebhookSubscriptionStatus shopId={shop} />
+                        <StorefrontExtensionSetup shopId={shop} />
+                        <MarginGuardrailSettings shopId={shop} />
+                        <AttributionSettings shopId={shop} />
+                      </BlockStack>
                     )}
 
                     {selectedTab === 1 && (
-                      <CommissionsOverview
-                        stats={stats}
-                        onRefresh={loadData}
-                      />
+                      <BlockStack gap="400">
+                        <CommissionsOverview
+                          stats={stats}
+                          currency={currency}
+                          onRefresh={loadData}
+                        />
+                        <ShopDefaultCommissionForm
+                          key={stats.shopDefaultCommission?.updatedAt || 'none'}
+                          defaultCommission={stats.shopDefaultCommission}
+                          productsUsingDefault={stats.commissionsBySource?.shop || 0}
+                          currency={currency}
+                          onSave={handleSaveShopCommission}
+                          onRemove={handleRemoveCommission}
+                        />
+                      </BlockStack>
                     )}
 
                     {selectedTab === 2 && (
@@ -456,8 +617,12 @@ export default function Home() {
                           products={products}
                           onProductSelect={setSelectedProduct}
                           onSave={handleSaveProductCommission}
+                          onSaveVariant={handleSaveVariantCommission}
+                          onLoadVariants={loadProductVariants}
                           onRemove={handleRemoveCommission}
                           selectedProduct={selectedProduct}
+                          marginSettings={marginSettings}
+                          currency={currency}
                         />
                         {(pagination.products.hasNext || pagination.products.hasPrevious) && (
                           <div style={{ display: 'flex', justifyContent: 'center', padding: '16px' }}>
@@ -472,14 +637,17 @@ export default function Home() {
                       </BlockStack>
                     )}
                     
-                    {selectedTab === 2 && (
+                    {selectedTab === 3 && (
                       <BlockStack gap="400">
                         {collections.map((collection) => (
                           <CategoryCommissionForm
                             key={collection.id}
                             category={collection}
+                            currency={currency}
                             onSave={handleSaveCategoryCommission}
                             onRemove={handleRemoveCommission}
+                            onCheckMargins={checkCommissionMargins}
+                            onPreview={previewCommission}
                           />
                         ))}
                         {(pagination.collections.hasNext || pagination.collections.hasPrevious) && (
@@ -495,21 +663,26 @@ export default function Home() {
                       </BlockStack>
                     )}
 
-                    {selectedTab === 3 &&
+                    {selectedTab === 4 &&
                       categories.map((category) => (
                         <ProductCategoryForm
                           key={category.name}
                           category={category}
+                          currency={currency}
                           onSave={handleSaveCategoryCommission}
+                          onCheckMargins={checkCommissionMargins}
+                          onPreview={previewCommission}
                           appliedCommissions={commissions}
                         />
                       ))}
                       
-                    {selectedTab === 4 && (
+                    {selectedTab === 5 && (
                       <BlockStack gap="400">
+                        <CommissionCampaigns shopId={shop} currency={currency} getAuthHeaders={getAuthHeaders} />
                         <CommissionsOverview
                           stats={stats}
                           commissions={commissions}
+                          currency={currency}
                           onRefresh={loadData}
                           showTable={true}
                         />
@@ -524,6 +697,7 @@ export default function Home() {
                             />
                           </div>
                         )}
+                        <CommissionHistory shopId={shop} currency={currency} getAuthHeaders={getAuthHeaders} onReverted={loadData} />
                       </BlockStack>
                     )}
                   </BlockStack>